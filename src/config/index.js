@@ -10,16 +10,127 @@ module.exports = {
     },
     gdeltBaseUrl: process.env.GDELT_BASE_URL || 'http://data.gdeltproject.org/gkg',
     gdeltDailyBaseUrl: process.env.GDELT_DAILY_BASE_URL || 'http://data.gdeltproject.org/gkg',
+    manifest: {
+        // lastupdate.txt / masterfilelist.txt live here; point it at a local HTTP server to test offline
+        baseUrl: process.env.GDELT_MANIFEST_BASE_URL || 'http://data.gdeltproject.org/gdeltv2',
+        // download listed files from baseUrl instead of the absolute URLs in the manifest
+        rebaseUrls: process.env.GDELT_MANIFEST_REBASE === '1',
+        dailyChecksumsUrl: process.env.GDELT_DAILY_MD5_URL || `${process.env.GDELT_DAILY_BASE_URL || 'http://data.gdeltproject.org/gkg'}/md5sums`,
+        // master lists (hundreds of MB) are only read for older slots and kept this long
+        masterCacheHours: Number(process.env.GDELT_MASTER_CACHE_H || 24),
+        // a slot newer than the cached master list lists re-downloads it once the copy is older than this
+        cacheMinutes: Number(process.env.GDELT_MANIFEST_CACHE_MIN || 15),
+    },
+    source: {
+        type: process.env.SOURCE || 'http', // http | local | s3
+        localDir: process.env.SOURCE_DIR || undefined, // directory or file:// URL holding GDELT zips
+        localCacheMinutes: Number(process.env.SOURCE_DIR_CACHE_MIN || 1), // how long the directory listing is reused
+        s3: {
+            endpoint: process.env.S3_ENDPOINT || undefined, // e.g. https://s3.eu-west-1.amazonaws.com or http://localhost:9000
+            bucket: process.env.S3_BUCKET || undefined,
+            prefix: process.env.S3_PREFIX || '',
+            region: process.env.S3_REGION || 'us-east-1',
+            accessKeyId: process.env.S3_ACCESS_KEY_ID || undefined,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || undefined,
+        },
+    },
     realtimeIntervalMin: Number(process.env.REALTIME_INTERVAL_MIN || 15),
     dailyHourUTC: Number(process.env.DAILY_HOUR_UTC || 0),
-    columnIndices: {
+    columnIndices: { // overrides of the GKG 2.1 column layout (utils/gkgSchema); GKG 1.0 files use their own
         themes: process.env.V2THEMES_INDEX !== '' && process.env.V2THEMES_INDEX !== undefined ? Number(process.env.V2THEMES_INDEX) : null,
         persons: process.env.V2PERSONS_INDEX !== '' && process.env.V2PERSONS_INDEX !== undefined ? Number(process.env.V2PERSONS_INDEX) : null,
         orgs: process.env.V2ORGS_INDEX !== '' && process.env.V2ORGS_INDEX !== undefined ? Number(process.env.V2ORGS_INDEX) : null,
         locations: process.env.V2LOCATIONS_INDEX !== '' && process.env.V2LOCATIONS_INDEX !== undefined ? Number(process.env.V2LOCATIONS_INDEX) : null,
         tone: process.env.V2TONE_INDEX !== '' && process.env.V2TONE_INDEX !== undefined ? Number(process.env.V2TONE_INDEX) : null,
+        date: process.env.DATE_INDEX !== '' && process.env.DATE_INDEX !== undefined ? Number(process.env.DATE_INDEX) : null,
+        sourceCommonName: process.env.SOURCECOMMONNAME_INDEX !== '' && process.env.SOURCECOMMONNAME_INDEX !== undefined ? Number(process.env.SOURCECOMMONNAME_INDEX) : null,
+        translationInfo: process.env.TRANSLATIONINFO_INDEX !== '' && process.env.TRANSLATIONINFO_INDEX !== undefined ? Number(process.env.TRANSLATIONINFO_INDEX) : null,
         dateAdded: process.env.DATEADDED_INDEX !== '' && process.env.DATEADDED_INDEX !== undefined ? Number(process.env.DATEADDED_INDEX) : null,
     },
+    ingestion: {
+        maxAttempts: Number(process.env.INGEST_MAX_ATTEMPTS || 5), // failed files are retried until this many attempts
+        staleMinutes: Number(process.env.INGEST_STALE_MIN || 30), // 'processing' entries older than this are reclaimable
+        retryLookbackHours: Number(process.env.INGEST_RETRY_LOOKBACK_H || 24),
+        maxReplayDays: Number(process.env.INGEST_MAX_REPLAY_DAYS || 7), // span one admin replay may cover
+    },
+    webhooks: {
+        secret: process.env.WEBHOOK_SECRET || undefined, // signs alerts of watchlists without their own secret
+        timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+        maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+        backoffSeconds: Number(process.env.WEBHOOK_BACKOFF_S || 30), // doubled after every failed attempt
+    },
+    stream: {
+        channel: process.env.STREAM_CHANNEL || 'trends:stream', // Redis pub/sub channel shared by all API instances
+        topN: Number(process.env.STREAM_TOP_N || 20), // keywords per category in each pushed update
+        heartbeatSeconds: Number(process.env.STREAM_HEARTBEAT_S || 25),
+    },
+    entities: {
+        heuristics: process.env.ENTITY_HEURISTICS !== '0', // surname / acronym merging on top of the alias table
+        dominance: Number(process.env.ENTITY_DOMINANCE || 3), // an ambiguous variant goes to a candidate this many times more frequent than the next
+        refreshMinutes: Number(process.env.ENTITY_ALIAS_REFRESH_MIN || 5),
+    },
+    articles: {
+        retentionDays: Number(process.env.ARTICLES_RETENTION_DAYS || 30), // 0 keeps articles forever
+        batchSize: Number(process.env.ARTICLES_BATCH_SIZE || 1000), // records buffered per write while a file is parsed
+        maxKeywords: Number(process.env.ARTICLES_MAX_KEYWORDS || 50), // per category and article
+    },
+    enrichment: {
+        enabled: process.env.ENRICH_ENABLED === '1', // fetch previews for the documents of top-ranked keywords
+        intervalMinutes: Number(process.env.ENRICH_INTERVAL_MIN || 15),
+        keywordsPerCategory: Number(process.env.ENRICH_KEYWORDS || 20), // top keywords of themes / persons / orgs whose documents are fetched
+        userAgent: process.env.ENRICH_USER_AGENT || 'gdelt-trends-enricher/1.0',
+        concurrency: Number(process.env.ENRICH_CONCURRENCY || 4), // pages fetched at once overall
+        perDomainConcurrency: Number(process.env.ENRICH_PER_DOMAIN || 1), // pages fetched at once per domain
+        perDomainDelayMs: Number(process.env.ENRICH_DOMAIN_DELAY_MS || 1000), // between requests to one domain (robots.txt Crawl-delay wins when longer)
+        timeoutMs: Number(process.env.ENRICH_TIMEOUT_MS || 10000),
+        maxBytes: Number(process.env.ENRICH_MAX_BYTES || 1024 * 1024),
+        maxAttempts: Number(process.env.ENRICH_MAX_ATTEMPTS || 3), // failed pages are retried on later runs until this many attempts
+        robotsCacheMinutes: Number(process.env.ENRICH_ROBOTS_CACHE_MIN || 60),
+        maxRedirects: Number(process.env.ENRICH_MAX_REDIRECTS || 5), // each hop is checked against robots.txt, politeness and the public-address rule
+        allowHosts: (process.env.ENRICH_ALLOW_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean), // host[:port]s exempt from the public-address rule (local fixtures)
+    },
+    events: {
+        enabled: process.env.EVENTS_ENABLED !== '0', // ingest the Events (export) and Mentions streams with each 15-minute update
+        codeLevel: process.env.EVENTS_CODE_LEVEL || 'base', // aggregate CAMEO codes at 'root' (2 digits), 'base' (3) or 'full' level
+        rootOnly: process.env.EVENTS_ROOT_ONLY === '1', // only IsRootEvent=1 events (the main event of their paragraph)
+        minConfidence: Number(process.env.EVENTS_MIN_CONFIDENCE || 0), // Mentions below this Confidence (0-100) are ignored
+        topDyads: Number(process.env.EVENTS_TOP_DYADS || 200), // actor dyads kept per 15-minute doc
+        retentionDays: Number(process.env.EVENTS_RETENTION_DAYS || 30), // event lookup rows used to attribute later mentions
+    },
+    translation: {
+        enabled: process.env.TRANSLATION_ENABLED !== '0', // ingest the translingual GKG feed (*.translation.gkg.csv.zip) with each 15-minute update
+        minRows: Number(process.env.TRANSLATION_MIN_ROWS || 5), // languages with fewer records in a 15-minute file get no docs of their own
+    },
+    sources: {
+        leaderboardSize: Number(process.env.SOURCES_LEADERBOARD_SIZE || 1000), // outlets kept in each 'sources' doc
+        maxTracked: Number(process.env.SOURCES_MAX_TRACKED || 300), // outlets whose own daily themes / persons / orgs are stored
+        minArticles: Number(process.env.SOURCES_MIN_ARTICLES || 5), // fewer records than this and an outlet gets no per-outlet docs
+    },
     topN: Number(process.env.TOP_N || 50),
+    // per-country / ADM1 aggregates are only stored for places mentioned in at least this many rows
+    geoMinRows: Number(process.env.GEO_MIN_ROWS || 3),
+    aggregation: {
+        sampleDocuments: Number(process.env.AGG_SAMPLE_DOCS || 5), // document ids kept per keyword
+        maxDocuments: Number(process.env.AGG_MAX_DOCUMENTS || 100000), // distinct document ids kept per file / rollup
+        // count-min sketch + heavy hitters for daily rollups and rebuilds instead of exact counts
+        approximateRollups: process.env.AGG_APPROXIMATE_ROLLUPS === '1',
+        heavyHitters: Number(process.env.AGG_HEAVY_HITTERS || 2000), // keywords tracked per category in approximate mode
+        sketchWidth: Number(process.env.AGG_SKETCH_WIDTH || 16384),
+        sketchDepth: Number(process.env.AGG_SKETCH_DEPTH || 4),
+        maxPlaces: Number(process.env.AGG_MAX_PLACES || 2000), // countries / ADM1 places tracked per collector in approximate mode
+        maxRebuildDays: Number(process.env.AGG_MAX_REBUILD_DAYS || 31), // days one admin rebuild may cover
+    },
+    rollups: {
+        maxKeywords: Number(process.env.ROLLUP_MAX_KEYWORDS || 200), // keywords kept per hourly / weekly / monthly doc
+        // baselines longer than this many days read weekly / monthly docs where they cover the window
+        minCoarseWindowDays: Number(process.env.ROLLUP_MIN_COARSE_DAYS || 35),
+    },
+    graph: {
+        maxPerRow: Number(process.env.GRAPH_MAX_PER_ROW || 10), // entities per category taken from each record
+        maxEdges: Number(process.env.GRAPH_MAX_EDGES || 5000), // strongest edges kept per save
+        minWeight: Number(process.env.GRAPH_MIN_WEIGHT || 2),
+        maxLimit: Number(process.env.GRAPH_MAX_LIMIT || 50), // largest limit= (edges per node per hop) on /graph
+        maxNodes: Number(process.env.GRAPH_MAX_NODES || 500), // expansion stops at this many nodes
+    },
     port: Number(process.env.PORT || 3000)
 };
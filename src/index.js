@@ -2,6 +2,7 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const routes = require('./routes/trends');
+const { attachStreamSocket } = require('./routes/streamSocket');
 const config = require('./config');
 const { startSchedules } = require('./scheduler');
 const winston = require('winston');
@@ -18,9 +19,10 @@ async function start() {
     app.use('/trends', routes);
 
     const port = config.port || 3000;
-    app.listen(port, () => {
+    const server = app.listen(port, () => {
         logger.info(`Server listening on port ${port}`);
     });
+    attachStreamSocket(server);
 
     // start scheduled jobs
     startSchedules();
@@ -0,0 +1,22 @@
+// src/models/alertDeliveryModel.js
+const mongoose = require('mongoose');
+
+// Delivery log: one entry per alert and webhook URL. Pending entries double as the retry queue;
+// 'sending' entries are claimed by one sender until nextAttemptAt (the lease), then reclaimable.
+const AlertDeliverySchema = new mongoose.Schema({
+    watchlist: { type: mongoose.Schema.Types.ObjectId, ref: 'Watchlist', required: true, index: true },
+    alertId: { type: String, required: true },
+    url: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: ['pending', 'sending', 'delivered', 'failed'], default: 'pending', index: true },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastAttemptAt: { type: Date },
+    deliveredAt: { type: Date },
+    responseStatus: { type: Number },
+    error: { type: String }
+}, { timestamps: true });
+
+AlertDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('AlertDelivery', AlertDeliverySchema);
@@ -0,0 +1,48 @@
+// src/models/articleModel.js
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Page metadata filled in by the enrichment worker (see services/enrichment)
+const PreviewSchema = new mongoose.Schema({
+    status: { type: String, enum: ['ok', 'failed', 'blocked'], required: true }, // blocked = disallowed by robots.txt
+    title: { type: String },
+    description: { type: String },
+    image: { type: String }, // og:image, absolute
+    publishedAt: { type: Date },
+    language: { type: String }, // e.g. "en", "pt-br"
+    error: { type: String },
+    fetchedAt: { type: Date, required: true }
+}, { _id: false });
+
+// One GKG record: an article URL with the keywords it was counted under (see services/articles).
+// Keyword lists hold the same cleaned / alias-resolved words as the trend docs.
+const ArticleSchema = new mongoose.Schema({
+    url: { type: String, required: true }, // DocumentIdentifier
+    date: { type: String, required: true }, // YYYY-MM-DD of timestamp
+    timestamp: { type: Date, required: true }, // the record's DATE (publication / crawl time, UTC)
+    source: { type: String, default: null }, // outlet domain (see utils/domains)
+    themes: { type: [String], default: undefined },
+    persons: { type: [String], default: undefined },
+    orgs: { type: [String], default: undefined },
+    locations: { type: [String], default: undefined },
+    countries: { type: [String], default: undefined }, // FIPS 10-4 codes of the locations
+    tone: { type: Number, default: undefined }, // V2Tone average tone
+    lang: { type: String, default: undefined }, // ISO 639-1 source language ('en' for the English feed)
+    preview: { type: PreviewSchema, default: undefined },
+    enrichAttempts: { type: Number, default: undefined }
+}, { timestamps: true });
+
+ArticleSchema.index({ url: 1, date: 1 }, { unique: true });
+// newest-first pages per keyword; _id breaks ties between records of the same second
+for (const field of ['themes', 'persons', 'orgs', 'locations']) {
+    ArticleSchema.index({ [field]: 1, timestamp: -1, _id: -1 });
+}
+ArticleSchema.index({ source: 1, timestamp: -1, _id: -1 });
+ArticleSchema.index({ date: 1, timestamp: -1, _id: -1 });
+// retention: MongoDB drops articles this long after their timestamp. An existing TTL index keeps its
+// old value when the setting changes (update it with collMod or drop the index)
+if (config.articles.retentionDays > 0) {
+    ArticleSchema.index({ timestamp: 1 }, { expireAfterSeconds: config.articles.retentionDays * 24 * 3600 });
+}
+
+module.exports = mongoose.model('Article', ArticleSchema);
@@ -0,0 +1,23 @@
+// src/models/cooccurrenceModel.js
+const mongoose = require('mongoose');
+
+// One weighted edge between two entities that appeared in the same GKG record.
+// Edges are stored once, with source/target in category order (persons < orgs < themes).
+// Realtime edges belong to one 15-minute slot (timestamp); daily edges to the whole day.
+const CooccurrenceSchema = new mongoose.Schema({
+    timestamp: { type: Date, required: true },
+    type: { type: String, enum: ['realtime', 'daily'], required: true },
+    date: { type: String, required: true }, // YYYY-MM-DD
+    source: { type: String, required: true },
+    sourceCategory: { type: String, enum: ['persons', 'orgs', 'themes'], required: true },
+    target: { type: String, required: true },
+    targetCategory: { type: String, enum: ['persons', 'orgs', 'themes'], required: true },
+    weight: { type: Number, required: true },
+    savedAt: { type: Date } // the saveEdges run that last wrote the edge; older ones of its slot / day are stale
+}, { timestamps: true });
+
+CooccurrenceSchema.index({ type: 1, date: 1, timestamp: 1, source: 1, target: 1 });
+CooccurrenceSchema.index({ type: 1, date: 1, source: 1 });
+CooccurrenceSchema.index({ type: 1, date: 1, target: 1 });
+
+module.exports = mongoose.model('Cooccurrence', CooccurrenceSchema);
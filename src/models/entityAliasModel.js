@@ -0,0 +1,17 @@
+// src/models/entityAliasModel.js
+const mongoose = require('mongoose');
+
+// One editable merge decision for entity resolution (see services/entities).
+// 'active' rows map alias onto canonical at aggregation time; 'rejected' rows stop the
+// surname / acronym heuristics (and any earlier active row) from merging that pair.
+const EntityAliasSchema = new mongoose.Schema({
+    category: { type: String, enum: ['persons', 'orgs'], required: true },
+    alias: { type: String, required: true },
+    canonical: { type: String, required: true },
+    status: { type: String, enum: ['active', 'rejected'], default: 'active', index: true },
+    note: { type: String }
+}, { timestamps: true });
+
+EntityAliasSchema.index({ category: 1, alias: 1, canonical: 1 }, { unique: true });
+
+module.exports = mongoose.model('EntityAlias', EntityAliasSchema);
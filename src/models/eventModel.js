@@ -0,0 +1,19 @@
+// src/models/eventModel.js
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// The keywords of one GDELT event, kept so that Mentions of events first seen in an earlier
+// 15-minute file can be attributed to their event type and dyad (see services/events)
+const EventSchema = new mongoose.Schema({
+    eventId: { type: Number, required: true }, // GlobalEventID
+    timestamp: { type: Date, required: true }, // DATEADDED
+    code: { type: String, required: true }, // event keyword, e.g. "cameo_025"
+    dyad: { type: String, default: null } // dyad keyword, e.g. "usagov>chn"
+});
+
+EventSchema.index({ eventId: 1 }, { unique: true });
+if (config.events.retentionDays > 0) {
+    EventSchema.index({ timestamp: 1 }, { expireAfterSeconds: config.events.retentionDays * 24 * 3600 });
+}
+
+module.exports = mongoose.model('Event', EventSchema);
@@ -0,0 +1,26 @@
+// src/models/ingestionModel.js
+const mongoose = require('mongoose');
+
+// Ingestion ledger: one entry per GDELT source file and job that consumes it.
+const IngestionSchema = new mongoose.Schema({
+    file: { type: String, required: true }, // e.g. 20240101121500.gkg.csv.zip
+    job: { type: String, enum: ['realtime', 'daily', 'rollup', 'events', 'translation'], required: true }, // events: one Events + Mentions slot; translation: one translingual GKG file
+    kind: { type: String, enum: ['15min', 'daily', 'rollup'], required: true },
+    url: { type: String },
+    fileTimestamp: { type: Date, index: true }, // the slot the file covers (UTC)
+    status: { type: String, enum: ['processing', 'done', 'failed', 'missing'], required: true, index: true },
+    attempts: { type: Number, default: 0 },
+    rows: { type: Number },
+    counts: { type: mongoose.Schema.Types.Mixed }, // e.g. { themes, persons, orgs, locations, documents }
+    checksum: { type: String }, // md5 of the downloaded bytes
+    bytes: { type: Number },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    durationMs: { type: Number },
+    error: { type: String }
+}, { timestamps: true });
+
+IngestionSchema.index({ file: 1, job: 1 }, { unique: true });
+IngestionSchema.index({ job: 1, status: 1, fileTimestamp: 1 });
+
+module.exports = mongoose.model('Ingestion', IngestionSchema);
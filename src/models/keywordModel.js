@@ -0,0 +1,19 @@
+// src/models/keywordModel.js
+const mongoose = require('mongoose');
+
+// Dictionary entry: one keyword in one category, with its count per day it appeared.
+// Each realtime save sets the day's count to the sum of that day's realtime docs (so a re-ingested
+// file is not counted twice); the daily aggregate sets the exact day total, which later realtime
+// saves leave alone (see services/keywordSearch).
+const KeywordSchema = new mongoose.Schema({
+    word: { type: String, required: true },
+    category: { type: String, enum: ['themes', 'persons', 'orgs', 'locations', 'countries'], required: true },
+    firstSeen: { type: String, required: true }, // YYYY-MM-DD
+    lastSeen: { type: String, required: true, index: true },
+    days: { type: Map, of: Number, default: {} }, // YYYY-MM-DD -> count
+    grams: { type: [String], index: true } // trigrams of word, for substring and fuzzy lookups
+}, { timestamps: true });
+
+KeywordSchema.index({ word: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model('Keyword', KeywordSchema);
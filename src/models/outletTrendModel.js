@@ -0,0 +1,24 @@
+// src/models/outletTrendModel.js
+const mongoose = require('mongoose');
+
+const OutletKeywordSchema = new mongoose.Schema({
+    word: { type: String, required: true },
+    count: { type: Number, required: true }
+}, { _id: false });
+
+// Daily themes / persons / orgs of one source outlet (see services/outlets), kept apart from
+// Trend so the global and place-filtered queries never see them
+const OutletTrendSchema = new mongoose.Schema({
+    timestamp: { type: Date, required: true },
+    type: { type: String, enum: ['daily'], default: 'daily' },
+    date: { type: String, required: true }, // YYYY-MM-DD
+    source: { type: String, required: true }, // outlet domain, e.g. "bbc.co.uk"
+    category: { type: String, enum: ['themes', 'persons', 'orgs'], required: true },
+    rows: { type: Number, required: true }, // GKG records of the outlet that day
+    keywords: [OutletKeywordSchema]
+}, { timestamps: true });
+
+OutletTrendSchema.index({ source: 1, category: 1, type: 1, date: 1 }, { unique: true });
+OutletTrendSchema.index({ type: 1, date: 1 });
+
+module.exports = mongoose.model('OutletTrend', OutletTrendSchema);
@@ -1,22 +1,83 @@
 // src/models/trendModel.js
 const mongoose = require('mongoose');
 
+const LocationSchema = new mongoose.Schema({
+    type: { type: Number },
+    name: { type: String },
+    countryCode: { type: String },
+    adm1: { type: String },
+    lat: { type: Number },
+    long: { type: Number },
+    featureId: { type: String }
+}, { _id: false });
+
+const ToneSchema = new mongoose.Schema({
+    mean: { type: Number },
+    min: { type: Number },
+    max: { type: Number },
+    positive: { type: Number },
+    negative: { type: Number },
+    polarity: { type: Number },
+    activityDensity: { type: Number },
+    samples: { type: Number },
+    distribution: {
+        veryNegative: { type: Number, default: 0 },
+        negative: { type: Number, default: 0 },
+        neutral: { type: Number, default: 0 },
+        positive: { type: Number, default: 0 },
+        veryPositive: { type: Number, default: 0 }
+    }
+}, { _id: false });
+
+// a spelling merged into the keyword by entity resolution (see services/entities)
+const VariantSchema = new mongoose.Schema({
+    word: { type: String, required: true },
+    count: { type: Number, required: true }
+}, { _id: false });
+
+// GDELT Events aggregates, only for categories 'events' and 'dyads' (see services/events)
+const EventStatsSchema = new mongoose.Schema({
+    numMentions: { type: Number }, // sum of NumMentions
+    numSources: { type: Number },
+    numArticles: { type: Number },
+    goldstein: { type: Number }, // mean Goldstein scale
+    quadClass: { type: Number }, // most frequent QuadClass
+    mentions: { type: Number }, // rows of the Mentions stream, including later mentions of older events
+    mentionTone: { type: Number } // mean MentionDocTone of those mentions
+}, { _id: false });
+
 const KeywordSchema = new mongoose.Schema({
     word: { type: String, required: true },
     count: { type: Number, required: true },
     score: { type: Number, required: false },
-    documents: { type: [String], default: [] }
+    documents: { type: [String], default: [] },
+    tone: { type: ToneSchema, required: false }, // V2Tone stats across the rows mentioning this keyword
+    location: { type: LocationSchema, required: false }, // only for category 'locations'
+    variants: { type: [VariantSchema], default: undefined }, // only for persons / orgs with merged aliases
+    label: { type: String, required: false }, // display name where the word is a code (dyads: the actor names)
+    event: { type: EventStatsSchema, required: false }
 }, { _id: false });
 
 const TrendSchema = new mongoose.Schema({
     timestamp: { type: Date, required: true, index: true },
-    type: { type: String, enum: ['realtime', 'daily', 'ranked'], required: true, index: true },
-    date: { type: String, required: true, index: true }, // YYYY-MM-DD (useful)
-    category: { type: String, enum: ['themes', 'persons', 'orgs', 'all', 'documents'], default: 'all', index: true },
+    // hourly docs roll up realtime ones; weekly and monthly roll up daily ones (see services/periods)
+    type: { type: String, enum: ['realtime', 'hourly', 'daily', 'weekly', 'monthly', 'ranked'], required: true, index: true },
+    date: { type: String, required: true, index: true }, // YYYY-MM-DD; for weekly the Monday, for monthly the 1st
+    category: { type: String, enum: ['themes', 'persons', 'orgs', 'locations', 'countries', 'all', 'documents', 'sources', 'events', 'dyads'], default: 'all', index: true },
+    geo: { type: String, default: null }, // FIPS country or ADM1 code for place-filtered aggregates; null = global
+    // source language: null = the English GKG feed; an ISO 639-1 code = that language's records of the
+    // translingual feed; 'all' = both feeds merged (daily only, see services/languages). Languages are kept
+    // for global realtime, daily and ranked docs of themes / persons / orgs / locations only: rollups,
+    // place-filtered, sources, documents and events docs are English-feed only. Queries name lang explicitly.
+    lang: { type: String, default: null },
+    scorer: { type: String, default: null }, // scoring strategy for type 'ranked' (see services/scorers)
+    scorerParams: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    days: { type: Number, default: undefined }, // weekly / monthly: days of daily docs summed in; complete when it equals the period's length
+    rows: { type: Number, default: undefined }, // records aggregated; set on 'sources' docs (article totals) and realtime 'events' / 'dyads' docs (events)
     keywords: [KeywordSchema]
 }, { timestamps: true });
 
 // Compound index for fast lookups
-TrendSchema.index({ type: 1, date: 1, category: 1 });
+TrendSchema.index({ type: 1, date: 1, category: 1, geo: 1, lang: 1 });
 
 module.exports = mongoose.model('Trend', TrendSchema);
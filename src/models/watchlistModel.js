@@ -0,0 +1,35 @@
+// src/models/watchlistModel.js
+const mongoose = require('mongoose');
+
+// One tracked keyword or pattern. match 'exact' compares the cleaned keyword,
+// 'prefix' its start, 'regex' tests pattern as a case-insensitive regular expression.
+const TermSchema = new mongoose.Schema({
+    category: { type: String, enum: ['themes', 'persons', 'orgs', 'locations'], required: true },
+    pattern: { type: String, required: true },
+    match: { type: String, enum: ['exact', 'prefix', 'regex'], default: 'exact' }
+}, { _id: false });
+
+// metric 'count': the keyword's count in the aggregate; 'growth': count / mean of the previous
+// `baseline` aggregates of the same type; 'score': the ranked score (daily only, see services/scorers)
+const RuleSchema = new mongoose.Schema({
+    metric: { type: String, enum: ['count', 'growth', 'score'], default: 'count' },
+    threshold: { type: Number, required: true },
+    baseline: { type: Number, default: 4 }, // previous aggregates averaged for 'growth'
+    minCount: { type: Number, default: 1 }, // 'growth' / 'score' matches below this count are ignored
+    types: { type: [String], enum: ['realtime', 'daily'], default: ['realtime', 'daily'] },
+    scorer: { type: String, default: 'blend' }
+}, { _id: false });
+
+const WatchlistSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    description: { type: String },
+    terms: { type: [TermSchema], validate: v => Array.isArray(v) && v.length > 0 },
+    rule: { type: RuleSchema, required: true },
+    webhooks: { type: [String], default: [] },
+    secret: { type: String }, // HMAC key for the X-Trends-Signature header
+    active: { type: Boolean, default: true, index: true },
+    cooldownMinutes: { type: Number, default: 60 }, // a keyword alerts at most once per cooldown
+    lastAlerted: { type: Map, of: Date, default: {} } // "category:word" -> last alert time
+}, { timestamps: true });
+
+module.exports = mongoose.model('Watchlist', WatchlistSchema);
@@ -0,0 +1,121 @@
+// src/routes/entities.js
+// Mounted at /trends/admin/entities: the editable alias table behind entity resolution
+const express = require('express');
+const EntityAlias = require('../models/entityAliasModel');
+const { cleanKeyword } = require('../utils/cleaner');
+const { ENTITY_CATEGORIES, refreshAliases, affectedDays } = require('../services/entities');
+const { rebuildDays, rebuildStatus } = require('../services/rollup');
+const { listDays } = require('../services/timeSeries');
+const config = require('../config');
+const router = express.Router();
+const winston = require('winston');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+// { category, alias, canonical } cleaned the way parsed keywords are, or { error }
+function parseMerge(body) {
+    const { category } = body || {};
+    if (!ENTITY_CATEGORIES.includes(category)) return { error: `category must be one of ${ENTITY_CATEGORIES.join(', ')}` };
+    const alias = cleanKeyword(body.alias);
+    const canonical = cleanKeyword(body.canonical);
+    if (!alias || !canonical) return { error: 'alias and canonical are required' };
+    if (alias === canonical) return { error: 'alias and canonical must differ' };
+    return { category, alias, canonical };
+}
+
+// { from, to, recompute } of a merge request: at most config.aggregation.maxRebuildDays days, by default the
+// ones ending today; recompute is refused while another rebuild runs. Returns { error, status } otherwise.
+function parseRecompute(input) {
+    const maxDays = config.aggregation.maxRebuildDays;
+    const isDay = d => /^\d{4}-\d{2}-\d{2}$/.test(String(d)) && !Number.isNaN(Date.parse(d));
+    const to = input.to || input.from || new Date().toISOString().slice(0, 10);
+    if (!isDay(to) || (input.from && !isDay(input.from))) return { error: 'from / to must be YYYY-MM-DD', status: 400 };
+    const start = new Date(`${to}T00:00:00.000Z`);
+    start.setUTCDate(start.getUTCDate() - (maxDays - 1));
+    const from = input.from || start.toISOString().slice(0, 10);
+    if (from > to) return { error: 'from must be <= to', status: 400 };
+    if (listDays(from, to).length > maxDays) return { error: `range too large (max ${maxDays} days)`, status: 400 };
+    const recompute = input.recompute === true || input.recompute === '1' || input.recompute === 'true';
+    const running = rebuildStatus();
+    if (recompute && running && running.running) return { error: 'A rebuild is already running', status: 409 };
+    return { from, to, recompute };
+}
+
+// with recompute, rebuilds the daily docs from..to mentioning either side of the merge in the background.
+// Cached /daily responses for those days expire on their own (15 minutes).
+async function recompute(merge, { from, to, recompute: rebuild }) {
+    const dates = await affectedDays({ ...merge, from, to });
+    if (rebuild && dates.length > 0) {
+        logger.info(`Recomputing ${dates.length} days after ${merge.category} merge ${merge.alias} -> ${merge.canonical}`);
+        rebuildDays({ dates })
+            .then(results => logger.info(`Entity recompute finished: ${results.filter(r => r.ok).length}/${results.length} days`))
+            .catch(err => logger.error(`Entity recompute error: ${err.message}`));
+    }
+    return { from, to, affectedDays: dates, recomputing: rebuild && dates.length > 0 };
+}
+
+async function saveMerge(req, res, status) {
+    const merge = parseMerge(req.body);
+    if (merge.error) return res.status(400).json({ error: merge.error });
+    const range = parseRecompute(req.body || {});
+    if (range.error) return res.status(range.status).json({ error: range.error });
+    try {
+        if (status === 'active') {
+            // an alias points at one canonical entity at a time
+            await EntityAlias.deleteMany({ category: merge.category, alias: merge.alias, canonical: { $ne: merge.canonical }, status: 'active' }).exec();
+        }
+        const row = await EntityAlias.findOneAndUpdate(
+            merge,
+            { $set: { status, ...(req.body.note ? { note: req.body.note } : {}) } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        ).lean().exec();
+        await refreshAliases({ force: true });
+        logger.info(`Entity merge ${merge.category} ${merge.alias} -> ${merge.canonical} set to ${status}`);
+        return res.status(201).json({ alias: row, ...(await recompute(merge, range)) });
+    } catch (err) {
+        logger.error(`Error saving entity merge: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+}
+
+// GET /trends/admin/entities/aliases?category=persons|orgs&status=active|rejected
+router.get('/aliases', async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.category) filter.category = req.query.category;
+        if (req.query.status) filter.status = req.query.status;
+        const aliases = await EntityAlias.find(filter).sort({ category: 1, canonical: 1, alias: 1 }).lean().exec();
+        return res.json({ results: aliases });
+    } catch (err) {
+        logger.error(`Error in GET /admin/entities/aliases: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /trends/admin/entities/aliases { category, alias, canonical, note?, recompute?, from?, to? }
+// Merges alias into canonical from now on; recompute=true also rebuilds the affected days of from..to
+// (at most config.aggregation.maxRebuildDays, by default the ones ending today)
+router.post('/aliases', (req, res) => saveMerge(req, res, 'active'));
+
+// POST /trends/admin/entities/reject { category, alias, canonical, recompute?, from?, to? }
+// Stops the heuristics (and any alias row) from merging that pair
+router.post('/reject', (req, res) => saveMerge(req, res, 'rejected'));
+
+// DELETE /trends/admin/entities/aliases/:id?recompute=1&from=YYYY-MM-DD&to=YYYY-MM-DD
+router.delete('/aliases/:id', async (req, res) => {
+    const range = parseRecompute(req.query);
+    if (range.error) return res.status(range.status).json({ error: range.error });
+    try {
+        const row = await EntityAlias.findByIdAndDelete(req.params.id).lean().exec();
+        if (!row) return res.status(404).json({ error: 'alias not found' });
+        await refreshAliases({ force: true });
+        const merge = { category: row.category, alias: row.alias, canonical: row.canonical };
+        return res.json({ deleted: row, ...(await recompute(merge, range)) });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(400).json({ error: err.message });
+        logger.error(`Error in DELETE /admin/entities/aliases/:id: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
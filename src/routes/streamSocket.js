@@ -0,0 +1,62 @@
+// src/routes/streamSocket.js
+// WebSocket twin of GET /trends/stream: ws://host/trends/stream?category=themes&limit=20
+// receives the same JSON updates, one message per saved realtime interval.
+const { URL } = require('url');
+const { WebSocketServer } = require('ws');
+const config = require('../config');
+const winston = require('winston');
+const { subscribe, latestUpdate, filterUpdate, parseStreamQuery } = require('../services/liveStream');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const STREAM_PATH = '/trends/stream';
+
+function attachStreamSocket(server) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== STREAM_PATH) return socket.destroy();
+        const query = parseStreamQuery(Object.fromEntries(url.searchParams));
+        if (query.error) {
+            socket.end(`HTTP/1.1 400 Bad Request\r\nContent-Type: text/plain\r\n\r\n${query.error}`);
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, query));
+    });
+
+    wss.on('connection', async (ws, { categories, limit }) => {
+        const send = (message) => {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(filterUpdate(message, { categories, limit })));
+        };
+        const unsubscribe = subscribe(send);
+        ws.isAlive = true;
+        ws.on('pong', () => { ws.isAlive = true; });
+        ws.on('close', unsubscribe);
+        ws.on('error', err => logger.warn(`WebSocket client error: ${err.message}`));
+        try {
+            const latest = await latestUpdate();
+            if (latest) send(latest);
+        } catch (err) {
+            logger.warn(`Could not send latest update to WebSocket client: ${err.message}`);
+        }
+    });
+
+    // drop clients that stopped answering pings (closed laptops, dead proxies)
+    const heartbeat = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, config.stream.heartbeatSeconds * 1000);
+    wss.on('close', () => clearInterval(heartbeat));
+
+    logger.info(`WebSocket stream listening on ${STREAM_PATH}`);
+    return wss;
+}
+
+module.exports = { attachStreamSocket };
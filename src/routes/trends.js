@@ -1,5 +1,7 @@
 // src/routes/trends.js
 const express = require('express');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const Trend = require('../models/trendModel');
 const config = require('../config');
 const IORedis = require('ioredis');
@@ -11,7 +13,28 @@ const { get } = require('lodash');
 const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
 
 const { fetchAndProcess } = require('../services/gdeltFetcher');
-const { scoreTrends } = require('../services/trendScorer');
+const { scoreTrends, comparePeriods, getKeywordStats } = require('../services/trendScorer');
+const { getScorer, listScorers, resolveParams } = require('../services/scorers');
+const { toGeoFeature } = require('../utils/locations');
+const { sortByTone } = require('../utils/tone');
+const { getNeighbourhood } = require('../services/cooccurrence');
+const { GRANULARITIES, getKeywordSeries, resolveGranularity, listDays } = require('../services/timeSeries');
+const { loadRange, mergeKeywordLists } = require('../services/periods');
+const ledger = require('../services/ledger');
+const { replay, replayStatus } = require('../services/replay');
+const { rebuildDays, rebuildStatus } = require('../services/rollup');
+const { subscribe, latestUpdate, filterUpdate, parseStreamQuery } = require('../services/liveStream');
+const { DICTIONARY_CATEGORIES, searchKeywords, rebuildDictionary } = require('../services/keywordSearch');
+const { FORMATS, resolveFormat, keywordRows, docRows, renderRows, csvHeader, csvLine, ndjsonLine } = require('../utils/formats');
+const { listFamilies, parseThemeQuery, applyThemeOptions } = require('../utils/themes');
+const { normalizeDomain } = require('../utils/domains');
+const { OUTLET_CATEGORIES, sourceLeaderboard, compareOutlet } = require('../services/outlets');
+const { ARTICLE_CATEGORIES, findArticles, articlesMentioning } = require('../services/articles');
+const { enrichTopDocuments, publicPreview, attachPreviews } = require('../services/enrichment');
+const { EVENT_CATEGORIES } = require('../services/eventCollector');
+const { QUAD_CLASSES, describeEvent, listRoots } = require('../utils/cameo');
+const { toLangCode } = require('../utils/languages');
+const { LANG_CATEGORIES, compareLanguages } = require('../services/languages');
 
 async function getCachedOrDb(key, dbQuery) {
     const cached = await redis.get(key);
@@ -23,6 +46,84 @@ async function getCachedOrDb(key, dbQuery) {
     return doc;
 }
 
+// drops cached /daily responses touching `dates`: single days (every category and language) and
+// from..to ranges containing one of them, whose weekly / monthly rollups a rebuild also changes
+async function invalidateDaily(dates) {
+    const keys = [];
+    for await (const batch of redis.scanStream({ match: 'daily:*', count: 500 })) {
+        for (const key of batch) {
+            const [from, to = from] = key.split(':')[1].split('..');
+            if (dates.some(d => d >= from && d <= to)) keys.push(key);
+        }
+    }
+    if (keys.length > 0) await redis.del(...keys);
+    return keys.length;
+}
+
+// JSON payload as is, or its keyword rows as CSV / NDJSON / RSS / Atom (see utils/formats)
+function sendFormatted(req, res, format, payload, rows, feedTitle) {
+    res.vary('Accept');
+    if (format === 'json') return res.json(payload);
+    const feed = { title: feedTitle, link: `${req.protocol}://${req.get('host')}${req.originalUrl}` };
+    return res.type(FORMATS[format]).send(renderRows(format, rows, feed));
+}
+
+// theme docs get labels and, with group= / family= / excludeFamily=, family groups of the stored top N and filters (see utils/themes)
+function applyThemeDocs(docs, themeOpts) {
+    const apply = d => (d && d.category === 'themes' && Array.isArray(d.keywords) ? { ...d, keywords: applyThemeOptions(d.keywords, themeOpts) } : d);
+    return Array.isArray(docs) ? docs.map(apply) : apply(docs);
+}
+
+// sort=tone reorders keywords by mean tone (order=asc: most negative first, order=desc: most positive first)
+function applyToneSort(docs, query) {
+    if (query.sort !== 'tone' || !docs) return docs;
+    const order = query.order === 'desc' ? 'desc' : 'asc';
+    const sortDoc = (d) => (d && Array.isArray(d.keywords) ? { ...d, keywords: sortByTone(d.keywords, order) } : d);
+    return Array.isArray(docs) ? docs.map(sortDoc) : sortDoc(docs);
+}
+
+// country=XX (FIPS 10-4, as used in GKG V2Locations) or adm1=XXnn; adm1 wins when both are given
+function parseGeoParam(query) {
+    if (query.adm1) {
+        const adm1 = String(query.adm1).trim().toUpperCase();
+        if (!/^[A-Z]{2}[A-Z0-9]{1,3}$/.test(adm1)) return { error: 'adm1 must be a GDELT ADM1 code, e.g. USTX' };
+        return { geo: adm1 };
+    }
+    if (query.country) {
+        const country = String(query.country).trim().toUpperCase();
+        if (!/^[A-Z]{2}$/.test(country)) return { error: 'country must be a 2-letter FIPS 10-4 code, e.g. RP' };
+        return { geo: country };
+    }
+    return { geo: null };
+}
+
+// "YYYY-MM-DD..YYYY-MM-DD" or a single "YYYY-MM-DD" -> { from, to }, or null when malformed
+function parsePeriod(input) {
+    if (!input) return null;
+    const m = String(input).trim().match(/^(\d{4}-\d{2}-\d{2})(?:\.\.(\d{4}-\d{2}-\d{2}))?$/);
+    if (!m) return null;
+    const period = { from: m[1], to: m[2] || m[1] };
+    return period.from <= period.to ? period : null;
+}
+
+// source=bbc.co.uk (a URL works too) -> { source }, or { source: null } when absent
+function parseSourceParam(query) {
+    if (!query.source) return { source: null };
+    const raw = String(query.source).trim().toLowerCase();
+    const source = normalizeDomain(raw) || raw;
+    return source ? { source } : { error: 'source must be an outlet domain, e.g. bbc.co.uk' };
+}
+
+// lang=es (ISO 639-1 or 639-2) or lang=all -> { lang }; absent or en reads the English feed (lang null)
+function parseLangParam(query) {
+    if (!query.lang) return { lang: null };
+    const raw = String(query.lang).trim().toLowerCase();
+    if (raw === 'all') return { lang: 'all' };
+    const lang = toLangCode(raw);
+    if (!lang) return { error: 'lang must be an ISO 639-1 language code, e.g. es, or all' };
+    return { lang: lang === 'en' ? null : lang };
+}
+
 function parseWindowDays(input) {
     if (!input) return 7;
     const raw = String(input).trim().toLowerCase();
@@ -46,17 +147,54 @@ function parseWindowDays(input) {
     return 7;
 }
 
-// GET /trends/realtime?date=YYYY-MM-DD&category=themes|persons|orgs|documents|all
+// /trends/watchlists: watchlist CRUD, delivery log and test alerts
+router.use('/watchlists', require('./watchlists'));
+// /trends/admin/entities: entity alias table (add / reject merges, recompute affected days)
+router.use('/admin/entities', require('./entities'));
+
+// GET /trends/stream?category=themes,persons&limit=20  (Server-Sent Events)
+// Pushes a 'trends' event with the top keywords per category and their rank changes each time a
+// realtime interval is saved; the latest update is sent on connect. WebSocket clients use the same
+// path (see routes/streamSocket).
+router.get('/stream', async (req, res) => {
+    const { categories, limit, error } = parseStreamQuery(req.query);
+    if (error) return res.status(400).json({ error });
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+
+    const send = (message) => res.write(`event: trends\nid: ${message.timestamp}\ndata: ${JSON.stringify(filterUpdate(message, { categories, limit }))}\n\n`);
+    const unsubscribe = subscribe(send);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.stream.heartbeatSeconds * 1000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+    logger.info(`SSE client connected to /stream. Query: ${JSON.stringify(req.query)}`);
+    try {
+        const latest = await latestUpdate();
+        if (latest) send(latest);
+    } catch (err) {
+        logger.warn(`Could not send latest update to SSE client: ${err.message}`);
+    }
+});
+
+// GET /trends/realtime?date=YYYY-MM-DD&category=themes|persons|orgs|documents|all&lang=es&sort=tone&order=asc|desc
+//     &format=json|csv|ndjson|rss|atom (or the matching Accept header; same for /daily, /top and /documents)
 router.get('/realtime', async (req, res) => {
     logger.info(`Received /realtime request. Query: ${JSON.stringify(req.query)}`);
+    const { format, error } = resolveFormat(req);
+    if (error) return res.status(400).json({ error });
+    const { lang, error: langError } = parseLangParam(req.query);
+    if (langError) return res.status(400).json({ error: langError });
+    if (lang === 'all') return res.status(400).json({ error: 'lang=all only applies to daily aggregates' });
     try {
         const date = req.query.date || new Date().toISOString().slice(0, 10);
         const category = req.query.category || 'all';
-        const key = `realtime:${date}:${category}`;
+        const key = `realtime:${date}:${category}${lang ? `:${lang}` : ''}`;
         const queryCategory = category === 'all' ? { $in: ['themes', 'persons', 'orgs', 'documents'] } : category;
 
         const docs = await getCachedOrDb(key, () =>
-            Trend.find({ type: 'realtime', date, category: queryCategory })
+            Trend.find({ type: 'realtime', date, category: queryCategory, geo: null, lang })
                 .sort({ timestamp: -1 })
                 .limit(20)
                 .lean()
@@ -64,32 +202,67 @@ router.get('/realtime', async (req, res) => {
         );
 
         logger.info(`Sending /realtime response. Date: ${date}, Category: ${category}, Results count: ${docs ? docs.length : 0}`);
-        return res.json({ date, category, results: docs });
+        const results = applyToneSort(docs, req.query);
+        return sendFormatted(req, res, format, { date, category, ...(lang ? { lang } : {}), results }, docRows(results), `Realtime ${category} trends ${date}${lang ? ` (${lang})` : ''}`);
     } catch (err) {
         logger.error(`Error in /realtime: ${err.message}`);
         return res.status(500).json({ error: err.message });
     }
 });
 
-// GET /trends/daily?date=YYYY-MM-DD&category=themes|persons|orgs|documents|all
+// GET /trends/daily?date=YYYY-MM-DD&category=themes|persons|orgs|documents|all&lang=es|all&sort=tone&order=asc|desc
+//     or from=YYYY-MM-DD&to=YYYY-MM-DD for keywords summed over a range, read from the coarsest
+//     monthly / weekly / daily docs that cover it
+//     themes: group=family|subfamily&family=tax,econ&excludeFamily=wb (labels are always added)
 router.get('/daily', async (req, res) => {
     logger.info(`Received /daily request. Query: ${JSON.stringify(req.query)}`);
+    const { format, error } = resolveFormat(req);
+    if (error) return res.status(400).json({ error });
+    const themeOpts = parseThemeQuery(req.query);
+    if (themeOpts.error) return res.status(400).json({ error: themeOpts.error });
+    if (themeOpts.active && !['themes', 'all', undefined].includes(req.query.category)) {
+        return res.status(400).json({ error: 'group, family and excludeFamily only apply to category themes' });
+    }
+    const { lang, error: langError } = parseLangParam(req.query);
+    if (langError) return res.status(400).json({ error: langError });
+    const langKey = lang ? `:${lang}` : '';
+    if (req.query.from) {
+        const period = parsePeriod(`${req.query.from}..${req.query.to || req.query.from}`);
+        if (!period) return res.status(400).json({ error: 'from/to must be YYYY-MM-DD with from <= to' });
+        try {
+            const category = req.query.category || 'all';
+            const categories = category === 'all' ? ['themes', 'persons', 'orgs', 'locations', 'countries'] : [category];
+            const key = `daily:${period.from}..${period.to}:${category}${langKey}`;
+            const results = await getCachedOrDb(key, () => Promise.all(categories.map(async cat => {
+                const { docs, missing } = await loadRange({ category: cat, ...period, lang });
+                const granularity = docs.reduce((acc, d) => ({ ...acc, [d.type]: (acc[d.type] || 0) + 1 }), {});
+                return { type: 'range', ...period, category: cat, granularity, missingDays: missing, keywords: mergeKeywordLists(docs.map(d => d.keywords), config.topN) };
+            })));
+            logger.info(`Sending /daily range response. ${period.from}..${period.to}, Category: ${category}`);
+            const sorted = applyThemeDocs(applyToneSort(category === 'all' ? results : results[0], req.query), themeOpts);
+            return sendFormatted(req, res, format, { ...period, category, ...(lang ? { lang } : {}), results: sorted }, docRows(sorted), `Top ${category} trends ${period.from}..${period.to}${lang ? ` (${lang})` : ''}`);
+        } catch (err) {
+            logger.error(`Error in /daily range: ${err.message}`);
+            return res.status(500).json({ error: err.message });
+        }
+    }
     try {
         const date = req.query.date || new Date().toISOString().slice(0, 10);
         const category = req.query.category || 'all';
-        const key = `daily:${date}:${category}`;
+        const key = `daily:${date}:${category}${langKey}`;
 
         const docs = await getCachedOrDb(key, () => {
             if (category === 'all') {
-                return Trend.find({ type: 'daily', date }).lean().exec();
+                return Trend.find({ type: 'daily', date, geo: null, lang }).lean().exec();
             } else {
-                return Trend.findOne({ type: 'daily', date, category }).lean().exec();
+                return Trend.findOne({ type: 'daily', date, category, geo: null, lang }).lean().exec();
             }
         });
 
         const categories = Array.isArray(docs) ? docs.map(d => d.category) : (docs ? [docs.category] : []);
         logger.info(`Sending /daily response. Date: ${date}, Category: ${category}, Results: ${docs ? (Array.isArray(docs) ? docs.length : 1) : 0}, Categories present: ${categories.join(',')}`);
-        return res.json({ date, category, results: docs });
+        const results = applyThemeDocs(applyToneSort(docs, req.query), themeOpts);
+        return sendFormatted(req, res, format, { date, category, ...(lang ? { lang } : {}), results }, docRows(results), `Top ${category} trends ${date}${lang ? ` (${lang})` : ''}`);
     } catch (err) {
         logger.error(`Error in /daily: ${err.message}`);
         return res.status(500).json({ error: err.message });
@@ -107,13 +280,7 @@ router.post('/admin/fetchDaily', async (req, res) => {
         logger.info(`Admin: manual daily fetch for ${dateStr}`);
         const ok = await fetchAndProcess(d, { category: 'all', timestamp: d, jobType: 'daily' });
 
-        await Promise.all([
-            redis.del(`daily:${dateStr}:all`),
-            redis.del(`daily:${dateStr}:themes`),
-            redis.del(`daily:${dateStr}:persons`),
-            redis.del(`daily:${dateStr}:orgs`),
-            redis.del(`daily:${dateStr}:documents`),
-        ]);
+        await invalidateDaily([dateStr]);
         return res.json({ ok });
     } catch (err) {
         logger.error(`Admin fetchDaily error: ${err.message}`);
@@ -121,23 +288,225 @@ router.post('/admin/fetchDaily', async (req, res) => {
     }
 });
 
-// GET /trends/top?date=YYYY-MM-DD&category=themes|persons|orgs|documents&window=7|30|3m|1y|3y&limit=50
+// GET /trends/admin/ledger?from=YYYY-MM-DD&to=YYYY-MM-DD&job=realtime|daily|rollup|events|translation
+// Ingestion ledger gaps (expected source slots never completed) and failed / missing files
+router.get('/admin/ledger', async (req, res) => {
+    const job = ['realtime', 'daily', 'rollup', 'events', 'translation'].includes(req.query.job) ? req.query.job : 'realtime';
+    const to = req.query.to ? new Date(`${req.query.to}T23:59:59.999Z`) : new Date();
+    const from = req.query.from ? new Date(`${req.query.from}T00:00:00.000Z`) : new Date(to.getTime() - 24 * 3600 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+        return res.status(400).json({ error: 'from/to must be YYYY-MM-DD with from <= to' });
+    }
+    try {
+        const result = await ledger.findGaps({ from, to, job });
+        logger.info(`Admin ledger ${job} ${from.toISOString()}..${to.toISOString()}: ${result.gaps.length} gaps, ${result.failures.length} failures`);
+        return res.json({ job, from, to, ...result });
+    } catch (err) {
+        logger.error(`Admin ledger error: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /trends/admin/replay?from=YYYY-MM-DD[THH:mm]&to=YYYY-MM-DD[THH:mm]&speed=0|1|96&force=1&source=http|local|s3
+// Replays archived 15-min files (at most config.ingestion.maxReplayDays) through the realtime pipeline in the
+// background; GET returns progress
+router.post('/admin/replay', async (req, res) => {
+    const parseTime = (v, endOfDay) => {
+        if (!v) return null;
+        const s = String(v).trim();
+        const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : s);
+        return Number.isNaN(d.getTime()) ? null : d;
+    };
+    const from = parseTime(req.query.from, false);
+    const to = parseTime(req.query.to || req.query.from, true);
+    if (!from || !to || from > to) {
+        return res.status(400).json({ error: 'from (and optional to) query params required: YYYY-MM-DD or ISO timestamps, from <= to' });
+    }
+    const maxDays = config.ingestion.maxReplayDays;
+    if (to - from > maxDays * 24 * 3600 * 1000) {
+        return res.status(400).json({ error: `range too large (max ${maxDays} days per replay)` });
+    }
+    if (req.query.source && !['http', 'local', 's3'].includes(req.query.source)) {
+        return res.status(400).json({ error: 'source must be http, local or s3' });
+    }
+    const speed = Math.max(0, Number(req.query.speed) || 0);
+    const force = req.query.force === '1' || req.query.force === 'true';
+    const status = replayStatus();
+    if (status && status.running) {
+        return res.status(409).json({ error: 'A replay is already running', status });
+    }
+    logger.info(`Admin: replay ${from.toISOString()}..${to.toISOString()} speed ${speed} force ${force}`);
+    replay({ from, to, speed, force, sourceType: req.query.source || undefined })
+        .catch(err => logger.error(`Admin replay error: ${err.message}`));
+    return res.status(202).json({ ok: true, from, to, speed, force });
+});
+
+router.get('/admin/replay', (req, res) => {
+    return res.json(replayStatus() || { running: false });
+});
+
+// POST /trends/admin/rebuild?from=YYYY-MM-DD&to=YYYY-MM-DD&approximate=1
+// Re-runs the daily rollup for each day from its 15-min files (at most config.aggregation.maxRebuildDays),
+// in the background, one rebuild at a time; GET returns progress.
+// approximate=1 uses count-min sketch + heavy hitters to keep memory bounded on long ranges
+router.post('/admin/rebuild', async (req, res) => {
+    const period = parsePeriod(req.query.to ? `${req.query.from}..${req.query.to}` : req.query.from);
+    if (!period) {
+        return res.status(400).json({ error: 'from (and optional to) query params required: YYYY-MM-DD, from <= to' });
+    }
+    const maxDays = config.aggregation.maxRebuildDays;
+    if (listDays(period.from, period.to).length > maxDays) {
+        return res.status(400).json({ error: `range too large (max ${maxDays} days per rebuild)` });
+    }
+    const status = rebuildStatus();
+    if (status && status.running) {
+        return res.status(409).json({ error: 'A rebuild is already running', status });
+    }
+    const approximate = req.query.approximate === undefined
+        ? config.aggregation.approximateRollups
+        : req.query.approximate === '1' || req.query.approximate === 'true';
+    logger.info(`Admin: rebuild daily ${period.from}..${period.to} (approximate: ${approximate})`);
+    rebuildDays({ ...period, approximate })
+        .then(async results => {
+            await invalidateDaily(results.filter(r => r.ok).map(r => r.date));
+            logger.info(`Admin rebuild finished: ${results.filter(r => r.ok).length}/${results.length} days`);
+        })
+        .catch(err => logger.error(`Admin rebuild error: ${err.message}`));
+    return res.status(202).json({ ok: true, ...period, approximate });
+});
+
+router.get('/admin/rebuild', (req, res) => {
+    return res.json(rebuildStatus() || { running: false });
+});
+
+// POST /trends/admin/enrich?date=YYYY-MM-DD&type=realtime|daily
+// Fetches previews for the top keywords' documents of that day's latest slot (or daily doc), in the background
+router.post('/admin/enrich', (req, res) => {
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    const type = req.query.type === 'daily' ? 'daily' : 'realtime';
+    logger.info(`Admin: enrich documents of ${type} ${date}`);
+    enrichTopDocuments({ date, type })
+        .catch(err => logger.error(`Admin enrich error: ${err.message}`));
+    return res.status(202).json({ ok: true, date, type });
+});
+
+// POST /trends/admin/dictionary?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Backfills the keyword search dictionary from stored daily docs, in the background
+router.post('/admin/dictionary', async (req, res) => {
+    const period = parsePeriod(req.query.to ? `${req.query.from}..${req.query.to}` : req.query.from);
+    if (!period) {
+        return res.status(400).json({ error: 'from (and optional to) query params required: YYYY-MM-DD, from <= to' });
+    }
+    logger.info(`Admin: rebuild keyword dictionary ${period.from}..${period.to}`);
+    rebuildDictionary(period).catch(err => logger.error(`Admin dictionary rebuild error: ${err.message}`));
+    return res.status(202).json({ ok: true, ...period });
+});
+
+// GET /trends/search?q=ukraine&category=themes|persons|orgs|locations|countries&limit=20&mode=all|prefix
+// Keywords ever stored that start with, contain or (mode=all, q of 4+ characters) nearly contain q,
+// with total count, first / last seen dates and categories. mode=prefix is the cheaper autocomplete.
+router.get('/search', async (req, res) => {
+    logger.info(`Received /search request. Query: ${JSON.stringify(req.query)}`);
+    const q = String(req.query.q || '').toLowerCase().trim();
+    if (q.length < 2) {
+        return res.status(400).json({ error: 'q query param required (at least 2 characters)' });
+    }
+    const category = req.query.category;
+    if (category && !DICTIONARY_CATEGORIES.includes(category)) {
+        return res.status(400).json({ error: `category must be one of ${DICTIONARY_CATEGORIES.join(', ')}` });
+    }
+    const mode = req.query.mode || 'all';
+    if (!['all', 'prefix'].includes(mode)) {
+        return res.status(400).json({ error: 'mode must be all or prefix' });
+    }
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 200);
+        const key = `search:${mode}:${category || 'any'}:${limit}:${q}`;
+        const results = await getCachedOrDb(key, () => searchKeywords({ q, category, limit, mode }));
+
+        logger.info(`Sending /search response. q: ${q}, Results: ${results.length}`);
+        return res.json({ q, mode, ...(category ? { category } : {}), results });
+    } catch (err) {
+        logger.error(`Error in /search: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /trends/top?date=YYYY-MM-DD&category=themes|persons|orgs|documents&window=7|30|3m|1y|3y&limit=50&sort=score|tone&order=asc|desc
+//     &country=XX|adm1=XXnn  (restricts to GKG rows whose V2Locations mention that place)
+//     &scorer=blend|zscore|ewma|poisson|kleinberg plus that scorer's params (see GET /trends/scorers)
+//     &source=domain  (themes / persons / orgs of one outlet ranked by lift over all other outlets in the window)
+//     &lang=es|all  (one source language of the translingual feed, or both feeds merged; default the English feed)
 router.get('/top', async (req, res) => {
     logger.info(`Received /top request. Query: ${JSON.stringify(req.query)}`);
+    const { format, error } = resolveFormat(req);
+    if (error) return res.status(400).json({ error });
+    const themeOpts = parseThemeQuery(req.query);
+    if (themeOpts.error) return res.status(400).json({ error: themeOpts.error });
+    const respond = async (payload, limit) => {
+        let results = applyToneSort({ keywords: payload.results }, req.query).keywords;
+        if (payload.category === 'themes') results = applyThemeOptions(results, themeOpts).slice(0, limit);
+        // previews are looked up on every response while enrichment is enabled: the worker fills them in after ranking
+        results = await attachPreviews(results);
+        const rows = keywordRows(results, { type: 'ranked', date: payload.date, category: payload.category, geo: payload.geo, scorer: payload.scorer });
+        const body = { ...payload, ...(themeOpts.group ? { group: themeOpts.group } : {}), results };
+        const scope = payload.geo || payload.source || payload.lang;
+        return sendFormatted(req, res, format, body, rows, `Trending ${payload.category} ${payload.date}${scope ? ` (${scope})` : ''}`);
+    };
     try {
         const date = req.query.date || new Date().toISOString().slice(0, 10);
         const category = req.query.category || 'themes';
         const windowParam = req.query.window || req.query.range || '7d';
         const windowDays = parseWindowDays(windowParam);
         const limit = parseInt(req.query.limit || '50', 10);
+        if (themeOpts.active && category !== 'themes') {
+            return res.status(400).json({ error: 'group, family and excludeFamily only apply to category themes' });
+        }
+        // family filters drop ranked themes, so rank more than will be returned
+        const topN = themeOpts.include.length || themeOpts.exclude.length ? limit * 4 : limit;
         const noCache = req.query.nocache === '1';
-        const cacheKey = `top:${date}:${category}:${windowDays}:${limit}`;
+        const { geo, error } = parseGeoParam(req.query);
+        if (error) return res.status(400).json({ error });
+        const outlet = parseSourceParam(req.query);
+        if (outlet.error) return res.status(400).json({ error: outlet.error });
+        const { lang, error: langError } = parseLangParam(req.query);
+        if (langError) return res.status(400).json({ error: langError });
+        if (lang && (geo || outlet.source)) {
+            return res.status(400).json({ error: 'lang cannot be combined with country, adm1 or source (place and source aggregates cover the English feed only)' });
+        }
+        if (lang && !LANG_CATEGORIES.includes(category)) {
+            return res.status(400).json({ error: `lang only applies to category ${LANG_CATEGORIES.join(', ')}` });
+        }
+        if (outlet.source) {
+            // what this outlet covers more than all other outlets, instead of what is trending overall
+            if (!OUTLET_CATEGORIES.includes(category)) {
+                return res.status(400).json({ error: `source only applies to category ${OUTLET_CATEGORIES.join(', ')}` });
+            }
+            if (geo) return res.status(400).json({ error: 'source cannot be combined with country or adm1' });
+            if (windowDays > 92) return res.status(400).json({ error: 'window for source is at most 92 days' });
+            const key = `top:source:${outlet.source}:${date}:${category}:${windowDays}:${topN}`;
+            const compared = noCache
+                ? await compareOutlet({ source: outlet.source, category, date, days: windowDays, limit: topN })
+                : await getCachedOrDb(key, () => compareOutlet({ source: outlet.source, category, date, days: windowDays, limit: topN }));
+            const { results, ...rest } = compared;
+            return await respond({ date, category, window: windowDays, ...rest, results }, limit);
+        }
+        const scorer = req.query.scorer || 'blend';
+        const strategy = getScorer(scorer);
+        if (!strategy) {
+            return res.status(400).json({ error: `unknown scorer '${scorer}'`, scorers: listScorers().map(s => s.name) });
+        }
+        const params = resolveParams(strategy, req.query);
+        const cacheKey = `top:${date}:${category}:${windowDays}:${topN}${geo ? `:${geo}` : ''}${lang ? `:lang=${lang}` : ''}:${scorer}:${JSON.stringify(params)}`;
 
         if (!noCache) {
             const cached = await redis.get(cacheKey);
             if (cached) {
                 logger.debug(`[CACHE HIT] /top → key: ${cacheKey}`);
-                return res.json(JSON.parse(cached));
+                return await respond(JSON.parse(cached), limit);
             } else {
                 logger.debug(`[CACHE MISS] /top → key: ${cacheKey}`);
             }
@@ -145,43 +514,458 @@ router.get('/top', async (req, res) => {
             logger.debug(`[CACHE BYPASSED] /top → key: ${cacheKey}`);
         }
 
-        const ranked = await scoreTrends({ date, category, windowDays, topN: limit });
-        const payload = { date, category, window: windowDays, results: ranked || [] };
+        const ranked = await scoreTrends({ date, category, windowDays, topN, geo, lang, scorer, params });
+        const payload = { date, category, window: windowDays, ...(geo ? { geo } : {}), ...(lang ? { lang } : {}), scorer, params, results: ranked || [] };
 
         if (!noCache) {
             await redis.set(cacheKey, JSON.stringify(payload), 'EX', 600);
             logger.debug(`[CACHE STORE] /top → key: ${cacheKey} stored for 600s`);
         }
 
-        return res.json(payload);
+        return await respond(payload, limit);
     } catch (err) {
         logger.error(`Error in /top: ${err.message}`);
         return res.status(500).json({ error: err.message });
     }
 });
 
-// GET /trends/documents
+// GET /trends/events?date=YYYY-MM-DD&category=events|dyads&window=7d&limit=50&root=14&quadClass=1..4&nocache=1
+//     &scorer=... plus that scorer's params, &format=json|csv|ndjson|rss|atom
+// Trending CAMEO event types (category events) or actor dyads (dyads) from the GDELT Events and
+// Mentions streams, scored like /top; each result carries its label and the day's event stats
+router.get('/events', async (req, res) => {
+    logger.info(`Received /events request. Query: ${JSON.stringify(req.query)}`);
+    const { format, error } = resolveFormat(req);
+    if (error) return res.status(400).json({ error });
+    const category = req.query.category || 'events';
+    if (!EVENT_CATEGORIES.includes(category)) {
+        return res.status(400).json({ error: `category must be one of ${EVENT_CATEGORIES.join(', ')}` });
+    }
+    const root = req.query.root ? String(req.query.root).trim().padStart(2, '0') : null;
+    if (root && (category !== 'events' || !listRoots().some(r => r.code === root))) {
+        return res.status(400).json({ error: 'root only applies to category events and must be a CAMEO root code (01-20)' });
+    }
+    const quadClass = req.query.quadClass ? parseInt(req.query.quadClass, 10) : null;
+    if (req.query.quadClass && !QUAD_CLASSES[quadClass]) {
+        return res.status(400).json({ error: 'quadClass must be 1, 2, 3 or 4' });
+    }
+    try {
+        const date = req.query.date || new Date().toISOString().slice(0, 10);
+        const windowDays = parseWindowDays(req.query.window || req.query.range || '7d');
+        const limit = parseInt(req.query.limit || '50', 10);
+        // root / quadClass drop ranked keywords, so rank more than will be returned
+        const topN = root || quadClass ? limit * 4 : limit;
+        const scorer = req.query.scorer || 'blend';
+        const strategy = getScorer(scorer);
+        if (!strategy) {
+            return res.status(400).json({ error: `unknown scorer '${scorer}'`, scorers: listScorers().map(s => s.name) });
+        }
+        const params = resolveParams(strategy, req.query);
+        const cacheKey = `events:${date}:${category}:${windowDays}:${topN}:${scorer}:${JSON.stringify(params)}`;
+
+        const rank = async () => {
+            const ranked = await scoreTrends({ date, category, windowDays, topN, scorer, params });
+            const current = await Trend.findOne({ type: 'daily', date, category, geo: null, lang: null }, { keywords: 1 }).lean().exec();
+            const byWord = new Map(((current && current.keywords) || []).map(k => [k.word, k]));
+            const results = (ranked || []).map(r => {
+                const stored = byWord.get(r.word) || {};
+                const names = category === 'events' ? describeEvent(r.word) : { label: stored.label || r.word.toUpperCase() };
+                const stats = stored.event ? { event: { ...stored.event, quadLabel: QUAD_CLASSES[stored.event.quadClass] || null } } : {};
+                return { ...r, ...names, ...stats };
+            });
+            return { date, category, window: windowDays, scorer, params, results };
+        };
+
+        let payload;
+        const cached = req.query.nocache === '1' ? null : await redis.get(cacheKey);
+        if (cached) {
+            logger.debug(`[CACHE HIT] /events → key: ${cacheKey}`);
+            payload = JSON.parse(cached);
+        } else {
+            payload = await rank();
+            if (req.query.nocache !== '1') await redis.set(cacheKey, JSON.stringify(payload), 'EX', 600);
+        }
+
+        const results = payload.results
+            .filter(r => !root || r.root === root)
+            .filter(r => !quadClass || (r.event && r.event.quadClass === quadClass))
+            .slice(0, limit);
+        const body = { ...payload, ...(root ? { root } : {}), ...(quadClass ? { quadClass } : {}), results };
+        logger.info(`Sending /events response. Date: ${date}, Category: ${category}, Results count: ${results.length}`);
+        const rows = keywordRows(results, { type: 'ranked', date, category, geo: null, scorer });
+        return sendFormatted(req, res, format, body, rows, `Trending ${category === 'events' ? 'event types' : 'actor dyads'} ${date}`);
+    } catch (err) {
+        logger.error(`Error in /events: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /trends/events/roots — CAMEO root codes usable with root= and the quad classes
+router.get('/events/roots', (req, res) => {
+    return res.json({ results: listRoots(), quadClasses: QUAD_CLASSES });
+});
+
+// GET /trends/sources?date=YYYY-MM-DD | from=YYYY-MM-DD&to=YYYY-MM-DD &type=daily|realtime&limit=50
+// Source outlets (domains) ranked by article volume; realtime reads the latest 15-minute slot
+router.get('/sources', async (req, res) => {
+    logger.info(`Received /sources request. Query: ${JSON.stringify(req.query)}`);
+    const type = req.query.type === 'realtime' ? 'realtime' : 'daily';
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    const range = req.query.from ? parsePeriod(req.query.to ? `${req.query.from}..${req.query.to}` : req.query.from) : null;
+    if (req.query.from && !range) {
+        return res.status(400).json({ error: 'from/to must be YYYY-MM-DD with from <= to' });
+    }
+    if (range && type === 'realtime') {
+        return res.status(400).json({ error: 'from/to only apply to type daily' });
+    }
+    if (range && listDays(range.from, range.to).length > 366) {
+        return res.status(400).json({ error: 'range too large (max 366 days)' });
+    }
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, config.sources.leaderboardSize);
+        const key = `sources:${type}:${range ? `${range.from}..${range.to}` : date}:${limit}`;
+        const board = await getCachedOrDb(key, () => sourceLeaderboard({ type, date, ...(range || {}), limit }));
+
+        logger.info(`Sending /sources response. Type: ${type}, Outlets: ${board.results.length}, Records: ${board.rows}`);
+        return res.json({ type, ...(range || { date }), ...board });
+    } catch (err) {
+        logger.error(`Error in /sources: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /trends/themes/families — the theme families usable with group= / family= / excludeFamily=
+router.get('/themes/families', (req, res) => {
+    return res.json({ results: listFamilies() });
+});
+
+// GET /trends/scorers — available scoring strategies and their default params
+router.get('/scorers', (req, res) => {
+    return res.json({ results: listScorers() });
+});
+
+// GET /trends/documents?date=YYYY-MM-DD&limit=1000&cursor=...&format=json|csv|ndjson|rss|atom
+// The day's article URLs from the Article collection, a page at a time (nextCursor for the next one);
+// days stored before articles existed still read their single 'documents' trend doc
 router.get('/documents', async (req, res) => {
     logger.info(`Received /documents request. Query: ${JSON.stringify(req.query)}`);
+    const { format, error } = resolveFormat(req);
+    if (error) return res.status(400).json({ error });
     try {
         const date = req.query.date || new Date().toISOString().slice(0, 10);
-        const key = `documents:${date}`;
+        const limit = Math.min(Math.max(parseInt(req.query.limit || '1000', 10) || 1000, 1), 5000);
+        const page = await findArticles({ date }, { cursor: req.query.cursor, limit });
+        if (page.error) return res.status(400).json({ error: page.error });
 
-        // Get trend document for 'documents' category and date
-        const doc = await getCachedOrDb(key, () =>
-            Trend.findOne({ type: 'daily', date, category: 'documents' }).lean().exec()
-        );
-
-        // Extract just the words from keywords array
-        const documentIdentifiers = (doc && doc.keywords) ? doc.keywords : [];
+        let documentIdentifiers = page.results.map(a => {
+            const preview = publicPreview(a.preview);
+            return { word: a.url, count: 1, ...(preview ? { preview, label: preview.title } : {}) };
+        });
+        if (documentIdentifiers.length === 0 && !req.query.cursor) {
+            const doc = await getCachedOrDb(`documents:${date}`, () =>
+                Trend.findOne({ type: 'daily', date, category: 'documents', geo: null, lang: null }).lean().exec()
+            );
+            documentIdentifiers = (doc && doc.keywords) ? doc.keywords : [];
+        }
 
         logger.info(`Sending /documents response. Date: ${date}, Results count: ${documentIdentifiers.length}`);
-        return res.json({ date, results: documentIdentifiers });
+        const rows = keywordRows(documentIdentifiers, { type: 'daily', date, category: 'documents' });
+        return sendFormatted(req, res, format, { date, results: documentIdentifiers, nextCursor: page.nextCursor }, rows, `Documents ${date}`);
     } catch (err) {
         logger.error(`Error in /documents: ${err.message}`);
         return res.status(500).json({ error: err.message });
     }
 });
 
+// GET /trends/export?from=YYYY-MM-DD&to=YYYY-MM-DD&type=daily|realtime|hourly|weekly|monthly|ranked
+//     &category=all|themes|persons|orgs|locations|countries|documents&country=XX|adm1=XXnn&format=ndjson|csv
+// Streams one row per stored keyword straight from a Mongo cursor, so any range fits in memory
+router.get('/export', async (req, res) => {
+    logger.info(`Received /export request. Query: ${JSON.stringify(req.query)}`);
+    const { format, error } = resolveFormat(req, ['ndjson', 'csv'], 'ndjson');
+    if (error) return res.status(400).json({ error });
+    const period = parsePeriod(req.query.to ? `${req.query.from}..${req.query.to}` : req.query.from);
+    if (!period) {
+        return res.status(400).json({ error: 'from (and optional to) query params required: YYYY-MM-DD, from <= to' });
+    }
+    const type = req.query.type || 'daily';
+    if (!Trend.schema.path('type').enumValues.includes(type)) {
+        return res.status(400).json({ error: `type must be one of ${Trend.schema.path('type').enumValues.join(', ')}` });
+    }
+    const geoParam = parseGeoParam(req.query);
+    if (geoParam.error) return res.status(400).json({ error: geoParam.error });
+
+    const category = req.query.category || 'all';
+    const filter = { type, date: { $gte: period.from, $lte: period.to }, geo: geoParam.geo || null, lang: null };
+    if (category !== 'all') filter.category = category;
+    const cursor = Trend.find(filter).sort({ date: 1, timestamp: 1, category: 1 }).lean().cursor({ batchSize: 100 });
+
+    res.vary('Accept');
+    // attachment() guesses a type from the extension, so the explicit type goes last
+    res.attachment(`trends-${type}-${period.from}-${period.to}.${format}`);
+    res.type(FORMATS[format]);
+
+    let docs = 0;
+    let rows = 0;
+    async function* chunks() {
+        if (format === 'csv') yield csvHeader();
+        for await (const doc of cursor) {
+            const chunk = docRows(doc).map(row => (format === 'csv' ? csvLine(row) : ndjsonLine(row))).join('');
+            docs += 1;
+            rows += doc.keywords ? doc.keywords.length : 0;
+            if (chunk) yield chunk;
+        }
+    }
+    try {
+        // pipeline respects backpressure so slow clients don't buffer the whole range, and stops the
+        // generator (closing the cursor) when the client goes away
+        await pipeline(Readable.from(chunks()), res);
+        logger.info(`Finished /export ${type} ${period.from}..${period.to} as ${format}: ${docs} docs, ${rows} rows`);
+    } catch (err) {
+        if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+            logger.info(`/export ${type} ${period.from}..${period.to} stopped after ${docs} docs (client closed)`);
+        } else {
+            // pipeline has already destroyed the response, which ends the truncated download
+            logger.error(`Error in /export after ${docs} docs: ${err.message}`);
+        }
+    } finally {
+        await cursor.close().catch(() => {});
+    }
+});
+
+// GET /trends/geo?date=YYYY-MM-DD&type=daily|realtime&limit=50 (1..200)
+// Top locations as GeoJSON points, plus per-country (FIPS 10-4) mention counts
+router.get('/geo', async (req, res) => {
+    logger.info(`Received /geo request. Query: ${JSON.stringify(req.query)}`);
+    try {
+        const date = req.query.date || new Date().toISOString().slice(0, 10);
+        const type = req.query.type === 'realtime' ? 'realtime' : 'daily';
+        const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 200);
+        const key = `geo:${type}:${date}`;
+
+        const docs = await getCachedOrDb(key, async () => {
+            const [locationsDoc, countriesDoc] = await Promise.all([
+                Trend.findOne({ type, date, category: 'locations', geo: null, lang: null }).sort({ timestamp: -1 }).lean().exec(),
+                Trend.findOne({ type, date, category: 'countries', geo: null, lang: null }).sort({ timestamp: -1 }).lean().exec(),
+            ]);
+            if (!locationsDoc && !countriesDoc) return null;
+            return { locations: locationsDoc, countries: countriesDoc };
+        });
+
+        const locations = (docs && docs.locations && docs.locations.keywords) ? docs.locations.keywords.slice(0, limit) : [];
+        const countries = (docs && docs.countries && docs.countries.keywords) ? docs.countries.keywords : [];
+
+        logger.info(`Sending /geo response. Date: ${date}, Type: ${type}, Locations: ${locations.length}, Countries: ${countries.length}`);
+        return res.json({
+            type: 'FeatureCollection',
+            date,
+            features: locations.map(toGeoFeature),
+            countries: countries.map(c => ({ countryCode: c.word, count: c.count })),
+        });
+    } catch (err) {
+        logger.error(`Error in /geo: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /trends/graph?word=...&date=YYYY-MM-DD&depth=1&category=persons|orgs|themes&type=daily|realtime&limit=25
+// limit (edges per node per hop) is capped at config.graph.maxLimit, the graph at config.graph.maxNodes nodes
+// Entities mentioned in the same GKG records as `word`, as nodes and weighted edges (type=realtime: the latest slot of that day)
+router.get('/graph', async (req, res) => {
+    logger.info(`Received /graph request. Query: ${JSON.stringify(req.query)}`);
+    const word = req.query.word ? String(req.query.word).toLowerCase().trim() : '';
+    if (!word) {
+        return res.status(400).json({ error: 'word query param required' });
+    }
+    try {
+        const date = req.query.date || new Date().toISOString().slice(0, 10);
+        const type = req.query.type === 'realtime' ? 'realtime' : 'daily';
+        const depth = Math.min(Math.max(parseInt(req.query.depth || '1', 10) || 1, 1), 3);
+        const requested = parseInt(req.query.limit || '25', 10);
+        if (Number.isNaN(requested)) return res.status(400).json({ error: 'limit must be a number' });
+        const limit = Math.min(Math.max(requested, 1), config.graph.maxLimit);
+        const category = ['persons', 'orgs', 'themes'].includes(req.query.category) ? req.query.category : null;
+        const key = `graph:${type}:${date}:${word}:${depth}:${limit}:${category || 'any'}`;
+
+        const graph = await getCachedOrDb(key, () => getNeighbourhood({ word, date, type, depth, limit, category }));
+
+        logger.info(`Sending /graph response. Date: ${date}, Word: ${word}, Nodes: ${graph.nodes.length}, Edges: ${graph.edges.length}`);
+        return res.json({ date, word, depth, ...graph });
+    } catch (err) {
+        logger.error(`Error in /graph: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /trends/series?word=a,b&category=themes|persons|orgs&from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=auto|15min|hour|day|week|month&scorer=blend
+// auto (default) picks the coarsest granularity suited to the range; hour/week/month read the rollups
+// Count (and score for days with ranked docs) per keyword over time; gaps are zero-filled
+router.get('/series', async (req, res) => {
+    logger.info(`Received /series request. Query: ${JSON.stringify(req.query)}`);
+    const rawWords = [].concat(req.query.word || []).join(',');
+    const words = Array.from(new Set(rawWords.split(',').map(w => w.toLowerCase().trim()).filter(Boolean))).slice(0, 20);
+    if (words.length === 0) {
+        return res.status(400).json({ error: 'word query param required (comma-separated for several)' });
+    }
+    if (req.query.granularity && !GRANULARITIES.includes(req.query.granularity)) {
+        return res.status(400).json({ error: `granularity must be one of ${GRANULARITIES.join(', ')}` });
+    }
+    const fine = req.query.granularity === '15min' || req.query.granularity === 'hour';
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    const fromDefault = new Date(`${to}T00:00:00.000Z`);
+    fromDefault.setUTCDate(fromDefault.getUTCDate() - (fine ? 0 : 29));
+    const from = req.query.from || fromDefault.toISOString().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+        return res.status(400).json({ error: 'from/to must be YYYY-MM-DD with from <= to' });
+    }
+    const granularity = resolveGranularity(req.query.granularity || 'auto', from, to);
+    const maxDays = { '15min': 7, hour: 31, day: 366 * 3 }[granularity] || 366 * 10;
+    if (listDays(from, to).length > maxDays) {
+        return res.status(400).json({ error: `range too large for granularity ${granularity} (max ${maxDays} days)` });
+    }
+    try {
+        const category = req.query.category || 'themes';
+        const scorer = req.query.scorer || 'blend';
+        const key = `series:${granularity}:${category}:${scorer}:${from}:${to}:${words.join(',')}`;
+        const series = await getCachedOrDb(key, () => getKeywordSeries({ words, category, from, to, granularity, scorer }));
+
+        logger.info(`Sending /series response. Keywords: ${words.length}, Granularity: ${granularity}, Range: ${from}..${to}`);
+        return res.json({ category, granularity, from, to, series });
+    } catch (err) {
+        logger.error(`Error in /series: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /trends/compare?category=themes|persons|orgs&a=YYYY-MM-DD..YYYY-MM-DD&b=YYYY-MM-DD..YYYY-MM-DD&limit=50
+// Keywords of period a against reference period b (defaults to the same-length period right before a),
+// grouped into new, dropped, rising and falling; each period covers at most 366 days
+router.get('/compare', async (req, res) => {
+    logger.info(`Received /compare request. Query: ${JSON.stringify(req.query)}`);
+    const a = parsePeriod(req.query.a);
+    if (!a) {
+        return res.status(400).json({ error: 'a query param required: YYYY-MM-DD..YYYY-MM-DD' });
+    }
+    let b = parsePeriod(req.query.b);
+    if (req.query.b && !b) {
+        return res.status(400).json({ error: 'b must be YYYY-MM-DD..YYYY-MM-DD' });
+    }
+    if (!b) {
+        const days = listDays(a.from, a.to).length;
+        const bTo = new Date(`${a.from}T00:00:00.000Z`);
+        bTo.setUTCDate(bTo.getUTCDate() - 1);
+        const bFrom = new Date(bTo);
+        bFrom.setUTCDate(bFrom.getUTCDate() - (days - 1));
+        b = { from: bFrom.toISOString().slice(0, 10), to: bTo.toISOString().slice(0, 10) };
+    }
+    if ([a, b].some(p => listDays(p.from, p.to).length > 366)) {
+        return res.status(400).json({ error: 'period too long (max 366 days each)' });
+    }
+    const { geo, error } = parseGeoParam(req.query);
+    if (error) return res.status(400).json({ error });
+    try {
+        const category = req.query.category || 'themes';
+        const limit = parseInt(req.query.limit || '50', 10);
+        const key = `compare:${category}:${a.from}..${a.to}:${b.from}..${b.to}:${limit}${geo ? `:${geo}` : ''}`;
+        const groups = await getCachedOrDb(key, () => comparePeriods({ category, a, b, limit, geo }));
+
+        logger.info(`Sending /compare response. New: ${groups.new.length}, Dropped: ${groups.dropped.length}, Rising: ${groups.rising.length}, Falling: ${groups.falling.length}`);
+        return res.json({ category, a, b, ...(geo ? { geo } : {}), ...groups });
+    } catch (err) {
+        logger.error(`Error in /compare: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /trends/keyword/:word/stats?category=themes|persons|orgs&date=YYYY-MM-DD&window=7|30|3m&country=XX|adm1=XXnn
+// The keyword's own baseline (daily counts, mean, std, days present) and today's z-score against it
+router.get('/keyword/:word/stats', async (req, res) => {
+    logger.info(`Received /keyword/${req.params.word}/stats request. Query: ${JSON.stringify(req.query)}`);
+    const word = String(req.params.word || '').toLowerCase().trim();
+    if (!word) {
+        return res.status(400).json({ error: 'word path param required' });
+    }
+    const { geo, error } = parseGeoParam(req.query);
+    if (error) return res.status(400).json({ error });
+    try {
+        const date = req.query.date || new Date().toISOString().slice(0, 10);
+        const category = req.query.category || 'themes';
+        const windowDays = parseWindowDays(req.query.window || req.query.range || '7d');
+        const key = `kwstats:${date}:${category}:${windowDays}:${word}${geo ? `:${geo}` : ''}`;
+        const stats = await getCachedOrDb(key, () => getKeywordStats({ word, category, date, windowDays, geo }));
+
+        logger.info(`Sending /keyword/:word/stats response. Word: ${word}, Days present: ${stats.daysPresent}/${windowDays}`);
+        return res.json({ ...stats, ...(geo ? { geo } : {}) });
+    } catch (err) {
+        logger.error(`Error in /keyword/:word/stats: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /trends/keyword/:word/languages?category=themes|persons|orgs|locations&date=YYYY-MM-DD&window=7d
+// One keyword on `date` in every source language (English feed as en), each against its own window
+// baseline: count, share of that language's records and z-score, highest z first
+router.get('/keyword/:word/languages', async (req, res) => {
+    logger.info(`Received /keyword/${req.params.word}/languages request. Query: ${JSON.stringify(req.query)}`);
+    const word = String(req.params.word || '').toLowerCase().trim();
+    if (!word) {
+        return res.status(400).json({ error: 'word path param required' });
+    }
+    const category = req.query.category || 'themes';
+    if (!LANG_CATEGORIES.includes(category)) {
+        return res.status(400).json({ error: `category must be one of ${LANG_CATEGORIES.join(', ')}` });
+    }
+    try {
+        const date = req.query.date || new Date().toISOString().slice(0, 10);
+        const windowDays = Math.min(parseWindowDays(req.query.window || req.query.range || '7d'), 92);
+        const key = `kwlangs:${date}:${category}:${windowDays}:${word}`;
+        const comparison = await getCachedOrDb(key, () => compareLanguages({ word, category, date, windowDays }));
+
+        logger.info(`Sending /keyword/:word/languages response. Word: ${word}, Languages: ${comparison.results.length}`);
+        return res.json(comparison);
+    } catch (err) {
+        logger.error(`Error in /keyword/:word/languages: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /trends/keyword/:word/articles?category=themes|persons|orgs|locations&date=YYYY-MM-DD | from=..&to=..&lang=es&limit=50&cursor=...
+// Articles (newest first) whose GKG record mentions the keyword; without category, any of themes / persons / orgs.
+// Pass the response's nextCursor back as cursor for the next page
+router.get('/keyword/:word/articles', async (req, res) => {
+    logger.info(`Received /keyword/${req.params.word}/articles request. Query: ${JSON.stringify(req.query)}`);
+    const word = String(req.params.word || '').toLowerCase().trim();
+    if (!word) {
+        return res.status(400).json({ error: 'word path param required' });
+    }
+    const category = req.query.category || null;
+    if (category && !ARTICLE_CATEGORIES.includes(category)) {
+        return res.status(400).json({ error: `category must be one of ${ARTICLE_CATEGORIES.join(', ')}` });
+    }
+    const range = req.query.from ? parsePeriod(req.query.to ? `${req.query.from}..${req.query.to}` : req.query.from) : null;
+    if ((req.query.from && !range) || (req.query.date && !parsePeriod(req.query.date))) {
+        return res.status(400).json({ error: 'date / from / to must be YYYY-MM-DD with from <= to' });
+    }
+    // articles record their own language, the English feed's as 'en'
+    const lang = req.query.lang ? toLangCode(req.query.lang) : null;
+    if (req.query.lang && !lang) return res.status(400).json({ error: 'lang must be an ISO 639-1 language code, e.g. es' });
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 200);
+        const page = await articlesMentioning({ word, category, date: range ? null : req.query.date, ...(range || {}), lang, cursor: req.query.cursor, limit });
+        if (page.error) return res.status(400).json({ error: page.error });
+
+        const results = page.results.map(({ preview, enrichAttempts, ...article }) => {
+            const shown = publicPreview(preview);
+            return shown ? { ...article, preview: shown } : article;
+        });
+
+        logger.info(`Sending /keyword/:word/articles response. Word: ${word}, Articles: ${results.length}, More: ${Boolean(page.nextCursor)}`);
+        return res.json({ word, category, ...(range || (req.query.date ? { date: req.query.date } : {})), ...(lang ? { lang } : {}), results, nextCursor: page.nextCursor });
+    } catch (err) {
+        logger.error(`Error in /keyword/:word/articles: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
 
 module.exports = router;
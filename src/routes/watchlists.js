@@ -0,0 +1,134 @@
+// src/routes/watchlists.js
+// Mounted at /trends/watchlists
+const express = require('express');
+const crypto = require('crypto');
+const Watchlist = require('../models/watchlistModel');
+const AlertDelivery = require('../models/alertDeliveryModel');
+const { validateWatchlist, sendTestAlert } = require('../services/watchlists');
+const router = express.Router();
+const winston = require('winston');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const EDITABLE = ['name', 'description', 'terms', 'rule', 'webhooks', 'secret', 'active', 'cooldownMinutes'];
+
+function pick(body) {
+    const out = {};
+    for (const field of EDITABLE) {
+        if (body[field] !== undefined) out[field] = body[field];
+    }
+    return out;
+}
+
+// secrets are only returned when the watchlist is created
+function present(watchlist) {
+    const { secret, lastAlerted, __v, ...rest } = watchlist.toObject ? watchlist.toObject() : watchlist;
+    return { ...rest, hasSecret: Boolean(secret) };
+}
+
+function isClientError(err) {
+    return err.name === 'ValidationError' || err.name === 'CastError';
+}
+
+// GET /trends/watchlists
+router.get('/', async (req, res) => {
+    try {
+        const watchlists = await Watchlist.find({}).sort({ createdAt: -1 }).lean().exec();
+        return res.json({ watchlists: watchlists.map(present) });
+    } catch (err) {
+        logger.error(`Error in GET /watchlists: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /trends/watchlists  { name, terms: [{ category, pattern, match }], rule: { metric, threshold, ... }, webhooks: [url], secret? }
+// Responds with the watchlist including its signing secret (generated when not given)
+router.post('/', async (req, res) => {
+    const error = validateWatchlist(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+        const fields = pick(req.body);
+        if (!fields.secret) fields.secret = crypto.randomBytes(24).toString('hex');
+        const watchlist = await Watchlist.create(fields);
+        logger.info(`Created watchlist ${watchlist.name} (${watchlist._id})`);
+        return res.status(201).json({ ...present(watchlist), secret: watchlist.secret });
+    } catch (err) {
+        if (isClientError(err)) return res.status(400).json({ error: err.message });
+        logger.error(`Error in POST /watchlists: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /trends/watchlists/:id
+router.get('/:id', async (req, res) => {
+    try {
+        const watchlist = await Watchlist.findById(req.params.id).lean().exec();
+        if (!watchlist) return res.status(404).json({ error: 'watchlist not found' });
+        return res.json(present(watchlist));
+    } catch (err) {
+        if (isClientError(err)) return res.status(400).json({ error: err.message });
+        logger.error(`Error in GET /watchlists/:id: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /trends/watchlists/:id  full replacement of the editable fields (secret kept unless given)
+router.put('/:id', async (req, res) => {
+    const error = validateWatchlist(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+        const watchlist = await Watchlist.findByIdAndUpdate(req.params.id, { $set: pick(req.body) }, { new: true, runValidators: true }).lean().exec();
+        if (!watchlist) return res.status(404).json({ error: 'watchlist not found' });
+        return res.json(present(watchlist));
+    } catch (err) {
+        if (isClientError(err)) return res.status(400).json({ error: err.message });
+        logger.error(`Error in PUT /watchlists/:id: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /trends/watchlists/:id  (the delivery log is kept)
+router.delete('/:id', async (req, res) => {
+    try {
+        const watchlist = await Watchlist.findByIdAndDelete(req.params.id).lean().exec();
+        if (!watchlist) return res.status(404).json({ error: 'watchlist not found' });
+        await AlertDelivery.updateMany({ watchlist: watchlist._id, status: { $in: ['pending', 'sending'] } }, { $set: { status: 'failed', error: 'watchlist deleted' } }).exec();
+        return res.status(204).end();
+    } catch (err) {
+        if (isClientError(err)) return res.status(400).json({ error: err.message });
+        logger.error(`Error in DELETE /watchlists/:id: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /trends/watchlists/:id/deliveries?status=pending|sending|delivered|failed&limit=50
+router.get('/:id/deliveries', async (req, res) => {
+    try {
+        const filter = { watchlist: req.params.id };
+        if (req.query.status) filter.status = req.query.status;
+        const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+        const deliveries = await AlertDelivery.find(filter).sort({ createdAt: -1 }).limit(limit).lean().exec();
+        return res.json({ watchlist: req.params.id, deliveries });
+    } catch (err) {
+        if (isClientError(err)) return res.status(400).json({ error: err.message });
+        logger.error(`Error in GET /watchlists/:id/deliveries: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /trends/watchlists/:id/test  sends a signed 'watchlist.test' event to every webhook
+router.post('/:id/test', async (req, res) => {
+    try {
+        const watchlist = await Watchlist.findById(req.params.id).lean().exec();
+        if (!watchlist) return res.status(404).json({ error: 'watchlist not found' });
+        if (!watchlist.webhooks || watchlist.webhooks.length === 0) return res.status(400).json({ error: 'watchlist has no webhooks' });
+        const deliveries = await sendTestAlert(watchlist);
+        return res.json({ deliveries: deliveries.map(d => ({ url: d.url, status: d.status, responseStatus: d.responseStatus, error: d.error })) });
+    } catch (err) {
+        if (isClientError(err)) return res.status(400).json({ error: err.message });
+        logger.error(`Error in POST /watchlists/:id/test: ${err.message}`);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
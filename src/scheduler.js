@@ -1,19 +1,35 @@
 // src/scheduler.js
 const cron = require('node-cron');
 const config = require('./config');
-const { fetchAndProcess, getFilenameForUTC } = require('./services/gdeltFetcher');
-const aggregator = require('./services/aggregator');
-const parser = require('./services/parser');
-const axios = require('axios');
-const unzipper = require('unzipper');
+const { fetchSlot, processLatest, processLatestTranslation, fetchTranslationSlot } = require('./services/gdeltFetcher');
+const { runRollup } = require('./services/rollup');
+const ledger = require('./services/ledger');
+const { retryDueDeliveries } = require('./services/watchlists');
+const { enrichTopDocuments } = require('./services/enrichment');
+const { processLatestEvents, fetchEventsSlot } = require('./services/events');
 const winston = require('winston');
-const csv = require('fast-csv'); // Re-adding fast-csv
 
 const logger = winston.createLogger({
     level: 'info',
     transports: [new winston.transports.Console()],
 });
 
+// wraps a cron job so a run is skipped while the previous one is still going
+function exclusive(name, job) {
+    let running = false;
+    return async () => {
+        if (running) {
+            logger.info(`${name} still running, skipping this run`);
+            return;
+        }
+        running = true;
+        try {
+            await job();
+        } finally {
+            running = false;
+        }
+    };
+}
 
 function startSchedules() {
     // Real-time schedule: every N minutes (*/N * * * *)
@@ -21,14 +37,62 @@ function startSchedules() {
     const cronExpr = `*/${interval} * * * *`;
     cron.schedule(cronExpr, async () => {
         try {
-            const now = new Date(); // local time – we will treat as UTC when forming filename
-            // align minutes to nearest multiple of interval downward (match GDELT file timestamps)
-            const m = Math.floor(now.getUTCMinutes() / interval) * interval;
-            const dateForFile = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), now.getUTCHours(), m, 0));
-            await fetchAndProcess(dateForFile, { category: 'all', timestamp: dateForFile, type: 'realtime' }); // Re-adding 'type'
+            const now = new Date();
+            // whatever GDELT has published in lastupdate.txt (skipped by the ledger if already processed)
+            await processLatest();
+
+            // retry earlier slots the ledger recorded as failed or missing
+            const since = new Date(now.getTime() - config.ingestion.retryLookbackHours * 3600 * 1000);
+            const retryable = await ledger.listRetryable({ job: 'realtime', since });
+            for (const entry of retryable) {
+                logger.info(`Retrying ${entry.file} (attempt ${entry.attempts + 1})`);
+                try {
+                    await fetchSlot(entry.fileTimestamp);
+                } catch (err) {
+                    logger.warn(`Retry of ${entry.file} failed: ${err.message}`);
+                }
+            }
         } catch (err) {
             logger.error('Real-time job error: ' + err.message);
         }
+
+        // the translingual GKG file of the same update, stored per source language
+        if (config.translation.enabled) {
+            try {
+                await processLatestTranslation();
+                const since = new Date(Date.now() - config.ingestion.retryLookbackHours * 3600 * 1000);
+                const retryable = await ledger.listRetryable({ job: 'translation', since });
+                for (const entry of retryable) {
+                    logger.info(`Retrying ${entry.file} (attempt ${entry.attempts + 1})`);
+                    try {
+                        await fetchTranslationSlot(entry.fileTimestamp);
+                    } catch (err) {
+                        logger.warn(`Retry of ${entry.file} failed: ${err.message}`);
+                    }
+                }
+            } catch (err) {
+                logger.error('Translation job error: ' + err.message);
+            }
+        }
+
+        // the Events + Mentions files of the same updates; failures here never hold up the GKG job
+        if (config.events.enabled) {
+            try {
+                await processLatestEvents();
+                const since = new Date(Date.now() - config.ingestion.retryLookbackHours * 3600 * 1000);
+                const retryable = await ledger.listRetryable({ job: 'events', since });
+                for (const entry of retryable) {
+                    logger.info(`Retrying ${entry.file} (attempt ${entry.attempts + 1})`);
+                    try {
+                        await fetchEventsSlot(entry.fileTimestamp);
+                    } catch (err) {
+                        logger.warn(`Retry of ${entry.file} failed: ${err.message}`);
+                    }
+                }
+            } catch (err) {
+                logger.error('Events job error: ' + err.message);
+            }
+        }
     }, { timezone: 'UTC' });
 
     // Daily job: at dailyHourUTC:00 UTC
@@ -36,77 +100,34 @@ function startSchedules() {
     const dailyCron = `0 ${dailyHour} * * *`;
     cron.schedule(dailyCron, async () => {
         try {
-            // build list of the last 24 hours worth of file timestamps (every 15 mins => 96 files)
-            const intervalMin = config.realtimeIntervalMin || 15;
-            const filesToFetch = 96; // default 24h at 15-min
-            const now = new Date();
-            const collectors = [];
-            for (let i = 0; i < filesToFetch; i++) {
-                const minutesBack = i * intervalMin;
-                const date = new Date(now.getTime() - minutesBack * 60_000);
-                // align timestamp
-                const m = Math.floor(date.getUTCMinutes() / intervalMin) * intervalMin;
-                const fileDate = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), m, 0));
-                const filename = getFilenameForUTC(fileDate);
-                const url = `${config.gdeltBaseUrl}/${filename}`;
-                try {
-                    const resp = await axios({ url, method: 'GET', responseType: 'stream', timeout: 60_000 });
-                    const unzipStream = resp.data.pipe(unzipper.ParseOne());
-                    // parse stream to collector
-                    // parser.parseCsvStream will internally call aggregator.aggregateFromFile, but for daily we want to collect results
-                    // so we will collect tokens per file
-                    // We'll hack: adjust parser to accumulate into temporary collector by intercepting output; simplest: parse into an in-memory collector using a local version
-                    const localCollector = { themes: [], persons: [], orgs: [] };
-                    await new Promise((resolve, reject) => {
-                        unzipStream.pipe(csv.parse({ headers: false, relax_quotes: true }))
-                            .on('data', row => {
-                                if (!config.columnIndices.themes) {
-                                    const rowStr = row.join('|').toLowerCase();
-                                    if (rowStr.includes('v2themes') || rowStr.includes('v2persons') || rowStr.includes('v2organizations')) {
-                                        // header present - update config indices if not set (parser does this too)
-                                        const header = row.map(c => String(c).toLowerCase());
-                                        const i = header.findIndex(h => h.includes('v2themes'));
-                                        if (i >= 0) config.columnIndices.themes = i;
-                                        const i2 = header.findIndex(h => h.includes('v2persons'));
-                                        if (i2 >= 0) config.columnIndices.persons = i2;
-                                        const i3 = header.findIndex(h => h.includes('v2organizations'));
-                                        if (i3 >= 0) config.columnIndices.orgs = i3;
-                                        return; // skip header
-                                    }
-                                }
-                                // safe get
-                                const getCol = (idx) => (idx !== null && row[idx] !== undefined) ? row[idx] : null;
-                                if (config.columnIndices.themes) {
-                                    const raw = getCol(config.columnIndices.themes);
-                                    if (raw) localCollector.themes.push(...require('./utils/cleaner').splitAndClean(raw));
-                                }
-                                if (config.columnIndices.persons) {
-                                    const raw = getCol(config.columnIndices.persons);
-                                    if (raw) localCollector.persons.push(...require('./utils/cleaner').splitAndClean(raw));
-                                }
-                                if (config.columnIndices.orgs) {
-                                    const raw = getCol(config.columnIndices.orgs);
-                                    if (raw) localCollector.orgs.push(...require('./utils/cleaner').splitAndClean(raw));
-                                }
-                            })
-                            .on('end', () => resolve(true))
-                            .on('error', (err) => reject(err));
-                    });
-                    collectors.push(localCollector);
-                } catch (err) {
-                    // skip missing file quietly
-                    logger.warn(`Daily fetch skip ${url} - ${err.message}`);
-                    logger.error('Daily job error:', err);
-                }
-            } // end for
-            // now aggregate daily
-            const dateStr = new Date().toISOString().slice(0, 10);
-            await aggregator.aggregateDaily({ collectorsArray: collectors, date: dateStr, category: 'all' });
+            // the previous UTC day, from its published 15-min files (normally 96)
+            const yesterday = new Date(Date.now() - 24 * 3600 * 1000).toISOString().slice(0, 10);
+            await runRollup(yesterday);
         } catch (err) {
             logger.error('Daily job error: ' + err.message);
         }
     }, { timezone: 'UTC' });
 
+    // Webhook retries: every minute, pending alert deliveries whose backoff has expired
+    cron.schedule('* * * * *', exclusive('Webhook retry job', async () => {
+        try {
+            await retryDueDeliveries();
+        } catch (err) {
+            logger.error('Webhook retry job error: ' + err.message);
+        }
+    }), { timezone: 'UTC' });
+
+    // Article previews for the latest top keywords, when enabled
+    if (config.enrichment.enabled) {
+        cron.schedule(`*/${config.enrichment.intervalMinutes} * * * *`, async () => {
+            try {
+                await enrichTopDocuments();
+            } catch (err) {
+                logger.error('Enrichment job error: ' + err.message);
+            }
+        }, { timezone: 'UTC' });
+    }
+
     logger.info('Schedulers started');
 }
 
@@ -0,0 +1,36 @@
+// src/services/afterSave.js
+// Everything that follows a freshly saved realtime / daily aggregate, shared by gdeltFetcher.saveTrends
+// and the aggregator. Each step is isolated: its failure is logged and never fails the save.
+const periods = require('./periods');
+const { recordSlot } = require('./keywordSearch');
+const { publishRealtime } = require('./liveStream');
+const { evaluateWatchlists } = require('./watchlists');
+const { rebuildAllLanguages } = require('./languages');
+const winston = require('winston');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+async function step(name, slot, fn) {
+    try {
+        await fn();
+    } catch (err) {
+        logger.warn(`${name} after ${slot.type} save for ${slot.date} failed: ${err.message}`);
+    }
+}
+
+/**
+ * afterSave: refreshes the coarser rollups containing the slot (and a day's all-language merge), adds
+ * its keywords to the search dictionary, pushes realtime results to live stream clients, then checks watchlists.
+ * slot: { type: 'realtime' | 'daily', date: YYYY-MM-DD, timestamp }
+ */
+async function afterSave(slot) {
+    const { type, date, timestamp } = slot;
+    if (type !== 'realtime' && type !== 'daily') return;
+    await step('Rollup update', slot, () => (type === 'realtime' ? periods.rollupHour(timestamp) : periods.rollupDaily(date)));
+    if (type === 'daily') await step('All-language merge', slot, () => rebuildAllLanguages(date));
+    await step('Keyword dictionary update', slot, () => recordSlot(slot));
+    if (type === 'realtime') await step('Live stream publish', slot, () => publishRealtime(slot));
+    await step('Watchlist evaluation', slot, () => evaluateWatchlists(slot));
+}
+
+module.exports = { afterSave };
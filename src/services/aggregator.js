@@ -5,42 +5,34 @@ const config = require('../config');
 const IORedis = require('ioredis');
 const redis = new IORedis(config.redis);
 const winston = require('winston');
+const { saveEdges } = require('./cooccurrence');
+const { saveSources } = require('./outlets');
+const { createCollector, mergeCollectors, rankCollector } = require('./collector');
+const { afterSave } = require('./afterSave');
 
 const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
 
 /**
- * rankByCount: ranks keywords by total count, merges document arrays.
- * Input: array of {word, count, documents?}
- * Output: top N array of {word, count, documents}
+ * buildGeoOps: bulkWrite upserts for per-country / ADM1 aggregates.
+ * byGeo: { geo: { themes, persons, orgs } } of ranked keywords, as returned by rankCollector.
  */
-function rankByCount(arr, topN) {
-    const map = new Map();
-
-    for (const item of arr) {
-        const w = item.word.toLowerCase();
-        if (!map.has(w)) {
-            map.set(w, { word: w, count: 0, documents: new Set() });
-        }
-        const entry = map.get(w);
-        entry.count += item.count || 1;
-        if (Array.isArray(item.documents)) {
-            for (const doc of item.documents) {
-                entry.documents.add(doc);
-            }
+function buildGeoOps(byGeo, { type, date, timestamp, categories }) {
+    const ops = [];
+    for (const [geo, cats] of Object.entries(byGeo || {})) {
+        for (const cat of categories) {
+            if (!cats[cat] || cats[cat].length === 0) continue;
+            const filter = { type, date, category: cat, geo, lang: null };
+            if (type === 'realtime') filter.timestamp = timestamp;
+            ops.push({
+                updateOne: {
+                    filter,
+                    update: { $set: { keywords: cats[cat], timestamp } },
+                    upsert: true,
+                }
+            });
         }
     }
-
-    // Convert sets to arrays and sort descending by count
-    const ranked = Array.from(map.values())
-        .map(({ word, count, documents }) => ({
-            word,
-            count,
-            documents: Array.from(documents),
-        }))
-        .sort((a, b) => b.count - a.count)
-        .slice(0, topN);
-
-    return ranked;
+    return ops;
 }
 
 // store aggregated result into DB and cache
@@ -49,11 +41,11 @@ async function aggregateFromFile({ collector, timestamp = new Date(), category =
     const tasks = [];
     const topN = config.topN || 50;
 
-    const categoriesToProcess = (category === 'all') ? ['themes', 'persons', 'orgs'] : [category];
+    const categoriesToProcess = (category === 'all') ? ['themes', 'persons', 'orgs', 'locations'] : [category];
+    const result = rankCollector(collector, topN);
 
     for (const cat of categoriesToProcess) {
-        const arr = (collector[cat] || []);
-        const ranked = rankByCount(arr, topN);
+        const ranked = result[cat] || [];
 
         const doc = {
             timestamp,
@@ -63,15 +55,22 @@ async function aggregateFromFile({ collector, timestamp = new Date(), category =
             keywords: ranked
         };
 
-        const filter = { type: 'realtime', date: dateStr, category: cat, timestamp };
+        const filter = { type: 'realtime', date: dateStr, category: cat, geo: null, lang: null, timestamp };
         tasks.push(Trend.findOneAndUpdate(filter, doc, { upsert: true, new: true, setDefaultsOnInsert: true }).exec());
 
         const cacheKey = `realtime:${dateStr}:${cat}`;
         tasks.push(redis.set(cacheKey, JSON.stringify({ timestamp, date: dateStr, type: 'realtime', category: cat, keywords: ranked }), 'EX', (config.realtimeIntervalMin || 15) * 60));
     }
 
+    // Per-country mention counts come from every location, not only the top N
+    const countries = result.countries;
+    if (countries.length > 0) {
+        const filter = { type: 'realtime', date: dateStr, category: 'countries', geo: null, lang: null, timestamp };
+        tasks.push(Trend.findOneAndUpdate(filter, { ...filter, keywords: countries }, { upsert: true, new: true, setDefaultsOnInsert: true }).exec());
+    }
+
     // Also save document identifiers separately (just unique list with count 1)
-    const docIdsUnique = Array.from(new Set(collector.documentIdentifiers || []));
+    const docIdsUnique = result.documentIdentifiers;
     if (docIdsUnique.length > 0) {
         const docIdsDoc = {
             timestamp,
@@ -80,34 +79,41 @@ async function aggregateFromFile({ collector, timestamp = new Date(), category =
             category: 'documents',
             keywords: docIdsUnique.map(id => ({ word: id, count: 1 })),
         };
-        const filter = { type: 'realtime', date: dateStr, category: 'documents', timestamp };
+        const filter = { type: 'realtime', date: dateStr, category: 'documents', geo: null, lang: null, timestamp };
         tasks.push(Trend.findOneAndUpdate(filter, docIdsDoc, { upsert: true, new: true, setDefaultsOnInsert: true }).exec());
         logger.info(`Aggregated ${docIdsUnique.length} document identifiers for ${dateStr}.`);
     }
 
+    const geoOps = buildGeoOps(result.byGeo, { type: 'realtime', date: dateStr, timestamp, categories: categoriesToProcess.filter(c => c !== 'locations') });
+    if (geoOps.length > 0) tasks.push(Trend.bulkWrite(geoOps, { ordered: false }));
+    tasks.push(saveEdges({ type: 'realtime', date: dateStr, timestamp, counter: result.edges }));
+    tasks.push(saveSources({ type: 'realtime', date: dateStr, timestamp, rows: result.rows, sources: result.sources }));
+
     await Promise.all(tasks);
+    await afterSave({ type: 'realtime', date: dateStr, timestamp });
     logger.info(`Aggregated file results for ${dateStr}`);
     return true;
 }
 
-// daily aggregation remains same, update to use new rankByCount too
-async function aggregateDaily({ collectorsArray, date /* YYYY-MM-DD */, category = 'all' }) {
+/**
+ * aggregateDaily: saves a day's aggregates from one collector that already holds the whole day
+ * (files streamed into it one after another), or from per-file collectors merged here.
+ */
+async function aggregateDaily({ collector, collectorsArray = [], date /* YYYY-MM-DD */, category = 'all' }) {
     const topN = config.topN || 50;
-    const merged = { themes: [], persons: [], orgs: [], documentIdentifiers: [] };
-    for (const c of collectorsArray) {
-        merged.themes.push(...(c.themes || []));
-        merged.persons.push(...(c.persons || []));
-        merged.orgs.push(...(c.orgs || []));
-        merged.documentIdentifiers.push(...(c.documentIdentifiers || []));
+    let merged = collector;
+    if (!merged) {
+        merged = createCollector({ approximate: collectorsArray.some(c => c.approximate) });
+        for (const c of collectorsArray) mergeCollectors(merged, c);
     }
+    const result = rankCollector(merged, topN);
 
-    const categories = (category === 'all') ? ['themes', 'persons', 'orgs'] : [category];
+    const categories = (category === 'all') ? ['themes', 'persons', 'orgs', 'locations'] : [category];
     const timestamp = new Date();
 
     const tasks = [];
     for (const cat of categories) {
-        const arr = merged[cat] || [];
-        const ranked = rankByCount(arr, topN);
+        const ranked = result[cat] || [];
 
         const doc = {
             timestamp,
@@ -117,29 +123,29 @@ async function aggregateDaily({ collectorsArray, date /* YYYY-MM-DD */, category
             keywords: ranked
         };
 
-        tasks.push(Trend.findOneAndUpdate({ type: 'daily', date, category: cat }, doc, { upsert: true, new: true, setDefaultsOnInsert: true }).exec());
+        tasks.push(Trend.findOneAndUpdate({ type: 'daily', date, category: cat, geo: null, lang: null }, doc, { upsert: true, new: true, setDefaultsOnInsert: true }).exec());
 
         const cacheKey = `daily:${date}:${cat}`;
         tasks.push(redis.set(cacheKey, JSON.stringify({ timestamp, date, type: 'daily', category: cat, keywords: ranked }), 'EX', 24 * 3600));
     }
 
-    // Save daily document identifiers separately
-    const docIdsUnique = Array.from(new Set(merged.documentIdentifiers));
-    if (docIdsUnique.length > 0) {
-        const docIdsDoc = {
-            timestamp,
-            type: 'daily',
-            date,
-            category: 'documents',
-            keywords: docIdsUnique.map(id => ({ word: id, count: 1 })),
-        };
-        tasks.push(Trend.findOneAndUpdate({ type: 'daily', date, category: 'documents' }, docIdsDoc, { upsert: true, new: true, setDefaultsOnInsert: true }).exec());
-        logger.info(`Aggregated ${docIdsUnique.length} daily document identifiers for ${date}.`);
+    const countries = result.countries;
+    if (countries.length > 0) {
+        tasks.push(Trend.findOneAndUpdate({ type: 'daily', date, category: 'countries', geo: null, lang: null }, { timestamp, type: 'daily', date, category: 'countries', keywords: countries }, { upsert: true, new: true, setDefaultsOnInsert: true }).exec());
     }
 
+    // a day's document identifiers are not stored as one doc (it can outgrow 16 MB); they are
+    // Article docs written while the files were parsed (see services/articles)
+
+    const geoOps = buildGeoOps(result.byGeo, { type: 'daily', date, timestamp, categories: categories.filter(c => c !== 'locations') });
+    if (geoOps.length > 0) tasks.push(Trend.bulkWrite(geoOps, { ordered: false }));
+    tasks.push(saveEdges({ type: 'daily', date, timestamp, counter: result.edges }));
+    tasks.push(saveSources({ type: 'daily', date, timestamp, rows: result.rows, sources: result.sources, bySource: result.bySource }));
+
     await Promise.all(tasks);
-    logger.info(`Daily aggregated for ${date}`);
+    await afterSave({ type: 'daily', date, timestamp });
+    logger.info(`Daily aggregated for ${date}${merged.approximate ? ' (approximate counts)' : ''}`);
     return true;
 }
 
-module.exports = { aggregateFromFile, aggregateDaily, rankByCount };
+module.exports = { aggregateFromFile, aggregateDaily };
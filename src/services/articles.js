@@ -0,0 +1,131 @@
+// src/services/articles.js
+// Article-level store: one Article doc per GKG record (URL, outlet, keywords, tone), written in
+// batches while a file is parsed, so "which articles mention X" can be answered page by page.
+const mongoose = require('mongoose');
+const Article = require('../models/articleModel');
+const config = require('../config');
+const winston = require('winston');
+const { resolveAlias } = require('./entities');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const ARTICLE_CATEGORIES = ['themes', 'persons', 'orgs', 'locations'];
+
+// GKG DATE column (YYYYMMDDHHMMSS, UTC) -> Date, or null
+function parseGkgDate(value) {
+    const m = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+    if (!m) return null;
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]));
+    return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function distinct(words, limit) {
+    const list = Array.from(new Set(words)).slice(0, limit);
+    return list.length > 0 ? list : undefined;
+}
+
+/**
+ * buildArticle: the Article fields of one parsed record, or null without a URL or timestamp.
+ * record: { url, timestamp: Date, source, themes, persons, orgs, places: [location keyword], tone, lang }
+ * Categories that were not parsed stay undefined so a later write does not clear them.
+ */
+function buildArticle({ url, timestamp, source = null, themes = [], persons = [], orgs = [], places = [], tone = null, lang }) {
+    if (!url || !timestamp) return null;
+    const max = config.articles.maxKeywords;
+    return {
+        url,
+        date: timestamp.toISOString().slice(0, 10),
+        timestamp,
+        source,
+        themes: distinct(themes, max),
+        persons: distinct(persons.map(w => resolveAlias('persons', w)), max),
+        orgs: distinct(orgs.map(w => resolveAlias('orgs', w)), max),
+        locations: distinct(places.map(p => p.word), max),
+        countries: distinct(places.map(p => p.location && p.location.countryCode).filter(Boolean), max),
+        tone: tone ? tone.tone : undefined,
+        lang: lang || undefined,
+    };
+}
+
+/**
+ * createArticleBuffer: add() queues an article and returns true once config.articles.batchSize are
+ * waiting; flush() upserts them (by url + date). A failed write is logged, never thrown, so article
+ * storage cannot fail a file's ingestion.
+ */
+function createArticleBuffer() {
+    const buffer = { items: [], written: 0 };
+    buffer.add = (article) => {
+        if (article) buffer.items.push(article);
+        return buffer.items.length >= config.articles.batchSize;
+    };
+    buffer.flush = async () => {
+        const items = buffer.items;
+        buffer.items = [];
+        if (items.length === 0) return 0;
+        const ops = items.map(a => {
+            const set = {};
+            for (const [k, v] of Object.entries(a)) if (v !== undefined) set[k] = v;
+            return { updateOne: { filter: { url: a.url, date: a.date }, update: { $set: set }, upsert: true } };
+        });
+        try {
+            await Article.bulkWrite(ops, { ordered: false });
+            buffer.written += ops.length;
+        } catch (err) {
+            logger.warn(`Could not store ${ops.length} articles: ${err.message}`);
+        }
+        return ops.length;
+    };
+    return buffer;
+}
+
+// opaque page cursor: the last article's timestamp and id
+function encodeCursor(article) {
+    return Buffer.from(`${new Date(article.timestamp).getTime()}:${article._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const [ms, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+    const time = Number(ms);
+    if (!Number.isFinite(time) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { timestamp: new Date(time), id: new mongoose.Types.ObjectId(id) };
+}
+
+/**
+ * findArticles: newest-first page of articles matching `filter`, continuing after `cursor`.
+ * Returns { results, nextCursor } (nextCursor null on the last page) or { error } for a bad cursor.
+ */
+async function findArticles(filter, { cursor, limit = 50 } = {}) {
+    const query = { ...filter };
+    if (cursor) {
+        const after = decodeCursor(cursor);
+        if (!after) return { error: 'invalid cursor' };
+        query.$or = [{ timestamp: { $lt: after.timestamp } }, { timestamp: after.timestamp, _id: { $lt: after.id } }];
+    }
+    const docs = await Article.find(query, { createdAt: 0, updatedAt: 0, __v: 0 })
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit + 1)
+        .lean()
+        .exec();
+    const results = docs.slice(0, limit);
+    return { results, nextCursor: docs.length > limit ? encodeCursor(results[results.length - 1]) : null };
+}
+
+/**
+ * articlesMentioning: articles whose `category` list holds `word` (persons / orgs through the alias
+ * table), or any of themes / persons / orgs when no category is given; date or from..to narrows the days,
+ * lang (ISO 639-1) the source language.
+ */
+async function articlesMentioning({ word, category = null, date, from, to, lang, cursor, limit }) {
+    const filter = {};
+    if (category) {
+        filter[category] = resolveAlias(category, word);
+    } else {
+        filter.$and = [{ $or: ['themes', 'persons', 'orgs'].map(c => ({ [c]: resolveAlias(c, word) })) }];
+    }
+    if (date) filter.date = date;
+    else if (from || to) filter.date = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+    if (lang) filter.lang = lang;
+    return findArticles(filter, { cursor, limit });
+}
+
+module.exports = { ARTICLE_CATEGORIES, parseGkgDate, buildArticle, createArticleBuffer, findArticles, articlesMentioning };
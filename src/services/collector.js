@@ -0,0 +1,269 @@
+// src/services/collector.js
+// Streaming aggregation state shared by the GKG parsers: rows are folded into keyword counters
+// as they arrive, so a collector's size depends on the vocabulary rather than the row count.
+// Exact collectors are used per 15-minute file; approximate ones (count-min sketch + heavy
+// hitters, see utils/keywordCounter) keep day and multi-day rebuilds within a fixed footprint.
+const config = require('../config');
+const { createKeywordCounter, addKeyword, mergeKeywordCounters, topKeywords } = require('../utils/keywordCounter');
+const { geoKeysFor } = require('../utils/locations');
+const { createEdgeCounter, addRowEdges, mergeEdgeCounters, pruneEdgeCounter } = require('./cooccurrence');
+const { resolveAlias, resolveEntities } = require('./entities');
+
+const CATEGORIES = ['themes', 'persons', 'orgs', 'locations'];
+const GEO_CATEGORIES = ['themes', 'persons', 'orgs'];
+
+function counterOptions(approximate, { geo = false } = {}) {
+    const agg = config.aggregation;
+    return {
+        // per-place and per-outlet counters skip document samples and tone: there can be thousands of them
+        samples: geo ? 0 : agg.sampleDocuments,
+        tone: !geo,
+        approximate,
+        // a place's (or outlet's) heavy hitters only need to cover its own top N
+        capacity: geo ? (config.topN || 50) * 4 : Math.max(agg.heavyHitters, (config.topN || 50) * 4),
+        width: geo ? Math.max(256, Math.floor(agg.sketchWidth / 16)) : agg.sketchWidth,
+        depth: agg.sketchDepth,
+    };
+}
+
+function createCollector({ approximate = false } = {}) {
+    const collector = {
+        approximate,
+        rowCount: 0,
+        countries: createKeywordCounter({ tone: false }), // one entry per country code, always exact
+        documents: { ids: new Set(), total: 0 }, // distinct ids, capped at config.aggregation.maxDocuments
+        byGeo: new Map(), // geo -> { rows, themes, persons, orgs } for country / ADM1 filtered trends
+        sources: createKeywordCounter({ tone: true }), // records per source outlet, always exact
+        bySource: new Map(), // outlet -> { rows, themes, persons, orgs }, pruned to the largest outlets
+        byLang: new Map(), // source language of translingual records -> { rows, themes, persons, orgs, locations }
+        edges: createEdgeCounter(), // person/org/theme co-occurrence within a record
+    };
+    for (const cat of CATEGORIES) collector[cat] = createKeywordCounter(counterOptions(approximate));
+    return collector;
+}
+
+function geoEntry(collector, geo) {
+    if (!collector.byGeo.has(geo)) {
+        const g = { rows: 0 };
+        for (const cat of GEO_CATEGORIES) g[cat] = createKeywordCounter(counterOptions(collector.approximate, { geo: true }));
+        collector.byGeo.set(geo, g);
+    }
+    return collector.byGeo.get(geo);
+}
+
+function sourceEntry(collector, source) {
+    if (!collector.bySource.has(source)) {
+        const s = { rows: 0 };
+        for (const cat of GEO_CATEGORIES) s[cat] = createKeywordCounter(counterOptions(collector.approximate, { geo: true }));
+        collector.bySource.set(source, s);
+    }
+    return collector.bySource.get(source);
+}
+
+function langEntry(collector, lang) {
+    if (!collector.byLang.has(lang)) {
+        const l = { rows: 0 };
+        for (const cat of CATEGORIES) l[cat] = createKeywordCounter(counterOptions(collector.approximate));
+        collector.byLang.set(lang, l);
+    }
+    return collector.byLang.get(lang);
+}
+
+// approximate mode: keeps the `keep` places with the most records, so memory does not grow with the
+// number of ADM1 places; a place dropped here starts from zero if it comes back
+function prunePlaces(collector, keep) {
+    const ranked = Array.from(collector.byGeo).sort((a, b) => b[1].rows - a[1].rows);
+    collector.byGeo = new Map(ranked.slice(0, keep));
+}
+
+// keeps the `keep` outlets with the most records; an outlet dropped here starts from zero if it comes back
+function pruneSources(collector, keep) {
+    const ranked = Array.from(collector.bySource).sort((a, b) => b[1].rows - a[1].rows);
+    collector.bySource = new Map(ranked.slice(0, keep));
+}
+
+function addDocumentIds(collector, ids) {
+    const docs = collector.documents;
+    for (const id of ids) {
+        docs.total += 1;
+        if (docs.ids.size < config.aggregation.maxDocuments) docs.ids.add(id);
+    }
+}
+
+/**
+ * addRow: folds one GKG record into the collector.
+ * row: { themes: [word], persons: [word], orgs: [word], places: [location keyword], tone, documents: [id], source: outlet domain,
+ *        lang: source language (translingual feed only), weight: articles the record stands for (GKG 1.0 NUMARTS) }
+ * Persons and orgs are mapped onto their canonical entity (see services/entities) first.
+ * Keyword, place, language and edge counts and row totals are weighted; a record counts once for its outlet.
+ * Tone and document samples are counted once per distinct keyword of the record.
+ */
+function addRow(collector, { themes = [], persons = [], orgs = [], places = [], tone = null, documents = [], source = null, lang = null, weight = 1 }) {
+    collector.rowCount += weight;
+    const raw = { themes, persons, orgs };
+    const words = { themes, persons: persons.map(w => resolveAlias('persons', w)), orgs: orgs.map(w => resolveAlias('orgs', w)) };
+    for (const cat of GEO_CATEGORIES) {
+        const seen = new Set();
+        words[cat].forEach((word, i) => {
+            const first = !seen.has(word);
+            seen.add(word);
+            addKeyword(collector[cat], word, { count: weight, ...(first ? { documents, tone } : {}), variant: raw[cat][i] });
+        });
+    }
+    const seenPlaces = new Set();
+    for (const place of places) {
+        const first = !seenPlaces.has(place.word);
+        seenPlaces.add(place.word);
+        addKeyword(collector.locations, place.word, { count: weight, location: place.location, ...(first ? { documents, tone } : {}) });
+        if (place.location && place.location.countryCode) addKeyword(collector.countries, place.location.countryCode, { count: weight });
+    }
+
+    addRowEdges(collector.edges, words, weight);
+    if (collector.approximate && collector.edges.size > config.graph.maxEdges * 20) {
+        pruneEdgeCounter(collector.edges, config.graph.maxEdges * 10);
+    }
+
+    for (const geo of geoKeysFor(places)) {
+        const g = geoEntry(collector, geo);
+        g.rows += weight;
+        for (const cat of GEO_CATEGORIES) {
+            for (const word of words[cat]) addKeyword(g[cat], word, { count: weight });
+        }
+    }
+    if (collector.approximate && collector.byGeo.size > config.aggregation.maxPlaces * 2) prunePlaces(collector, config.aggregation.maxPlaces);
+
+    if (source) {
+        addKeyword(collector.sources, source, { tone });
+        const s = sourceEntry(collector, source);
+        s.rows += 1;
+        for (const cat of GEO_CATEGORIES) {
+            for (const word of words[cat]) addKeyword(s[cat], word);
+        }
+        if (collector.bySource.size > config.sources.maxTracked * 4) pruneSources(collector, config.sources.maxTracked * 2);
+    }
+    if (lang) {
+        const l = langEntry(collector, lang);
+        l.rows += weight;
+        for (const cat of GEO_CATEGORIES) {
+            const seen = new Set();
+            for (const word of words[cat]) {
+                addKeyword(l[cat], word, { count: weight, ...(seen.has(word) ? {} : { documents, tone }) });
+                seen.add(word);
+            }
+        }
+        const seenLangPlaces = new Set();
+        for (const place of places) {
+            addKeyword(l.locations, place.word, { count: weight, location: place.location, ...(seenLangPlaces.has(place.word) ? {} : { documents, tone }) });
+            seenLangPlaces.add(place.word);
+        }
+    }
+    addDocumentIds(collector, documents);
+    return collector;
+}
+
+// folds source into target (e.g. per-file collectors into a day)
+function mergeCollectors(target, source) {
+    target.rowCount += source.rowCount;
+    for (const cat of CATEGORIES) mergeKeywordCounters(target[cat], source[cat]);
+    mergeKeywordCounters(target.countries, source.countries);
+    mergeEdgeCounters(target.edges, source.edges);
+    for (const [geo, g] of source.byGeo) {
+        const t = geoEntry(target, geo);
+        t.rows += g.rows;
+        for (const cat of GEO_CATEGORIES) mergeKeywordCounters(t[cat], g[cat]);
+    }
+    if (target.approximate && target.byGeo.size > config.aggregation.maxPlaces * 2) prunePlaces(target, config.aggregation.maxPlaces);
+    mergeKeywordCounters(target.sources, source.sources);
+    for (const [outlet, s] of source.bySource) {
+        const t = sourceEntry(target, outlet);
+        t.rows += s.rows;
+        for (const cat of GEO_CATEGORIES) mergeKeywordCounters(t[cat], s[cat]);
+    }
+    if (target.bySource.size > config.sources.maxTracked * 4) pruneSources(target, config.sources.maxTracked * 2);
+    for (const [lang, l] of source.byLang) {
+        const t = langEntry(target, lang);
+        t.rows += l.rows;
+        for (const cat of CATEGORIES) mergeKeywordCounters(t[cat], l[cat]);
+    }
+    for (const id of source.documents.ids) {
+        if (target.documents.ids.size >= config.aggregation.maxDocuments) break;
+        target.documents.ids.add(id);
+    }
+    target.documents.total += source.documents.total;
+    return target;
+}
+
+// rank themes/persons/orgs per place, dropping places below config.geoMinRows
+function rankByGeo(byGeo, topN) {
+    const out = {};
+    const minRows = config.geoMinRows || 1;
+    for (const [geo, g] of byGeo) {
+        if (g.rows < minRows) continue;
+        out[geo] = {};
+        for (const cat of GEO_CATEGORIES) out[geo][cat] = topKeywords(g[cat], topN);
+    }
+    return out;
+}
+
+// rank themes/persons/orgs of the largest outlets, dropping those below config.sources.minArticles
+function rankBySource(bySource, topN) {
+    const out = {};
+    const ranked = Array.from(bySource)
+        .filter(([, s]) => s.rows >= config.sources.minArticles)
+        .sort((a, b) => b[1].rows - a[1].rows)
+        .slice(0, config.sources.maxTracked);
+    for (const [outlet, s] of ranked) {
+        out[outlet] = { rows: s.rows };
+        for (const cat of GEO_CATEGORIES) out[outlet][cat] = topKeywords(s[cat], topN);
+    }
+    return out;
+}
+
+// rank every category per source language, dropping languages below config.translation.minRows
+function rankByLang(byLang, topN) {
+    const out = {};
+    for (const [lang, l] of byLang) {
+        if (l.rows < config.translation.minRows) continue;
+        out[lang] = { rows: l.rows };
+        for (const cat of CATEGORIES) out[lang][cat] = topKeywords(l[cat], topN);
+    }
+    return out;
+}
+
+/**
+ * rankCollector: the stored shape of a collector —
+ * { themes, persons, orgs, locations, countries, byGeo: { geo: { themes, persons, orgs } }, edges, documentIdentifiers,
+ *   rows, sources: records per outlet, bySource: { outlet: { rows, themes, persons, orgs } },
+ *   byLang: { lang: { rows, themes, persons, orgs, locations } } }
+ * Surname / acronym variants of persons and orgs are merged first (this updates the collector).
+ */
+function rankCollector(collector, topN = config.topN || 50) {
+    resolveEntities(collector);
+    return {
+        themes: topKeywords(collector.themes, topN),
+        persons: topKeywords(collector.persons, topN),
+        orgs: topKeywords(collector.orgs, topN),
+        locations: topKeywords(collector.locations, topN),
+        countries: topKeywords(collector.countries, collector.countries.entries.size),
+        byGeo: rankByGeo(collector.byGeo, topN),
+        edges: collector.edges,
+        documentIdentifiers: Array.from(collector.documents.ids),
+        rows: collector.rowCount,
+        sources: topKeywords(collector.sources, config.sources.leaderboardSize),
+        bySource: rankBySource(collector.bySource, topN),
+        byLang: rankByLang(collector.byLang, topN),
+    };
+}
+
+// keyword occurrences per category, as recorded in the ingestion ledger
+function collectorCounts(collector) {
+    return {
+        themes: collector.themes.total,
+        persons: collector.persons.total,
+        orgs: collector.orgs.total,
+        locations: collector.locations.total,
+        documents: collector.documents.total,
+    };
+}
+
+module.exports = { createCollector, addRow, mergeCollectors, rankCollector, collectorCounts };
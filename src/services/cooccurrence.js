@@ -0,0 +1,169 @@
+// src/services/cooccurrence.js
+const Cooccurrence = require('../models/cooccurrenceModel');
+const config = require('../config');
+const winston = require('winston');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+// pairs we count: person<->org, person<->theme, org<->theme
+const PAIRS = [['persons', 'orgs'], ['persons', 'themes'], ['orgs', 'themes']];
+const SEP = '\t';
+const EDGE_CHUNK = 1000;
+
+// edge counter: Map("srcCat\tsrc\ttgtCat\ttgt" -> weight)
+function createEdgeCounter() {
+    return new Map();
+}
+
+/**
+ * addRowEdges: counts co-occurrence edges for one GKG record.
+ * entities: { themes: [word], persons: [word], orgs: [word] }; each list is de-duplicated and
+ * capped at config.graph.maxPerRow so a single long record cannot flood the counter.
+ * weight: articles the record stands for (GKG 1.0 clusters).
+ */
+function addRowEdges(counter, entities, weight = 1) {
+    const cap = config.graph.maxPerRow || 10;
+    const lists = {};
+    for (const cat of ['persons', 'orgs', 'themes']) {
+        lists[cat] = Array.from(new Set(entities[cat] || [])).slice(0, cap);
+    }
+    for (const [ca, cb] of PAIRS) {
+        for (const a of lists[ca]) {
+            for (const b of lists[cb]) {
+                const key = ca + SEP + a + SEP + cb + SEP + b;
+                counter.set(key, (counter.get(key) || 0) + weight);
+            }
+        }
+    }
+    return counter;
+}
+
+function mergeEdgeCounters(target, source) {
+    if (!source) return target;
+    for (const [key, weight] of source) {
+        target.set(key, (target.get(key) || 0) + weight);
+    }
+    return target;
+}
+
+// drops all but the `size` heaviest edges (bounded memory for approximate rollups)
+function pruneEdgeCounter(counter, size) {
+    if (counter.size <= size) return counter;
+    const kept = Array.from(counter).sort((a, b) => b[1] - a[1]).slice(0, size);
+    counter.clear();
+    for (const [key, weight] of kept) counter.set(key, weight);
+    return counter;
+}
+
+// strongest edges as plain objects, pruned by config.graph.minWeight / maxEdges
+function topEdges(counter) {
+    const minWeight = config.graph.minWeight || 1;
+    const maxEdges = config.graph.maxEdges || 5000;
+    const edges = [];
+    for (const [key, weight] of counter) {
+        if (weight < minWeight) continue;
+        const [sourceCategory, source, targetCategory, target] = key.split(SEP);
+        edges.push({ source, sourceCategory, target, targetCategory, weight });
+    }
+    return edges.sort((a, b) => b.weight - a.weight).slice(0, maxEdges);
+}
+
+// the stored edges one save replaces: a realtime slot, or a whole day
+function edgeScope({ type, date, timestamp }) {
+    return type === 'realtime' ? { type, date, timestamp } : { type, date };
+}
+
+/**
+ * saveEdges: replaces the edges of one realtime slot (keyed by its timestamp) or one day.
+ * New edges are upserted before the scope's stale ones are removed, so readers never see an empty graph.
+ */
+async function saveEdges({ type, date, timestamp, counter }) {
+    if (!counter || counter.size === 0) return 0;
+    const edges = topEdges(counter);
+    const scope = edgeScope({ type, date, timestamp });
+    const savedAt = new Date();
+    for (let i = 0; i < edges.length; i += EDGE_CHUNK) {
+        const ops = edges.slice(i, i + EDGE_CHUNK).map(e => ({
+            updateOne: {
+                filter: { ...scope, sourceCategory: e.sourceCategory, source: e.source, targetCategory: e.targetCategory, target: e.target },
+                update: { $set: { weight: e.weight, timestamp, savedAt } },
+                upsert: true,
+            }
+        }));
+        await Cooccurrence.bulkWrite(ops, { ordered: false });
+    }
+    await Cooccurrence.deleteMany({ ...scope, savedAt: { $ne: savedAt } });
+    logger.info(`Saved ${edges.length} co-occurrence edges (${type}) for ${type === 'realtime' ? new Date(timestamp).toISOString() : date}`);
+    return edges.length;
+}
+
+function nodeId(category, word) {
+    return `${category}:${word}`;
+}
+
+/**
+ * getNeighbourhood: breadth-first expansion from `word` over stored edges (type 'realtime' reads the
+ * day's latest slot). Each hop is one query over the whole frontier and keeps at most `limit`
+ * strongest edges per frontier node; `category` restricts the starting word's own category before
+ * that limit. Expansion stops once the graph holds config.graph.maxNodes nodes.
+ * Returns { nodes: [{id, word, category}], edges: [{source, target, weight}] } with ids "category:word".
+ */
+async function getNeighbourhood({ word, date, type = 'daily', depth = 1, limit = 25, category = null }) {
+    const { maxNodes } = config.graph;
+    const nodes = new Map();
+    const edges = new Map();
+    let frontier = [word];
+    const visited = new Set();
+
+    let scope = { type, date };
+    if (type === 'realtime') {
+        const latest = await Cooccurrence.findOne(scope, { timestamp: 1 }).sort({ timestamp: -1 }).lean().exec();
+        if (!latest) return { nodes: [], edges: [] };
+        scope = edgeScope({ type, date, timestamp: latest.timestamp });
+    }
+
+    const addNode = (w, c) => {
+        const id = nodeId(c, w);
+        if (!nodes.has(id)) {
+            if (nodes.size >= maxNodes) return null;
+            nodes.set(id, { id, word: w, category: c });
+        }
+        return id;
+    };
+
+    for (let hop = 0; hop < depth && frontier.length > 0 && nodes.size < maxNodes; hop++) {
+        const words = frontier.filter(w => !visited.has(w));
+        words.forEach(w => visited.add(w));
+        if (words.length === 0) break;
+        // only the starting word is filtered by category; neighbours can be anything
+        const own = hop === 0 && category
+            ? [{ source: word, sourceCategory: category }, { target: word, targetCategory: category }]
+            : [{ source: { $in: words } }, { target: { $in: words } }];
+        const found = await Cooccurrence.find({ ...scope, $or: own })
+            .sort({ weight: -1 })
+            .limit(limit * words.length)
+            .lean()
+            .exec();
+
+        const inFrontier = new Set(words);
+        const taken = new Map(); // frontier word -> edges kept for it this hop
+        const next = [];
+        for (const e of found) {
+            const ends = [e.source, e.target].filter(w => inFrontier.has(w) && (taken.get(w) || 0) < limit);
+            if (ends.length === 0) continue;
+            const s = addNode(e.source, e.sourceCategory);
+            const t = addNode(e.target, e.targetCategory);
+            if (!s || !t) continue;
+            edges.set(`${s}|${t}`, { source: s, target: t, weight: e.weight });
+            for (const w of ends) {
+                taken.set(w, (taken.get(w) || 0) + 1);
+                next.push(w === e.source ? e.target : e.source);
+            }
+        }
+        frontier = next;
+    }
+
+    return { nodes: Array.from(nodes.values()), edges: Array.from(edges.values()) };
+}
+
+module.exports = { createEdgeCounter, addRowEdges, mergeEdgeCounters, pruneEdgeCounter, topEdges, saveEdges, getNeighbourhood };
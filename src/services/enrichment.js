@@ -0,0 +1,313 @@
+// src/services/enrichment.js
+// Optional article enrichment: fetches the pages behind the document samples of top keywords and
+// stores their title, description, og:image, published date and language (from the HTML meta tags)
+// on the Article docs. robots.txt is honoured, each domain gets at most perDomainConcurrency requests
+// at a time with a delay between them, and every request is bounded by a timeout and a size limit.
+// Redirects are followed by hand so every hop passes the same checks, and only public addresses are
+// ever connected to (see utils/addresses).
+const axios = require('axios');
+const cheerio = require('cheerio');
+const Article = require('../models/articleModel');
+const Trend = require('../models/trendModel');
+const config = require('../config');
+const winston = require('winston');
+const { parseRobots, isAllowed, crawlDelay } = require('../utils/robots');
+const { assertPublicHost, publicLookup } = require('../utils/addresses');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const ENRICH_CATEGORIES = ['themes', 'persons', 'orgs'];
+// a host asking for a longer Crawl-delay gets one page per run
+const MAX_DELAY_MS = 60 * 1000;
+const DISALLOW_ALL = [{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }];
+
+const robotsCache = new Map(); // origin -> { groups, loadedAt }
+let running = null;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function clip(text, max) {
+    if (!text) return undefined;
+    const clean = String(text).replace(/\s+/g, ' ').trim();
+    if (!clean) return undefined;
+    return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+}
+
+// content of the first meta tag matching one of the selectors
+function metaContent($, selectors) {
+    for (const selector of selectors) {
+        const value = $(selector).first().attr('content');
+        if (value && value.trim()) return value.trim();
+    }
+    return null;
+}
+
+function absoluteUrl(value, base) {
+    if (!value) return undefined;
+    try {
+        const url = new URL(value, base);
+        return /^https?:$/.test(url.protocol) ? url.href : undefined;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+function parseDate(value) {
+    if (!value) return undefined;
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+// "en_US" / "en-US,fr" -> "en-us"
+function normalizeLanguage(value) {
+    if (!value) return undefined;
+    const tag = String(value).trim().replace(/_/g, '-').toLowerCase().split(/[,;\s]/)[0];
+    return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(tag) ? tag : undefined;
+}
+
+/**
+ * extractPreview: { title, description, image, publishedAt, language } from an HTML page; missing
+ * fields are undefined. Open Graph tags win over Twitter cards and plain meta tags.
+ */
+function extractPreview(html, url) {
+    const $ = cheerio.load(html);
+    const title = metaContent($, ['meta[property="og:title"]', 'meta[name="twitter:title" i]']) || $('title').first().text();
+    const description = metaContent($, ['meta[property="og:description"]', 'meta[name="description" i]', 'meta[name="twitter:description" i]']);
+    const image = metaContent($, ['meta[property="og:image"]', 'meta[property="og:image:url"]', 'meta[property="og:image:secure_url"]', 'meta[name="twitter:image" i]']);
+    const published = metaContent($, [
+        'meta[property="article:published_time"]',
+        'meta[itemprop="datePublished"]',
+        'meta[name="pubdate" i]',
+        'meta[name="publishdate" i]',
+        'meta[name="date" i]',
+        'meta[name="dc.date.issued" i]',
+        'meta[name="dc.date" i]',
+    ]) || $('time[datetime]').first().attr('datetime');
+    const language = $('html').attr('lang') || metaContent($, ['meta[http-equiv="content-language" i]', 'meta[property="og:locale"]']);
+    return {
+        title: clip(title, 300),
+        description: clip(description, 1000),
+        image: absoluteUrl(image, url),
+        publishedAt: parseDate(published),
+        language: normalizeLanguage(language),
+    };
+}
+
+// hosts of config.enrichment.allowHosts may be private (local fixtures); every other one must be public
+function isExempt(url) {
+    return config.enrichment.allowHosts.includes(new URL(url).host);
+}
+
+function requestOptions(url, extra = {}) {
+    const opts = config.enrichment;
+    return {
+        url,
+        method: 'GET',
+        responseType: 'text',
+        timeout: opts.timeoutMs,
+        maxContentLength: opts.maxBytes,
+        maxRedirects: 0,
+        ...(isExempt(url) ? {} : { lookup: publicLookup }),
+        headers: { 'User-Agent': opts.userAgent },
+        ...extra,
+    };
+}
+
+/**
+ * getFollowing: GET `url`, following up to config.enrichment.maxRedirects redirects by hand. Every hop must
+ * be http(s) on a public host; `beforeHop(target)` runs before each request and may return a result
+ * to stop with instead. Returns { resp, url } of the final hop or { stopped }.
+ */
+async function getFollowing(url, extra, beforeHop = null) {
+    let target = new URL(url);
+    for (let hop = 0; hop <= config.enrichment.maxRedirects; hop++) {
+        if (!/^https?:$/.test(target.protocol)) throw new Error(`unsupported protocol ${target.protocol}`);
+        if (!isExempt(target.href)) assertPublicHost(target.hostname);
+        if (beforeHop) {
+            const stopped = await beforeHop(target);
+            if (stopped !== undefined) return { stopped };
+        }
+        const resp = await axios(requestOptions(target.href, extra));
+        if (resp.status >= 300 && resp.status < 400) {
+            if (!resp.headers.location) throw new Error(`redirect ${resp.status} without a Location`);
+            target = new URL(resp.headers.location, target);
+            continue;
+        }
+        return { resp, url: target.href };
+    }
+    throw new Error(`more than ${config.enrichment.maxRedirects} redirects`);
+}
+
+// robots.txt groups of the origin, cached; a missing file (4xx) allows everything, an unreachable one nothing
+async function robotsFor(origin) {
+    const cached = robotsCache.get(origin);
+    if (cached && Date.now() - cached.loadedAt < config.enrichment.robotsCacheMinutes * 60 * 1000) return cached.groups;
+    let groups;
+    try {
+        const { resp } = await getFollowing(`${origin}/robots.txt`, { validateStatus: status => status < 500 });
+        groups = resp.status >= 200 && resp.status < 300 ? parseRobots(resp.data) : [];
+    } catch (err) {
+        logger.warn(`robots.txt of ${origin} unavailable, skipping the domain: ${err.message}`);
+        groups = DISALLOW_ALL;
+    }
+    robotsCache.set(origin, { groups, loadedAt: Date.now() });
+    return groups;
+}
+
+/**
+ * createHostGate: per-run politeness shared by all lanes. wait(target) spaces request starts to one host
+ * by perDomainDelayMs or its robots.txt Crawl-delay, and returns false when a host already requested in
+ * this run asks for more than MAX_DELAY_MS (its remaining pages wait for a later run).
+ */
+function createHostGate() {
+    const nextAt = new Map();
+    return async function wait(target) {
+        const robotsDelay = (crawlDelay(await robotsFor(target.origin), config.enrichment.userAgent) || 0) * 1000;
+        const delay = Math.max(config.enrichment.perDomainDelayMs, robotsDelay);
+        if (nextAt.has(target.host) && delay > MAX_DELAY_MS) return false;
+        const at = Math.max(Date.now(), nextAt.get(target.host) || 0);
+        nextAt.set(target.host, at + delay);
+        await sleep(at - Date.now());
+        return true;
+    };
+}
+
+/**
+ * fetchPreview: the preview to store for one URL —
+ * { status: 'ok', title, ... } | { status: 'blocked' } (robots.txt) | { status: 'failed', error }, each with fetchedAt;
+ * null when a hop's host asks for a longer Crawl-delay than one run allows (try again later).
+ * robots.txt, politeness and the public-address rule apply to every redirect hop.
+ */
+async function fetchPreview(url, gate = createHostGate()) {
+    const fetchedAt = new Date();
+    try {
+        const result = await getFollowing(url, {
+            validateStatus: status => status >= 200 && status < 400,
+            headers: { 'User-Agent': config.enrichment.userAgent, Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1' },
+        }, async target => {
+            if (!isAllowed(await robotsFor(target.origin), config.enrichment.userAgent, `${target.pathname}${target.search}`)) {
+                return { status: 'blocked', fetchedAt };
+            }
+            if (!await gate(target)) return null;
+            return undefined;
+        });
+        if (result.stopped !== undefined) return result.stopped;
+        const type = String(result.resp.headers['content-type'] || '');
+        if (type && !/html/i.test(type)) return { status: 'failed', error: `not an HTML page (${type})`, fetchedAt };
+        return { status: 'ok', ...extractPreview(result.resp.data, result.url), fetchedAt };
+    } catch (err) {
+        return { status: 'failed', error: err.message, fetchedAt };
+    }
+}
+
+async function storePreview(url, preview) {
+    const set = {};
+    for (const [k, v] of Object.entries(preview)) if (v !== undefined) set[k] = v;
+    await Article.updateMany({ url }, { $set: { preview: set }, $inc: { enrichAttempts: 1 } }).exec();
+}
+
+/**
+ * enrichUrls: fetches and stores previews for `urls`. Pages of one domain are split over at most
+ * perDomainConcurrency lanes, each fetching one page at a time; request starts to any host (redirect
+ * targets included) are spaced by perDomainDelayMs or the robots.txt Crawl-delay; at most `concurrency` lanes run at once.
+ */
+async function enrichUrls(urls) {
+    const opts = config.enrichment;
+    const byHost = new Map();
+    for (const url of new Set(urls)) {
+        let host;
+        try {
+            host = new URL(url).host;
+        } catch (err) {
+            continue;
+        }
+        if (!byHost.has(host)) byHost.set(host, []);
+        byHost.get(host).push(url);
+    }
+    const lanes = [];
+    for (const [host, list] of byHost) {
+        const n = Math.max(1, Math.min(opts.perDomainConcurrency, list.length));
+        for (let i = 0; i < n; i++) lanes.push({ host, urls: list.filter((_, j) => j % n === i) });
+    }
+
+    const stats = { fetched: 0, ok: 0, failed: 0, blocked: 0 };
+    const gate = createHostGate();
+    let next = 0;
+    const worker = async () => {
+        while (next < lanes.length) {
+            const lane = lanes[next++];
+            for (const url of lane.urls) {
+                const preview = await fetchPreview(url, gate);
+                if (!preview) break;
+                await storePreview(url, preview);
+                stats.fetched += 1;
+                stats[preview.status] += 1;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, opts.concurrency), lanes.length) }, worker));
+    return stats;
+}
+
+// document samples of the top keywords of the latest realtime slot (or the daily doc) of `date`
+async function topDocumentUrls({ date, type }) {
+    const docs = await Promise.all(ENRICH_CATEGORIES.map(category =>
+        Trend.findOne({ type, date, category, geo: null, lang: null }, { keywords: 1 }).sort({ timestamp: -1 }).lean().exec()
+    ));
+    const urls = new Set();
+    for (const doc of docs) {
+        for (const k of ((doc && doc.keywords) || []).slice(0, config.enrichment.keywordsPerCategory)) {
+            for (const url of (k.documents || [])) if (/^https?:\/\//i.test(url)) urls.add(url);
+        }
+    }
+    return Array.from(urls);
+}
+
+/**
+ * enrichTopDocuments: previews for the top keywords' documents that have none yet (or failed fewer
+ * than maxAttempts times). Only Article docs are updated; URLs without one are skipped.
+ * One run at a time: a call while another runs returns the running one.
+ */
+function enrichTopDocuments({ date = new Date().toISOString().slice(0, 10), type = 'realtime' } = {}) {
+    if (running) return running;
+    running = (async () => {
+        const candidates = await topDocumentUrls({ date, type });
+        const pending = candidates.length === 0 ? [] : await Article.distinct('url', {
+            url: { $in: candidates },
+            $or: [{ preview: { $exists: false } }, { 'preview.status': 'failed', enrichAttempts: { $lt: config.enrichment.maxAttempts } }],
+        }).exec();
+        const stats = await enrichUrls(pending);
+        logger.info(`Enriched ${stats.fetched}/${pending.length} pending documents for ${type} ${date}: ${stats.ok} ok, ${stats.failed} failed, ${stats.blocked} blocked by robots.txt`);
+        return { date, type, candidates: candidates.length, pending: pending.length, ...stats };
+    })().finally(() => {
+        running = null;
+    });
+    return running;
+}
+
+// the public part of a stored preview, or null unless it was fetched successfully
+function publicPreview(preview) {
+    if (!preview || preview.status !== 'ok') return null;
+    const { title, description, image, publishedAt, language } = preview;
+    return { title, description, image, publishedAt, language };
+}
+
+/**
+ * attachPreviews: keywords with `previews: [{ url, title, description, image, publishedAt, language }]`
+ * for those of their documents that have been enriched. A no-op while enrichment is disabled.
+ */
+async function attachPreviews(keywords) {
+    if (!config.enrichment.enabled) return keywords;
+    const urls = Array.from(new Set((keywords || []).flatMap(k => k.documents || [])));
+    if (urls.length === 0) return keywords;
+    const articles = await Article.find({ url: { $in: urls }, 'preview.status': 'ok' }, { url: 1, preview: 1 }).lean().exec();
+    const byUrl = new Map(articles.map(a => [a.url, publicPreview(a.preview)]));
+    return keywords.map(k => {
+        const previews = (k.documents || []).filter(url => byUrl.has(url)).map(url => ({ url, ...byUrl.get(url) }));
+        return previews.length > 0 ? { ...k, previews } : k;
+    });
+}
+
+module.exports = { extractPreview, createHostGate, fetchPreview, enrichUrls, enrichTopDocuments, publicPreview, attachPreviews };
@@ -0,0 +1,146 @@
+// src/services/entities.js
+// Entity resolution for persons and orgs. Spellings are merged into one canonical entity at
+// aggregation time in two steps:
+//  - the alias table (models/entityAliasModel) maps each parsed keyword onto its canonical form
+//    as rows are added to a collector (see collector.addRow);
+//  - when a collector is ranked, surname ("obama" -> "barack obama") and acronym
+//    ("nato" -> "north atlantic treaty organization") heuristics merge the remaining variants,
+//    unless that pair was rejected in the table.
+// Merged spellings are kept as the keyword's `variants`.
+const EntityAlias = require('../models/entityAliasModel');
+const Trend = require('../models/trendModel');
+const config = require('../config');
+const winston = require('winston');
+const { mergeKeywordInto } = require('../utils/keywordCounter');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const ENTITY_CATEGORIES = ['persons', 'orgs'];
+// words that do not contribute a letter to an acronym
+const ACRONYM_SKIP = new Set(['of', 'the', 'and', 'for', 'on', 'in', 'to', 'de', 'la', 'le', 'du', 'des', 'et', 'del']);
+const MAX_ALIAS_HOPS = 3;
+
+function emptyTable() {
+    return { aliases: { persons: new Map(), orgs: new Map() }, rejected: new Set() };
+}
+
+let table = emptyTable();
+let loadedAt = 0;
+
+function pairKey(category, alias, canonical) {
+    return `${category}:${alias}>${canonical}`;
+}
+
+/**
+ * refreshAliases: reloads the alias table when it is older than config.entities.refreshMinutes
+ * (or when force). On failure the previous table stays in use.
+ */
+async function refreshAliases({ force = false } = {}) {
+    if (!force && Date.now() - loadedAt < config.entities.refreshMinutes * 60 * 1000) return table;
+    try {
+        const rows = await EntityAlias.find({}, { category: 1, alias: 1, canonical: 1, status: 1 }).lean().exec();
+        const next = emptyTable();
+        for (const row of rows) {
+            if (row.status === 'rejected') next.rejected.add(pairKey(row.category, row.alias, row.canonical));
+            else next.aliases[row.category].set(row.alias, row.canonical);
+        }
+        table = next;
+        loadedAt = Date.now();
+    } catch (err) {
+        logger.warn(`Could not load entity aliases, keeping ${table.aliases.persons.size + table.aliases.orgs.size} cached: ${err.message}`);
+    }
+    return table;
+}
+
+// canonical form of a cleaned keyword; categories other than persons / orgs pass through
+function resolveAlias(category, word) {
+    const aliases = table.aliases[category];
+    if (!aliases) return word;
+    let current = word;
+    for (let hop = 0; hop < MAX_ALIAS_HOPS && aliases.has(current); hop++) current = aliases.get(current);
+    return current;
+}
+
+// tokens of the category the cleaner keeps even when short enough to count as noise: aliases and,
+// for orgs with the heuristics on, two-letter acronyms ("un") they may merge
+function aliasTokens(category) {
+    const aliases = table.aliases[category];
+    if (!aliases) return null;
+    if (category !== 'orgs' || !config.entities.heuristics) return aliases;
+    return { has: token => aliases.has(token) || /^[a-z]{2}$/.test(token) };
+}
+
+function surnameOf(name) {
+    const parts = name.split(' ');
+    const last = parts[parts.length - 1];
+    return parts.length >= 2 && last.length >= 3 ? last : null;
+}
+
+function acronymOf(name) {
+    const words = name.split(/[\s-]+/).filter(w => w && !ACRONYM_SKIP.has(w));
+    return words.length >= 2 ? words.map(w => w[0]).join('') : null;
+}
+
+/**
+ * heuristicMerges: [variant, canonical] pairs for the single-word entries of a persons / orgs
+ * counter that match the surname (persons) or acronym (orgs) of a multi-word entry. With several
+ * candidates the most frequent one wins only if it dominates the next by config.entities.dominance.
+ */
+function heuristicMerges(category, counter) {
+    const keyOf = category === 'persons' ? surnameOf : acronymOf;
+    const index = new Map();
+    for (const word of counter.entries.keys()) {
+        const key = keyOf(word);
+        if (!key) continue;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(word);
+    }
+    const merges = [];
+    for (const word of counter.entries.keys()) {
+        if (word.includes(' ') || !index.has(word)) continue;
+        const ranked = index.get(word)
+            .map(w => [w, counter.entries.get(w).count])
+            .sort((a, b) => b[1] - a[1]);
+        if (ranked.length > 1 && ranked[0][1] < config.entities.dominance * ranked[1][1]) continue;
+        const canonical = ranked[0][0];
+        if (table.rejected.has(pairKey(category, word, canonical))) continue;
+        merges.push([word, canonical]);
+    }
+    return merges;
+}
+
+// applies the heuristics to a collector's persons / orgs counters in place, and the same merges to its
+// per-place, per-outlet and per-language counters; returns the merges made
+function resolveEntities(collector) {
+    if (!config.entities.heuristics) return [];
+    const applied = [];
+    const nested = [collector.byGeo, collector.bySource, collector.byLang].filter(Boolean).flatMap(m => Array.from(m.values()));
+    for (const category of ENTITY_CATEGORIES) {
+        if (!collector[category]) continue;
+        for (const [variant, canonical] of heuristicMerges(category, collector[category])) {
+            mergeKeywordInto(collector[category], variant, canonical);
+            for (const entry of nested) if (entry[category]) mergeKeywordInto(entry[category], variant, canonical);
+            applied.push({ category, variant, canonical });
+        }
+    }
+    return applied;
+}
+
+/**
+ * affectedDays: dates from..to whose stored daily docs of the category mention alias or canonical,
+ * as a keyword or a merged variant — the days to recompute after a merge decision changes.
+ */
+async function affectedDays({ category, alias, canonical, from, to }) {
+    const filter = {
+        type: 'daily',
+        category,
+        geo: null,
+        lang: null,
+        date: { $gte: from, $lte: to },
+        $or: [{ 'keywords.word': { $in: [alias, canonical] } }, { 'keywords.variants.word': alias }],
+    };
+    const dates = await Trend.distinct('date', filter).exec();
+    return dates.sort();
+}
+
+module.exports = { ENTITY_CATEGORIES, refreshAliases, resolveAlias, aliasTokens, resolveEntities, heuristicMerges, affectedDays };
@@ -0,0 +1,191 @@
+// src/services/eventCollector.js
+// Aggregation state for one GDELT Events (export) + Mentions slot: per CAMEO event type and per
+// actor dyad, the number of events with their NumMentions / NumSources / NumArticles, Goldstein
+// scale, QuadClass and AvgTone, plus the Mentions rows attributed to them.
+const config = require('../config');
+const { eventWord } = require('../utils/cameo');
+const { createToneStats, addTone, summarizeTone, mergeToneSummaries } = require('../utils/tone');
+
+const EVENT_CATEGORIES = ['events', 'dyads'];
+
+function createEventCollector() {
+    return { rowCount: 0, mentionRows: 0, unattributed: 0, events: new Map(), dyads: new Map(), byId: new Map() };
+}
+
+function statsFor(map, word) {
+    if (!map.has(word)) {
+        map.set(word, {
+            count: 0, numMentions: 0, numSources: 0, numArticles: 0, goldsteinSum: 0,
+            quad: [0, 0, 0, 0, 0], tone: createToneStats(), mentions: 0, mentionToneSum: 0, label: null,
+        });
+    }
+    return map.get(word);
+}
+
+function codeFor(row) {
+    if (config.events.codeLevel === 'root') return row.rootCode;
+    if (config.events.codeLevel === 'full') return row.eventCode;
+    return row.baseCode;
+}
+
+// "usagov>chn" from Actor1Code / Actor2Code, or null unless both actors are coded
+function dyadFor(row) {
+    if (!row.actor1Code || !row.actor2Code) return null;
+    return `${row.actor1Code}>${row.actor2Code}`.toLowerCase();
+}
+
+function fold(stats, row) {
+    stats.count += 1;
+    stats.numMentions += row.numMentions || 0;
+    stats.numSources += row.numSources || 0;
+    stats.numArticles += row.numArticles || 0;
+    stats.goldsteinSum += row.goldstein || 0;
+    if (row.quadClass >= 1 && row.quadClass <= 4) stats.quad[row.quadClass] += 1;
+    // AvgTone only; the Events table has no positive / negative split
+    if (Number.isFinite(row.avgTone)) addTone(stats.tone, { tone: row.avgTone, positive: 0, negative: 0, polarity: 0, activityDensity: 0 });
+}
+
+/**
+ * addEvent: folds one Events row into the collector and returns its { code, dyad } keywords,
+ * or null when it is skipped (no event code, or not a root event with config.events.rootOnly).
+ * row: { eventId, isRoot, eventCode, baseCode, rootCode, quadClass, goldstein, numMentions, numSources,
+ *        numArticles, avgTone, actor1Code, actor1Name, actor2Code, actor2Name }
+ */
+function addEvent(collector, row) {
+    if (config.events.rootOnly && !row.isRoot) return null;
+    const code = codeFor(row);
+    if (!code) return null;
+    collector.rowCount += 1;
+
+    const keys = { code: eventWord(code), dyad: dyadFor(row) };
+    fold(statsFor(collector.events, keys.code), row);
+    if (keys.dyad) {
+        const stats = statsFor(collector.dyads, keys.dyad);
+        fold(stats, row);
+        if (!stats.label && row.actor1Name && row.actor2Name) stats.label = `${row.actor1Name} → ${row.actor2Name}`;
+    }
+    if (row.eventId) collector.byId.set(row.eventId, keys);
+    return keys;
+}
+
+/**
+ * addMentions: attributes Mentions rows to event types and dyads.
+ * mentions: Map(eventId -> { count, toneSum }); lookup: Map(eventId -> { code, dyad }) for events
+ * first seen in an earlier slot. Mentions of unknown events are only counted as unattributed.
+ */
+function addMentions(collector, mentions, lookup = new Map()) {
+    for (const [eventId, m] of mentions) {
+        collector.mentionRows += m.count;
+        const keys = collector.byId.get(eventId) || lookup.get(eventId);
+        if (!keys) {
+            collector.unattributed += m.count;
+            continue;
+        }
+        const targets = [statsFor(collector.events, keys.code)];
+        if (keys.dyad) targets.push(statsFor(collector.dyads, keys.dyad));
+        for (const stats of targets) {
+            stats.mentions += m.count;
+            stats.mentionToneSum += m.toneSum;
+        }
+    }
+}
+
+function round(v) {
+    return Math.round(v * 1000) / 1000;
+}
+
+function eventTone(summary) {
+    if (!summary) return undefined;
+    const { mean, min, max, samples, distribution } = summary;
+    return { mean, min, max, samples, distribution };
+}
+
+// the stored keyword shape of one stats entry
+function toKeyword(word, stats) {
+    const top = Math.max(...stats.quad);
+    return {
+        word,
+        count: stats.count,
+        ...(stats.label ? { label: stats.label } : {}),
+        ...(stats.tone.samples ? { tone: eventTone(summarizeTone(stats.tone)) } : {}),
+        event: {
+            numMentions: stats.numMentions,
+            numSources: stats.numSources,
+            numArticles: stats.numArticles,
+            goldstein: stats.count ? round(stats.goldsteinSum / stats.count) : undefined,
+            quadClass: top > 0 ? stats.quad.indexOf(top) : undefined,
+            mentions: stats.mentions,
+            mentionTone: stats.mentions ? round(stats.mentionToneSum / stats.mentions) : undefined,
+        },
+    };
+}
+
+function byVolume(a, b) {
+    return (b.count - a.count) || (b.event.mentions - a.event.mentions);
+}
+
+/**
+ * rankEventCollector: { events: every event type, dyads: top config.events.topDyads, rows, mentionRows, unattributed },
+ * keyword lists sorted by events then mentions. Types and dyads only mentioned (no new event) have count 0.
+ */
+function rankEventCollector(collector) {
+    const list = (map) => Array.from(map.entries()).map(([word, stats]) => toKeyword(word, stats)).sort(byVolume);
+    return {
+        events: list(collector.events),
+        dyads: list(collector.dyads).slice(0, config.events.topDyads),
+        rows: collector.rowCount,
+        mentionRows: collector.mentionRows,
+        unattributed: collector.unattributed,
+    };
+}
+
+/**
+ * mergeEventKeywords: sums stored event keyword lists (the realtime docs of a day), weighting the
+ * Goldstein and mention tone means; QuadClass is taken from the list with the most events of the keyword.
+ */
+function mergeEventKeywords(lists, limit = Infinity) {
+    const map = new Map();
+    for (const keywords of lists) {
+        for (const k of (keywords || [])) {
+            if (!k || !k.word) continue;
+            if (!map.has(k.word)) {
+                map.set(k.word, { word: k.word, count: 0, label: k.label, tones: [], quadCount: 0, quadClass: undefined, numMentions: 0, numSources: 0, numArticles: 0, goldsteinSum: 0, mentions: 0, mentionToneSum: 0 });
+            }
+            const acc = map.get(k.word);
+            const e = k.event || {};
+            acc.count += k.count || 0;
+            if (!acc.label && k.label) acc.label = k.label;
+            if (k.tone) acc.tones.push(k.tone);
+            if (e.quadClass && (k.count || 0) > acc.quadCount) {
+                acc.quadCount = k.count;
+                acc.quadClass = e.quadClass;
+            }
+            acc.numMentions += e.numMentions || 0;
+            acc.numSources += e.numSources || 0;
+            acc.numArticles += e.numArticles || 0;
+            acc.goldsteinSum += (e.goldstein || 0) * (k.count || 0);
+            acc.mentions += e.mentions || 0;
+            acc.mentionToneSum += (e.mentionTone || 0) * (e.mentions || 0);
+        }
+    }
+    return Array.from(map.values())
+        .map(acc => ({
+            word: acc.word,
+            count: acc.count,
+            ...(acc.label ? { label: acc.label } : {}),
+            ...(acc.tones.length ? { tone: eventTone(mergeToneSummaries(acc.tones)) } : {}),
+            event: {
+                numMentions: acc.numMentions,
+                numSources: acc.numSources,
+                numArticles: acc.numArticles,
+                goldstein: acc.count ? round(acc.goldsteinSum / acc.count) : undefined,
+                quadClass: acc.quadClass,
+                mentions: acc.mentions,
+                mentionTone: acc.mentions ? round(acc.mentionToneSum / acc.mentions) : undefined,
+            },
+        }))
+        .sort(byVolume)
+        .slice(0, limit);
+}
+
+module.exports = { EVENT_CATEGORIES, createEventCollector, addEvent, addMentions, rankEventCollector, mergeEventKeywords };
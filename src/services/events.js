@@ -0,0 +1,250 @@
+// src/services/events.js
+// GDELT Events (export) and Mentions streams. Each 15-minute slot is parsed into an event collector
+// (see ./eventCollector) and stored as realtime Trend docs of category 'events' (CAMEO event types,
+// "cameo_<code>") and 'dyads' (actor pairs, "usa>chn"); the day's realtime docs are then summed into
+// its daily docs, which /trends/events scores like /trends/top scores themes.
+const fs = require('fs');
+const unzipper = require('unzipper');
+const csv = require('fast-csv');
+const config = require('../config');
+const Trend = require('../models/trendModel');
+const Event = require('../models/eventModel');
+const winston = require('winston');
+const ledger = require('./ledger');
+const { getSource } = require('./sources');
+const { parseGkgDate } = require('./articles');
+const { EVENT_CATEGORIES, createEventCollector, addEvent, addMentions, rankEventCollector, mergeEventKeywords } = require('./eventCollector');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+// GDELT 2.0 Events and Mentions columns (the files have no header row)
+const EXPORT_COLUMNS = {
+    eventId: 0, actor1Code: 5, actor1Name: 6, actor2Code: 15, actor2Name: 16, isRoot: 25,
+    eventCode: 26, baseCode: 27, rootCode: 28, quadClass: 29, goldstein: 30,
+    numMentions: 31, numSources: 32, numArticles: 33, avgTone: 34, dateAdded: 59,
+};
+const MENTION_COLUMNS = { eventId: 0, confidence: 11, docTone: 13 };
+const LOOKUP_CHUNK = 1000;
+
+function toNumber(value) {
+    const n = Number(value);
+    return value !== '' && value !== undefined && Number.isFinite(n) ? n : null;
+}
+
+function parseTsv(stream, onRow) {
+    return new Promise((resolve, reject) => {
+        let rowCount = 0;
+        const parserStream = csv.parse({ headers: false, quote: null, trim: true, delimiter: '\t' })
+            .on('error', err => reject(err))
+            .on('data', row => {
+                rowCount++;
+                try {
+                    onRow(row);
+                } catch (e) {
+                    logger.warn(`Row parse error on row ${rowCount}: ${e.message}`);
+                }
+            })
+            .on('end', () => resolve(rowCount));
+        // e.g. a corrupt zip: the unzip stream fails, not the parser
+        stream.on('error', err => reject(err));
+        stream.pipe(parserStream);
+    });
+}
+
+/**
+ * parseEventsStream: folds an Events (export) file into `collector`.
+ * Returns the Event lookup rows [{ eventId, timestamp, code, dyad }] of the events it kept.
+ */
+async function parseEventsStream(stream, collector, fallbackTimestamp = new Date()) {
+    const c = EXPORT_COLUMNS;
+    const lookups = [];
+    await parseTsv(stream, row => {
+        const eventId = toNumber(row[c.eventId]);
+        if (eventId === null) return;
+        const keys = addEvent(collector, {
+            eventId,
+            isRoot: row[c.isRoot] === '1',
+            eventCode: row[c.eventCode] || null,
+            baseCode: row[c.baseCode] || null,
+            rootCode: row[c.rootCode] || null,
+            quadClass: toNumber(row[c.quadClass]),
+            goldstein: toNumber(row[c.goldstein]),
+            numMentions: toNumber(row[c.numMentions]),
+            numSources: toNumber(row[c.numSources]),
+            numArticles: toNumber(row[c.numArticles]),
+            avgTone: toNumber(row[c.avgTone]),
+            actor1Code: row[c.actor1Code] || null,
+            actor1Name: row[c.actor1Name] || null,
+            actor2Code: row[c.actor2Code] || null,
+            actor2Name: row[c.actor2Name] || null,
+        });
+        if (keys) lookups.push({ eventId, timestamp: parseGkgDate(row[c.dateAdded]) || fallbackTimestamp, ...keys });
+    });
+    return lookups;
+}
+
+/**
+ * parseMentionsStream: Map(eventId -> { count, toneSum }) of a Mentions file's rows with
+ * Confidence >= config.events.minConfidence.
+ */
+async function parseMentionsStream(stream) {
+    const c = MENTION_COLUMNS;
+    const mentions = new Map();
+    await parseTsv(stream, row => {
+        const eventId = toNumber(row[c.eventId]);
+        if (eventId === null) return;
+        if ((toNumber(row[c.confidence]) || 0) < config.events.minConfidence) return;
+        if (!mentions.has(eventId)) mentions.set(eventId, { count: 0, toneSum: 0 });
+        const m = mentions.get(eventId);
+        m.count += 1;
+        m.toneSum += toNumber(row[c.docTone]) || 0;
+    });
+    return mentions;
+}
+
+// keywords of events stored by earlier slots, for mentions not matched in this one
+async function lookupEvents(eventIds) {
+    const lookup = new Map();
+    for (let i = 0; i < eventIds.length; i += LOOKUP_CHUNK) {
+        const found = await Event.find({ eventId: { $in: eventIds.slice(i, i + LOOKUP_CHUNK) } }, { eventId: 1, code: 1, dyad: 1 }).lean().exec();
+        for (const e of found) lookup.set(e.eventId, { code: e.code, dyad: e.dyad });
+    }
+    return lookup;
+}
+
+async function saveEventLookups(rows) {
+    for (let i = 0; i < rows.length; i += LOOKUP_CHUNK) {
+        const ops = rows.slice(i, i + LOOKUP_CHUNK).map(r => ({
+            updateOne: { filter: { eventId: r.eventId }, update: { $set: r }, upsert: true },
+        }));
+        await Event.bulkWrite(ops, { ordered: false });
+    }
+}
+
+// download (or locate) one source file and hand an unzipped stream to `parse`
+async function withUnzipped(entry, source, parse) {
+    logger.info(`Fetching ${entry.file} from ${source.name} source: ${entry.url}`);
+    const { path, checksum, bytes, temporary } = await source.download(entry);
+    try {
+        const result = await parse(fs.createReadStream(path).pipe(unzipper.ParseOne()));
+        return { result, checksum, bytes };
+    } finally {
+        if (temporary) await fs.promises.rm(path, { force: true });
+    }
+}
+
+/**
+ * rebuildEventDay: sums the realtime 'events' / 'dyads' docs of `date` into its daily docs.
+ * Dyads keep the top config.rollups.maxKeywords.
+ */
+async function rebuildEventDay(date) {
+    for (const category of EVENT_CATEGORIES) {
+        const docs = await Trend.find({ type: 'realtime', date, category, geo: null, lang: null }, { keywords: 1 }).lean().exec();
+        if (docs.length === 0) continue;
+        const limit = category === 'dyads' ? config.rollups.maxKeywords : Infinity;
+        const keywords = mergeEventKeywords(docs.map(d => d.keywords), limit);
+        await Trend.findOneAndUpdate(
+            { type: 'daily', date, category, geo: null, lang: null },
+            { $set: { keywords, timestamp: new Date() } },
+            { upsert: true, new: true }
+        );
+        logger.info(`Rebuilt daily ${category} for ${date} from ${docs.length} realtime docs`);
+    }
+}
+
+async function saveEventTrends({ timestamp, events, dyads, rows }) {
+    const date = timestamp.toISOString().slice(0, 10);
+    for (const [category, keywords] of [['events', events], ['dyads', dyads]]) {
+        if (keywords.length === 0) continue;
+        await Trend.findOneAndUpdate(
+            { type: 'realtime', date, category, geo: null, lang: null, timestamp },
+            { $set: { keywords, rows } },
+            { upsert: true, new: true }
+        );
+    }
+    await rebuildEventDay(date);
+}
+
+/**
+ * ingestEventsSlot: one Events file and the Mentions file of the same slot (if published), under
+ * the ingestion ledger as job 'events'. Skips slots already done.
+ */
+async function ingestEventsSlot(entry, { source = getSource(), mentionsEntry } = {}) {
+    return ledger.runOnce({ file: entry.file, job: 'events', kind: '15min', url: entry.url, fileTimestamp: entry.timestamp }, async () => {
+        const collector = createEventCollector();
+        const exported = await withUnzipped(entry, source, stream => parseEventsStream(stream, collector, entry.timestamp));
+        await saveEventLookups(exported.result);
+
+        const mentionsFile = mentionsEntry === undefined ? await source.entryForSlot(entry.timestamp, { stream: 'mentions' }) : mentionsEntry;
+        if (mentionsFile) {
+            const { result: mentions } = await withUnzipped(mentionsFile, source, parseMentionsStream);
+            const older = Array.from(mentions.keys()).filter(id => !collector.byId.has(id));
+            addMentions(collector, mentions, await lookupEvents(older));
+        } else {
+            logger.warn(`No Mentions file for ${entry.file}; event types are saved without mentions`);
+        }
+
+        const ranked = rankEventCollector(collector);
+        logger.info(`Parsed events file ${entry.file}. Events: ${ranked.rows}, types: ${ranked.events.length}, dyads: ${ranked.dyads.length}, mentions: ${ranked.mentionRows} (${ranked.unattributed} unattributed)`);
+        await saveEventTrends({ timestamp: entry.timestamp, ...ranked });
+        return {
+            rows: ranked.rows,
+            counts: { events: ranked.events.length, dyads: ranked.dyads.length, mentions: ranked.mentionRows },
+            checksum: exported.checksum,
+            bytes: exported.bytes,
+        };
+    });
+}
+
+// the source's most recent Events slot (lastupdate.txt over HTTP), with its Mentions file
+async function processLatestEvents(source = getSource()) {
+    const [entries, mentions] = await Promise.all([source.latest({ stream: 'export' }), source.latest({ stream: 'mentions' })]);
+    if (entries.length === 0) {
+        logger.warn(`The ${source.name} source lists no recent Events file`);
+        return false;
+    }
+    for (const entry of entries) {
+        const mentionsEntry = mentions.find(m => m.timestamp.getTime() === entry.timestamp.getTime()) || null;
+        await ingestEventsSlot(entry, { source, mentionsEntry });
+    }
+    return true;
+}
+
+// one earlier slot (ledger retries); false when no Events file is published for it
+async function fetchEventsSlot(date, { source = getSource() } = {}) {
+    const entry = await source.entryForSlot(date, { stream: 'export' });
+    if (!entry) {
+        logger.warn(`No published Events file for ${date.toISOString()}`);
+        return false;
+    }
+    await ingestEventsSlot(entry, { source });
+    return true;
+}
+
+/**
+ * fetchEventsDay: every published Events slot of the UTC day `date` (baseline backfill for
+ * /trends/events). Slots already in the ledger are skipped; returns the number of slots listed.
+ */
+async function fetchEventsDay(date, { source = getSource() } = {}) {
+    const from = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const to = new Date(from.getTime() + 24 * 3600 * 1000);
+    const [entries, mentions] = await Promise.all([
+        source.entriesBetween(from, to, { stream: 'export' }),
+        source.entriesBetween(from, to, { stream: 'mentions' }),
+    ]);
+    if (entries.length === 0) {
+        logger.warn(`No published Events files for ${from.toISOString().slice(0, 10)}`);
+        return 0;
+    }
+    for (const entry of entries) {
+        const mentionsEntry = mentions.find(m => m.timestamp.getTime() === entry.timestamp.getTime()) || null;
+        try {
+            await ingestEventsSlot(entry, { source, mentionsEntry });
+        } catch (err) {
+            logger.warn(`Events backfill: ${entry.file} failed: ${err.message}`);
+        }
+    }
+    return entries.length;
+}
+
+module.exports = { parseEventsStream, parseMentionsStream, rebuildEventDay, ingestEventsSlot, processLatestEvents, fetchEventsSlot, fetchEventsDay };
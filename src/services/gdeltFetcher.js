@@ -1,13 +1,24 @@
 // src/services/gdeltFetcher.js
-const axios = require('axios');
+const fs = require('fs');
 const unzipper = require('unzipper');
-const { get } = require('lodash');
-const config = require('../config');
 const Trend = require('../models/trendModel');
 const winston = require('winston');
 const csv = require('fast-csv');
 const { splitAndClean } = require('../utils/cleaner');
-const { rankByCount } = require('../utils/ranker');
+const { parseLocationKeywords } = require('../utils/locations');
+const { parseTone } = require('../utils/tone');
+const { sourceDomain } = require('../utils/domains');
+const { parseTranslationInfo } = require('../utils/languages');
+const { schemaFromHeader, detectSchema, readFields, describeSchema } = require('../utils/gkgSchema');
+const { saveEdges } = require('./cooccurrence');
+const { saveSources } = require('./outlets');
+const { saveLanguageTrends } = require('./languages');
+const { parseGkgDate, buildArticle, createArticleBuffer } = require('./articles');
+const { createCollector, addRow, rankCollector, collectorCounts } = require('./collector');
+const { refreshAliases, aliasTokens } = require('./entities');
+const ledger = require('./ledger');
+const { getSource } = require('./sources');
+const { afterSave } = require('./afterSave');
 
 const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
 
@@ -27,26 +38,14 @@ function getDailyFilenameForUTC(date) {
     return `${year}${month}${day}.gkg.csv.zip`;
 }
 
-async function parseCsvStreamToCollector(stream) {
-    const collector = { themes: [], persons: [], orgs: [], documentIdentifiers: [] };
-    let headerDetected = false;
+// streams one GKG file into `collector` (a fresh exact one by default; pass a shared one to fold several files together).
+// The column layout (GKG 2.1 or 1.0) is resolved for this file alone from its first row; `file` names the file for the
+// fallback by file name. Every record is also stored as an Article; parsing pauses while a full batch is written.
+async function parseCsvStreamToCollector(stream, collector = createCollector(), { file = null } = {}) {
+    let schema = null;
     let rowCount = 0;
-
-    // Set sane defaults if not provided
-    if (config.columnIndices.themes === null || config.columnIndices.themes === undefined) {
-        config.columnIndices.themes = 7; // V2Themes
-    }
-    if (config.columnIndices.persons === null || config.columnIndices.persons === undefined) {
-        config.columnIndices.persons = 9; // V2Persons
-    }
-    if (config.columnIndices.orgs === null || config.columnIndices.orgs === undefined) {
-        config.columnIndices.orgs = 10; // V2Organizations
-    }
-    // Add default index for DocumentIdentifier
-    if (config.columnIndices.documentIdentifier === null || config.columnIndices.documentIdentifier === undefined) {
-        config.columnIndices.documentIdentifier = 4; // DocumentIdentifier
-    }
-    logger.info(`Using column indices -> themes:${config.columnIndices.themes}, persons:${config.columnIndices.persons}, orgs:${config.columnIndices.orgs}, docId:${config.columnIndices.documentIdentifier}`);
+    const articles = createArticleBuffer();
+    await refreshAliases();
 
     return new Promise((resolve, reject) => {
         const parserStream = csv.parse({ headers: false, relax_quotes: true, trim: true, delimiter: '\t' })
@@ -54,98 +53,121 @@ async function parseCsvStreamToCollector(stream) {
             .on('data', row => {
                 rowCount++;
                 try {
-                    if (!headerDetected) {
-                        const rowStr = row.join('|').toLowerCase();
-                        if (rowStr.includes('v2themes') || rowStr.includes('v2persons') || rowStr.includes('v2organizations') || rowStr.includes('documentidentifier')) {
-                            headerDetected = true;
-                            const header = row.map(c => String(c).toLowerCase());
-                            const th = header.findIndex(h => h.includes('v2themes'));
-                            if (th >= 0) config.columnIndices.themes = th;
-                            const pe = header.findIndex(h => h.includes('v2persons'));
-                            if (pe >= 0) config.columnIndices.persons = pe;
-                            const or = header.findIndex(h => h.includes('v2organizations'));
-                            if (or >= 0) config.columnIndices.orgs = or;
-                            const di = header.findIndex(h => h.includes('documentidentifier'));
-                            if (di >= 0) config.columnIndices.documentIdentifier = di;
-                            logger.info(`Header detected, updated indices -> themes:${config.columnIndices.themes}, persons:${config.columnIndices.persons}, orgs:${config.columnIndices.orgs}, docId:${config.columnIndices.documentIdentifier}`);
+                    if (!schema) {
+                        schema = schemaFromHeader(row);
+                        if (schema) {
+                            logger.info(`Header detected${file ? ` in ${file}` : ''}, using ${describeSchema(schema)}`);
                             return; // skip header
                         }
+                        schema = detectSchema(row, file);
+                        logger.info(`No header${file ? ` in ${file}` : ''}, using ${describeSchema(schema)}`);
+                    }
+                    const fields = readFields(schema, row);
+                    const record = {
+                        themes: splitAndClean(fields.themes),
+                        persons: splitAndClean(fields.persons, aliasTokens('persons')),
+                        orgs: splitAndClean(fields.orgs, aliasTokens('orgs')),
+                        places: parseLocationKeywords(fields.locations),
+                        tone: parseTone(fields.tone),
+                        documents: fields.documents,
+                        source: sourceDomain(fields.documents[0], fields.sourceCommonName),
+                        lang: parseTranslationInfo(fields.translationInfo),
+                        weight: fields.articles,
+                    };
+                    addRow(collector, record);
+                    // one article per document id (a GKG 1.0 row clusters several)
+                    const timestamp = parseGkgDate(fields.date);
+                    let full = false;
+                    fields.documents.forEach((url, i) => {
+                        const source = sourceDomain(url, fields.sources.length === fields.documents.length ? fields.sources[i] : null);
+                        full = articles.add(buildArticle({ ...record, url, source, timestamp, lang: record.lang || 'en' })) || full;
+                    });
+                    if (full) {
+                        parserStream.pause();
+                        articles.flush().then(() => parserStream.resume());
                     }
-                    const getCol = (idx) => (idx !== null && idx !== undefined && row[idx] !== undefined) ? row[idx] : null;
-                    const rawThemes = getCol(config.columnIndices.themes);
-                    if (rawThemes) collector.themes.push(...splitAndClean(rawThemes));
-                    const rawPersons = getCol(config.columnIndices.persons);
-                    if (rawPersons) collector.persons.push(...splitAndClean(rawPersons));
-                    const rawOrgs = getCol(config.columnIndices.orgs);
-                    if (rawOrgs) collector.orgs.push(...splitAndClean(rawOrgs));
-                    const documentIdentifier = getCol(config.columnIndices.documentIdentifier);
-                    if (documentIdentifier) collector.documentIdentifiers.push(documentIdentifier);
                 } catch (e) {
                     logger.warn(`Row parse error on row ${rowCount}: ${e.message}`);
                 }
             })
-            .on('end', () => {
-                logger.info(`CSV parse completed. Rows: ${rowCount}. Collected themes: ${collector.themes.length}, persons: ${collector.persons.length}, orgs: ${collector.orgs.length}, documentIdentifiers: ${collector.documentIdentifiers.length}`);
+            .on('end', async () => {
+                await articles.flush();
+                const counts = collectorCounts(collector);
+                logger.info(`CSV parse completed${schema ? ` (GKG ${schema.version})` : ''}. Rows: ${rowCount}. Collected themes: ${counts.themes}, persons: ${counts.persons}, orgs: ${counts.orgs}, locations: ${counts.locations}, documentIdentifiers: ${counts.documents}, articles stored: ${articles.written}`);
                 resolve(collector);
             });
+        // e.g. a corrupt zip: the unzip stream fails, not the parser
+        stream.on('error', err => reject(err));
         stream.pipe(parserStream);
     });
 }
 
-async function downloadAndParse(url) {
-    logger.info(`Attempting to fetch data from GDELT: ${url}`);
-    const resp = await axios({ url, method: 'GET', responseType: 'stream', timeout: 300000 });
-    const unzipStream = resp.data.pipe(unzipper.ParseOne());
-    return parseCsvStreamToCollector(unzipStream);
+// fetch (or locate) one source file, parse it, and remove it again if it was a temp download
+async function downloadAndParse(entry, source = getSource()) {
+    logger.info(`Fetching ${entry.file} from ${source.name} source: ${entry.url}`);
+    const { path, checksum, bytes, temporary } = await source.download(entry);
+    try {
+        const collector = await parseCsvStreamToCollector(fs.createReadStream(path).pipe(unzipper.ParseOne()), createCollector(), { file: entry.file });
+        collector.checksum = checksum;
+        collector.bytes = bytes;
+        return collector;
+    } finally {
+        if (temporary) await fs.promises.rm(path, { force: true });
+    }
 }
 
-function rankCollector(collector) {
-    const topN = config.topN || 50;
-    return {
-        themes: rankByCount(collector.themes || [], topN),
-        persons: rankByCount(collector.persons || [], topN),
-        orgs: rankByCount(collector.orgs || [], topN),
-    };
+// download + parse + save one source file under the ingestion ledger (skips files already done)
+async function ingestFile(entry, { kind, job, source }, save) {
+    return ledger.runOnce({ file: entry.file, job, kind, url: entry.url, fileTimestamp: entry.timestamp }, async () => {
+        const collector = await downloadAndParse(entry, source);
+        const counts = collectorCounts(collector);
+        logger.info(`Parsed ${kind} file ${entry.file}. Themes: ${counts.themes}, Persons: ${counts.persons}, Orgs: ${counts.orgs}, Docs: ${counts.documents}`);
+        const ranked = rankCollector(collector);
+        logger.info(`Ranked -> T:${ranked.themes.length} P:${ranked.persons.length} O:${ranked.orgs.length} L:${ranked.locations.length}`);
+        await save(ranked);
+        return { rows: collector.rowCount, counts, checksum: collector.checksum, bytes: collector.bytes };
+    });
 }
 
 async function fetchAndProcess(date, options = {}) {
     const timestamp = options.timestamp || date;
+    const jobType = options.jobType || options.type || 'realtime';
+    const source = getSource(options.source);
 
-    // Try 15-min file
-    const fifteenName = getFilenameForUTC(date);
-    const fifteenUrl = `${config.gdeltBaseUrl}/${fifteenName}`;
-
-    try {
-        const collector = await downloadAndParse(fifteenUrl);
-        logger.info(`Parsed 15-min file ${fifteenName}. Themes: ${collector.themes.length}, Persons: ${collector.persons.length}, Orgs: ${collector.orgs.length}, Docs: ${collector.documentIdentifiers.length}`);
-        const ranked = rankCollector(collector);
-        logger.info(`Ranked -> T:${ranked.themes.length} P:${ranked.persons.length} O:${ranked.orgs.length}`);
-        const dailyDateStr = d.toISOString().slice(0, 10);
-        await saveTrends({
-            date: dailyDateStr,
-            timestamp: dailyDate,
-            jobType: 'daily',
-            ...ranked,
-            documentIdentifiers: collector.documentIdentifiers
-        });
-        return true;
-    } catch (err) {
-        const status = err.response && err.response.status;
-        logger.warn(`15-min fetch failed (${status || 'no status'}): ${err.message}. Falling back to daily.`);
+    // Try the published 15-min file for this slot (daily docs are built from whole-day files, so daily jobs go straight to the fallback)
+    if (jobType !== 'daily') {
+        try {
+            const entry = await source.entryForSlot(date);
+            if (entry) {
+                await ingestEntry(entry, { timestamp, source });
+                return true;
+            }
+            logger.warn(`No published 15-min GKG file for ${date.toISOString()}. Falling back to daily.`);
+        } catch (err) {
+            const status = err.response && err.response.status;
+            logger.warn(`15-min fetch failed (${status || 'no status'}): ${err.message}. Falling back to daily.`);
+        }
     }
 
-    // Fallback to daily: today, then yesterday
+    // Fallback to daily: today, then yesterday (over HTTP only files listed in the daily md5sums are published)
     for (const offsetDays of [0, 1]) {
         const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - offsetDays));
         const dailyName = getDailyFilenameForUTC(d);
-        const dailyUrl = `${config.gdeltDailyBaseUrl}/${dailyName}`;
+        let entry;
+        try {
+            entry = await source.dailyEntry(d);
+        } catch (err) {
+            logger.error(`Daily file list unavailable, cannot verify daily files: ${err.message}`);
+            return false;
+        }
+        if (!entry) {
+            logger.warn(`Daily file ${dailyName} is not published yet`);
+            continue;
+        }
         try {
-            const collector = await downloadAndParse(dailyUrl);
-            logger.info(`Parsed daily file ${dailyName}. Themes: ${collector.themes.length}, Persons: ${collector.persons.length}, Orgs: ${collector.orgs.length}, Docs: ${collector.documentIdentifiers.length}`);
-            const ranked = rankCollector(collector);
-            logger.info(`Ranked -> T:${ranked.themes.length} P:${ranked.persons.length} O:${ranked.orgs.length}`);
-            const dailyDate = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
-            await saveTrends({ date: dailyDate, timestamp: dailyDate, jobType: 'daily', ...ranked, documentIdentifiers: collector.documentIdentifiers });
+            await ingestFile(entry, { kind: 'daily', job: 'daily', source }, (ranked) =>
+                saveTrends({ date: d, timestamp: d, jobType: 'daily', ...ranked })
+            );
             return true;
         } catch (err) {
             const status = err.response && err.response.status;
@@ -157,16 +179,104 @@ async function fetchAndProcess(date, options = {}) {
     return false;
 }
 
-async function saveTrends({ date, timestamp, jobType, themes, persons, orgs, documentIdentifiers = [] }) {
+// ingest one 15-minute source entry as realtime trends
+async function ingestEntry(entry, { timestamp = entry.timestamp, source } = {}) {
+    return ingestFile(entry, { kind: '15min', job: 'realtime', source }, (ranked) =>
+        saveTrends({ date: entry.timestamp, timestamp, jobType: 'realtime', ...ranked })
+    );
+}
+
+// one earlier 15-minute slot (ledger retries): only that slot's file, never the daily fallback;
+// false when no file is published for it
+async function fetchSlot(date, { source = getSource() } = {}) {
+    const entry = await source.entryForSlot(date, { stream: 'gkg' });
+    if (!entry) {
+        logger.warn(`No published 15-min GKG file for ${date.toISOString()}`);
+        return false;
+    }
+    await ingestEntry(entry, { source });
+    return true;
+}
+
+// ingest the source's most recent file (lastupdate.txt over HTTP; a no-op when the ledger already has it)
+async function processLatest(source = getSource()) {
+    const entries = await source.latest({ stream: 'gkg' });
+    if (entries.length === 0) {
+        logger.warn(`The ${source.name} source lists no recent GKG file`);
+        return false;
+    }
+    for (const entry of entries) {
+        await ingestEntry(entry, { source });
+    }
+    return true;
+}
+
+// ingest one 15-minute translingual file as per-language realtime trends (job 'translation')
+async function ingestTranslationEntry(entry, { timestamp = entry.timestamp, source } = {}) {
+    return ingestFile(entry, { kind: '15min', job: 'translation', source }, (ranked) =>
+        saveLanguageTrends({ date: entry.timestamp, timestamp, byLang: ranked.byLang })
+    );
+}
+
+// the source's most recent translingual file (lastupdate-translation.txt over HTTP)
+async function processLatestTranslation(source = getSource()) {
+    const entries = await source.latest({ stream: 'gkg', translation: true });
+    if (entries.length === 0) {
+        logger.warn(`The ${source.name} source lists no recent translingual GKG file`);
+        return false;
+    }
+    for (const entry of entries) {
+        await ingestTranslationEntry(entry, { source });
+    }
+    return true;
+}
+
+// one earlier translingual slot (ledger retries); false when no file is published for it
+async function fetchTranslationSlot(date, { source = getSource() } = {}) {
+    const entry = await source.entryForSlot(date, { stream: 'gkg', translation: true });
+    if (!entry) {
+        logger.warn(`No published translingual GKG file for ${date.toISOString()}`);
+        return false;
+    }
+    await ingestTranslationEntry(entry, { source });
+    return true;
+}
+
+/**
+ * fetchTranslationDay: every published translingual slot of the UTC day `date` (per-language baseline
+ * backfill). Slots already in the ledger are skipped; returns the number of files listed.
+ */
+async function fetchTranslationDay(date, { source = getSource() } = {}) {
+    const from = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const entries = await source.entriesBetween(from, new Date(from.getTime() + 24 * 3600 * 1000), { stream: 'gkg', translation: true });
+    if (entries.length === 0) {
+        logger.warn(`No published translingual GKG files for ${from.toISOString().slice(0, 10)}`);
+        return 0;
+    }
+    for (const entry of entries) {
+        try {
+            await ingestTranslationEntry(entry, { source });
+        } catch (err) {
+            logger.warn(`Translation backfill: ${entry.file} failed: ${err.message}`);
+        }
+    }
+    return entries.length;
+}
+
+async function saveTrends({ date, timestamp, jobType, themes, persons, orgs, locations = [], countries = [], byGeo = {}, edges = null, documentIdentifiers = [], rows = 0, sources = [], bySource = {} }) {
     const isoDate = new Date(date).toISOString().slice(0, 10);
+    // realtime docs are kept per 15-minute file; the other types once per date
+    const keyFor = (type, category, geo) => ({ type, date: isoDate, category, geo, lang: null, ...(type === 'realtime' ? { timestamp } : {}) });
     const trends = [
         { type: jobType || 'realtime', date: isoDate, category: 'themes', keywords: themes, timestamp },
         { type: jobType || 'realtime', date: isoDate, category: 'persons', keywords: persons, timestamp },
         { type: jobType || 'realtime', date: isoDate, category: 'orgs', keywords: orgs, timestamp },
+        { type: jobType || 'realtime', date: isoDate, category: 'locations', keywords: locations, timestamp },
+        { type: jobType || 'realtime', date: isoDate, category: 'countries', keywords: countries, timestamp },
     ];
 
-    // Create and add a trend document for document identifiers
-    if (documentIdentifiers.length > 0) {
+    // Document identifiers of one 15-minute file; a day's are only kept as Article docs (see services/articles)
+    if (documentIdentifiers.length > 0 && (jobType || 'realtime') === 'realtime') {
         trends.push({
             type: jobType || 'realtime',
             date: isoDate,
@@ -179,7 +289,7 @@ async function saveTrends({ date, timestamp, jobType, themes, persons, orgs, doc
     for (const trendData of trends) {
         if (trendData.keywords && trendData.keywords.length > 0) {
             await Trend.findOneAndUpdate(
-                { type: trendData.type, date: trendData.date, category: trendData.category },
+                keyFor(trendData.type, trendData.category, null),
                 { $set: { keywords: trendData.keywords, timestamp: trendData.timestamp } },
                 { upsert: true, new: true }
             );
@@ -187,7 +297,7 @@ async function saveTrends({ date, timestamp, jobType, themes, persons, orgs, doc
             logger.info(`Saved/Updated ${trendData.type} ${trendData.category} trends for ${trendData.date}`);
 
             // DEBUG: Fetch back immediately and log count to verify save
-            const savedDoc = await Trend.findOne({ type: trendData.type, date: trendData.date, category: trendData.category }).lean();
+            const savedDoc = await Trend.findOne(keyFor(trendData.type, trendData.category, null)).lean();
             if (savedDoc) {
                 logger.debug(`Verified saved ${trendData.category} keywords count: ${savedDoc.keywords?.length || 0}`);
             } else {
@@ -197,7 +307,29 @@ async function saveTrends({ date, timestamp, jobType, themes, persons, orgs, doc
             logger.info(`No keywords for ${trendData.type} ${trendData.category} on ${trendData.date}`);
         }
     }
-}
 
+    // Per-country / ADM1 aggregates, written in one round trip
+    const geoOps = [];
+    for (const [geo, cats] of Object.entries(byGeo)) {
+        for (const category of ['themes', 'persons', 'orgs']) {
+            if (!cats[category] || cats[category].length === 0) continue;
+            geoOps.push({
+                updateOne: {
+                    filter: keyFor(jobType || 'realtime', category, geo),
+                    update: { $set: { keywords: cats[category], timestamp } },
+                    upsert: true,
+                }
+            });
+        }
+    }
+    if (geoOps.length > 0) {
+        await Trend.bulkWrite(geoOps, { ordered: false });
+        logger.info(`Saved/Updated ${geoOps.length} place-filtered trend docs for ${isoDate}`);
+    }
+
+    await saveEdges({ type: jobType || 'realtime', date: isoDate, timestamp, counter: edges });
+    await saveSources({ type: jobType || 'realtime', date: isoDate, timestamp, rows, sources, bySource });
+    await afterSave({ type: jobType || 'realtime', date: isoDate, timestamp });
+}
 
-module.exports = { fetchAndProcess, getFilenameForUTC, getDailyFilenameForUTC };
\ No newline at end of file
+module.exports = { fetchAndProcess, fetchSlot, processLatest, ingestEntry, processLatestTranslation, fetchTranslationSlot, fetchTranslationDay, downloadAndParse, parseCsvStreamToCollector, saveTrends, getFilenameForUTC, getDailyFilenameForUTC };
\ No newline at end of file
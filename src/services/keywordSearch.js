@@ -0,0 +1,145 @@
+// src/services/keywordSearch.js
+// Keyword dictionary (models/keywordModel) maintained from every saved realtime / daily aggregate,
+// and the prefix / substring / fuzzy search over it behind GET /trends/search.
+const { escapeRegExp } = require('lodash');
+const Trend = require('../models/trendModel');
+const Keyword = require('../models/keywordModel');
+const { trigrams, substringDistance, maxEditsFor } = require('../utils/fuzzy');
+const winston = require('winston');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const DICTIONARY_CATEGORIES = ['themes', 'persons', 'orgs', 'locations', 'countries'];
+const MAX_CANDIDATES = 500; // per lookup, before ranking
+const MATCH_ORDER = { exact: 0, prefix: 1, substring: 2, fuzzy: 3 };
+
+// word -> the day's summed count over every realtime doc of (date, category), for the given words
+async function realtimeDayTotals(date, category, words) {
+    const docs = await Trend.find({ type: 'realtime', date, category, geo: null, lang: null }, { keywords: 1 }).lean().exec();
+    const totals = new Map();
+    for (const doc of docs) {
+        for (const k of (doc.keywords || [])) {
+            if (words.has(k.word)) totals.set(k.word, (totals.get(k.word) || 0) + (k.count || 0));
+        }
+    }
+    return totals;
+}
+
+/**
+ * recordSlot: adds the keywords of the aggregate just saved for (type, date[, timestamp]) to the
+ * dictionary. A daily aggregate sets the day's exact total; a realtime slot sets the day to the sum
+ * of that day's realtime docs, so re-ingesting a slot never counts it twice. Days that already have
+ * a daily aggregate keep its total.
+ */
+async function recordSlot({ type, date, timestamp }) {
+    if (type !== 'realtime' && type !== 'daily') return 0;
+    const filter = { type, date, geo: null, lang: null, category: { $in: DICTIONARY_CATEGORIES } };
+    if (type === 'realtime') filter.timestamp = timestamp;
+    let docs = await Trend.find(filter, { category: 1, keywords: 1 }).lean().exec();
+
+    const dayCounts = new Map(); // category -> word -> count for the day
+    if (type === 'realtime') {
+        const daily = new Set(await Trend.distinct('category', { type: 'daily', date, geo: null, lang: null, category: { $in: DICTIONARY_CATEGORIES } }).exec());
+        docs = docs.filter(doc => !daily.has(doc.category));
+        for (const doc of docs) {
+            const words = new Set((doc.keywords || []).map(k => k.word).filter(Boolean));
+            dayCounts.set(doc.category, await realtimeDayTotals(date, doc.category, words));
+        }
+    }
+
+    const ops = [];
+    for (const doc of docs) {
+        for (const k of (doc.keywords || [])) {
+            if (!k.word) continue;
+            const count = type === 'realtime' ? dayCounts.get(doc.category).get(k.word) || 0 : k.count || 0;
+            ops.push({
+                updateOne: {
+                    filter: { word: k.word, category: doc.category },
+                    update: {
+                        $set: { [`days.${date}`]: count },
+                        $min: { firstSeen: date },
+                        $max: { lastSeen: date },
+                        $setOnInsert: { grams: trigrams(k.word) },
+                    },
+                    upsert: true,
+                }
+            });
+        }
+    }
+    if (ops.length > 0) await Keyword.bulkWrite(ops, { ordered: false });
+    return ops.length;
+}
+
+// backfills the dictionary from the daily docs of from..to (inclusive YYYY-MM-DD)
+async function rebuildDictionary({ from, to }) {
+    const dates = await Trend.distinct('date', { type: 'daily', geo: null, lang: null, date: { $gte: from, $lte: to } }).exec();
+    let entries = 0;
+    for (const date of dates.sort()) entries += await recordSlot({ type: 'daily', date });
+    logger.info(`Keyword dictionary rebuilt from ${dates.length} days (${from}..${to}), ${entries} entries`);
+    return { days: dates.length, entries };
+}
+
+function classify(query, word, maxEdits) {
+    if (word === query) return { match: 'exact', distance: 0 };
+    if (word.startsWith(query)) return { match: 'prefix', distance: 0 };
+    if (word.includes(query)) return { match: 'substring', distance: 0 };
+    if (maxEdits === 0) return null;
+    const distance = substringDistance(query, word);
+    return distance <= maxEdits ? { match: 'fuzzy', distance } : null;
+}
+
+/**
+ * searchKeywords: dictionary keywords matching q by prefix, substring or (mode 'all', q of 4+
+ * characters) within a few edits. One result per word, with its total count, first / last seen
+ * dates and per-category breakdown; exact and prefix matches first, then by total count.
+ */
+async function searchKeywords({ q, category, limit = 20, mode = 'all' }) {
+    const query = String(q || '').toLowerCase().trim();
+    const base = category ? { category } : {};
+    const projection = { word: 1, category: 1, firstSeen: 1, lastSeen: 1, days: 1 };
+
+    const lookups = [
+        Keyword.find({ ...base, word: { $regex: `^${escapeRegExp(query)}` } }, projection)
+            .sort({ lastSeen: -1 }).limit(MAX_CANDIDATES).lean().exec(),
+    ];
+    const maxEdits = mode === 'prefix' ? 0 : maxEditsFor(query);
+    if (mode !== 'prefix' && query.length >= 3) {
+        // substring matches share every trigram of the query; k edits destroy at most 3k of them
+        const grams = trigrams(query);
+        const minShared = Math.max(1, grams.length - 3 * maxEdits);
+        lookups.push(Keyword.aggregate([
+            { $match: { ...base, grams: { $in: grams } } },
+            { $addFields: { shared: { $size: { $setIntersection: ['$grams', grams] } } } },
+            { $match: { shared: { $gte: minShared } } },
+            { $sort: { shared: -1, lastSeen: -1 } },
+            { $limit: MAX_CANDIDATES },
+            { $project: projection },
+        ]).exec());
+    }
+    const candidates = (await Promise.all(lookups)).flat();
+
+    const byWord = new Map();
+    const seen = new Set();
+    for (const doc of candidates) {
+        const key = `${doc.category}:${doc.word}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const found = classify(query, doc.word, maxEdits);
+        if (!found || (mode === 'prefix' && found.match !== 'exact' && found.match !== 'prefix')) continue;
+
+        const count = Object.values(doc.days || {}).reduce((sum, n) => sum + n, 0);
+        if (!byWord.has(doc.word)) byWord.set(doc.word, { word: doc.word, ...found, totalCount: 0, firstSeen: doc.firstSeen, lastSeen: doc.lastSeen, categories: [] });
+        const result = byWord.get(doc.word);
+        result.totalCount += count;
+        if (doc.firstSeen < result.firstSeen) result.firstSeen = doc.firstSeen;
+        if (doc.lastSeen > result.lastSeen) result.lastSeen = doc.lastSeen;
+        result.categories.push({ category: doc.category, count, firstSeen: doc.firstSeen, lastSeen: doc.lastSeen, daysSeen: Object.keys(doc.days || {}).length });
+    }
+
+    return Array.from(byWord.values())
+        .sort((a, b) => MATCH_ORDER[a.match] - MATCH_ORDER[b.match] || a.distance - b.distance || b.totalCount - a.totalCount)
+        .slice(0, limit)
+        .map(r => ({ ...r, categories: r.categories.sort((a, b) => b.count - a.count) }));
+}
+
+module.exports = { DICTIONARY_CATEGORIES, recordSlot, rebuildDictionary, searchKeywords };
@@ -0,0 +1,153 @@
+// src/services/languages.js
+// Per-language aggregates from the translingual GKG feed. Each 15-minute translation file is stored
+// as realtime docs per source language (Trend.lang = ISO 639-1 code); the day's realtime docs of a
+// language are summed into its daily docs, and the daily docs of every language plus the English
+// feed's (lang null) into the 'all' docs, so the scorers can rank one language or all of them merged.
+const Trend = require('../models/trendModel');
+const config = require('../config');
+const winston = require('winston');
+const { mergeKeywordLists } = require('./periods');
+const { keywordBaseline } = require('./scorers');
+const { languageName } = require('../utils/languages');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const LANG_CATEGORIES = ['themes', 'persons', 'orgs', 'locations'];
+const DAY_MS = 24 * 3600 * 1000;
+
+function addDays(dateStr, n) {
+    return new Date(new Date(`${dateStr}T00:00:00.000Z`).getTime() + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * rebuildAllLanguages: the 'all' daily docs of `date`, summed from the English feed's daily docs and
+ * every language's. A category gets none until both its English and some per-language daily docs exist,
+ * so 'all' never holds translated records alone.
+ */
+async function rebuildAllLanguages(date) {
+    let saved = 0;
+    for (const category of LANG_CATEGORIES) {
+        const docs = await Trend.find({ type: 'daily', date, category, geo: null, lang: { $ne: 'all' } }, { lang: 1, rows: 1, keywords: 1 }).lean().exec();
+        if (!docs.some(d => d.lang) || !docs.some(d => !d.lang)) continue;
+        const rows = docs.reduce((a, d) => a + (d.rows || 0), 0);
+        await Trend.findOneAndUpdate(
+            { type: 'daily', date, category, geo: null, lang: 'all' },
+            { $set: { keywords: mergeKeywordLists(docs.map(d => d.keywords)), ...(rows ? { rows } : {}), timestamp: new Date() } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        ).exec();
+        saved += 1;
+    }
+    if (saved > 0) logger.info(`Rebuilt ${saved} all-language daily docs for ${date}`);
+    return saved;
+}
+
+/**
+ * rebuildLanguageDay: the daily docs of `langs` for `date`, summed from their realtime docs, then the 'all' docs.
+ */
+async function rebuildLanguageDay(date, langs) {
+    const ops = [];
+    for (const category of LANG_CATEGORIES) {
+        const docs = await Trend.find({ type: 'realtime', date, category, geo: null, lang: { $in: langs } }, { lang: 1, rows: 1, keywords: 1 }).lean().exec();
+        const byLang = new Map();
+        for (const doc of docs) {
+            if (!byLang.has(doc.lang)) byLang.set(doc.lang, []);
+            byLang.get(doc.lang).push(doc);
+        }
+        for (const [lang, list] of byLang) {
+            ops.push({
+                updateOne: {
+                    filter: { type: 'daily', date, category, geo: null, lang },
+                    update: { $set: { keywords: mergeKeywordLists(list.map(d => d.keywords)), rows: list.reduce((a, d) => a + (d.rows || 0), 0), timestamp: new Date() } },
+                    upsert: true,
+                }
+            });
+        }
+    }
+    if (ops.length > 0) await Trend.bulkWrite(ops, { ordered: false });
+    await rebuildAllLanguages(date);
+    return ops.length;
+}
+
+/**
+ * saveLanguageTrends: stores the per-language realtime docs of one translation file and refreshes
+ * the day's daily docs of those languages. byLang: rankCollector output ({ lang: { rows, themes, ... } }).
+ */
+async function saveLanguageTrends({ date, timestamp, byLang = {} }) {
+    const isoDate = new Date(date).toISOString().slice(0, 10);
+    const ops = [];
+    for (const [lang, l] of Object.entries(byLang)) {
+        for (const category of LANG_CATEGORIES) {
+            if (!l[category] || l[category].length === 0) continue;
+            ops.push({
+                updateOne: {
+                    filter: { type: 'realtime', date: isoDate, category, geo: null, lang, timestamp },
+                    update: { $set: { keywords: l[category], rows: l.rows } },
+                    upsert: true,
+                }
+            });
+        }
+    }
+    if (ops.length === 0) {
+        logger.info(`No per-language keywords in the translation file of ${timestamp.toISOString()} (languages need ${config.translation.minRows} records)`);
+        return 0;
+    }
+    await Trend.bulkWrite(ops, { ordered: false });
+    logger.info(`Saved ${ops.length} per-language realtime docs (${Object.keys(byLang).length} languages) for ${timestamp.toISOString()}`);
+    await rebuildLanguageDay(isoDate, Object.keys(byLang));
+    return ops.length;
+}
+
+/**
+ * compareLanguages: one keyword across languages on `date` against each language's own window baseline.
+ * Results per language (English feed as 'en'): { lang, name, count, rows, share, mean, std, z }, sorted by z
+ * (languages whose baseline has no spread last). share is count per record where the record total is known.
+ */
+async function compareLanguages({ word, category = 'themes', date, windowDays = 7 }) {
+    const from = addDays(date, -windowDays);
+    const dates = Array.from({ length: windowDays }, (_, i) => addDays(from, i));
+    const [docs, englishSources] = await Promise.all([
+        Trend.find(
+            { type: 'daily', category, geo: null, lang: { $ne: 'all' }, date: { $gte: from, $lte: date } },
+            { date: 1, lang: 1, rows: 1, keywords: { $elemMatch: { word } } }
+        ).lean().exec(),
+        // the English feed's record total is kept on its 'sources' doc
+        Trend.findOne({ type: 'daily', date, category: 'sources', geo: null, lang: null }, { rows: 1 }).lean().exec(),
+    ]);
+
+    const byLang = new Map();
+    for (const doc of docs) {
+        const lang = doc.lang || 'en';
+        if (!byLang.has(lang)) byLang.set(lang, { daily: new Array(windowDays).fill(0), count: 0, rows: null, present: false });
+        const entry = byLang.get(lang);
+        const hit = doc.keywords && doc.keywords[0];
+        const count = hit ? hit.count || 0 : 0;
+        if (doc.date === date) {
+            entry.count = count;
+            entry.present = true;
+            entry.rows = doc.lang ? doc.rows || null : (englishSources && englishSources.rows) || null;
+        } else {
+            const i = dates.indexOf(doc.date);
+            if (i >= 0) entry.daily[i] += count;
+        }
+    }
+
+    const results = [];
+    for (const [lang, entry] of byLang) {
+        if (!entry.present) continue;
+        const { mean, std } = keywordBaseline(entry.daily);
+        results.push({
+            lang,
+            name: languageName(lang),
+            count: entry.count,
+            rows: entry.rows,
+            share: entry.rows ? Math.round((entry.count / entry.rows) * 1e6) / 1e6 : null,
+            mean,
+            std,
+            z: std > 0 ? Math.round(((entry.count - mean) / std) * 1000) / 1000 : null,
+        });
+    }
+    results.sort((a, b) => (a.z === null) - (b.z === null) || (b.z || 0) - (a.z || 0) || b.count - a.count);
+    return { word, category, date, window: windowDays, results };
+}
+
+module.exports = { LANG_CATEGORIES, saveLanguageTrends, rebuildLanguageDay, rebuildAllLanguages, compareLanguages };
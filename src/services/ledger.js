@@ -0,0 +1,136 @@
+// src/services/ledger.js
+const Ingestion = require('../models/ingestionModel');
+const config = require('../config');
+const winston = require('winston');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const FIFTEEN_MIN_MS = 15 * 60 * 1000;
+
+/**
+ * claimFile: marks (file, job) as 'processing' unless it is already done, being processed by
+ * someone else (and not stale), or out of attempts. Returns the entry, or null when the caller should skip.
+ * Relies on the unique (file, job) index: when the filter does not match an existing entry,
+ * the upsert collides and we treat that as "not ours".
+ */
+async function claimFile({ file, job, kind, url, fileTimestamp }) {
+    const { maxAttempts, staleMinutes } = config.ingestion;
+    const staleBefore = new Date(Date.now() - staleMinutes * 60 * 1000);
+    try {
+        return await Ingestion.findOneAndUpdate(
+            {
+                file,
+                job,
+                $or: [
+                    { status: { $in: ['failed', 'missing'] }, attempts: { $lt: maxAttempts } },
+                    { status: 'processing', startedAt: { $lt: staleBefore } },
+                ],
+            },
+            {
+                $set: { status: 'processing', kind, url, fileTimestamp, startedAt: new Date(), error: null },
+                $inc: { attempts: 1 },
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        ).lean().exec();
+    } catch (err) {
+        if (err.code === 11000) return null; // done, in progress, or out of attempts
+        throw err;
+    }
+}
+
+async function completeFile({ file, job }, { rows, counts, checksum, bytes } = {}) {
+    const entry = await Ingestion.findOne({ file, job }).lean().exec();
+    const finishedAt = new Date();
+    await Ingestion.updateOne({ file, job }, {
+        $set: {
+            status: 'done',
+            rows,
+            counts,
+            checksum,
+            bytes,
+            finishedAt,
+            durationMs: entry && entry.startedAt ? finishedAt - entry.startedAt : undefined,
+            error: null,
+        },
+    }).exec();
+}
+
+// 404s are recorded as 'missing' (the file may not be published yet), anything else as 'failed'
+async function failFile({ file, job }, err) {
+    const status = err && err.response && err.response.status === 404 ? 'missing' : 'failed';
+    const entry = await Ingestion.findOne({ file, job }).lean().exec();
+    const finishedAt = new Date();
+    await Ingestion.updateOne({ file, job }, {
+        $set: {
+            status,
+            finishedAt,
+            durationMs: entry && entry.startedAt ? finishedAt - entry.startedAt : undefined,
+            error: err ? err.message : 'unknown error',
+        },
+    }).exec();
+}
+
+/**
+ * runOnce: claim -> fn() -> complete/fail. fn resolves to { rows, counts, checksum, bytes }.
+ * Resolves to { skipped: true } when the ledger says the file is not ours to process.
+ */
+async function runOnce(key, fn) {
+    const claimed = await claimFile(key);
+    if (!claimed) {
+        logger.info(`Ledger: skipping ${key.file} (${key.job}) — already done, in progress or out of attempts`);
+        return { skipped: true };
+    }
+    try {
+        const result = await fn();
+        await completeFile(key, result || {});
+        return { skipped: false, ...result };
+    } catch (err) {
+        await failFile(key, err);
+        throw err;
+    }
+}
+
+// failed / missing entries of a job that can still be retried, oldest first
+async function listRetryable({ job, since }) {
+    return Ingestion.find({
+        job,
+        status: { $in: ['failed', 'missing'] },
+        attempts: { $lt: config.ingestion.maxAttempts },
+        fileTimestamp: { $gte: since },
+    }).sort({ fileTimestamp: 1 }).lean().exec();
+}
+
+// forget (file, job) entries so they can be processed again, e.g. when replaying history
+async function resetFiles({ job, files }) {
+    const { deletedCount } = await Ingestion.deleteMany({ job, file: { $in: files } }).exec();
+    logger.info(`Ledger: reset ${deletedCount} ${job} entries`);
+    return deletedCount;
+}
+
+/**
+ * findGaps: expected source slots between from and to (Dates) with no 'done' ledger entry,
+ * plus every failed / missing entry in that range.
+ * job 'realtime', 'events' and 'translation' expect one 15-minute file per slot; 'daily' one file per day.
+ */
+async function findGaps({ from, to, job = 'realtime' }) {
+    const step = ['realtime', 'events', 'translation'].includes(job) ? FIFTEEN_MIN_MS : 24 * 3600 * 1000;
+    const entries = await Ingestion.find({ job, fileTimestamp: { $gte: from, $lte: to } }).lean().exec();
+    const done = new Set(entries.filter(e => e.status === 'done').map(e => new Date(e.fileTimestamp).getTime()));
+
+    const gaps = [];
+    const start = Math.ceil(from.getTime() / step) * step;
+    for (let t = start; t <= to.getTime(); t += step) {
+        if (!done.has(t)) gaps.push(new Date(t).toISOString());
+    }
+    const failures = entries
+        .filter(e => e.status === 'failed' || e.status === 'missing')
+        .map(({ file, job: j, status, attempts, error, fileTimestamp, finishedAt }) => ({ file, job: j, status, attempts, error, fileTimestamp, finishedAt }));
+    const summary = entries.reduce((acc, e) => {
+        acc[e.status] = (acc[e.status] || 0) + 1;
+        return acc;
+    }, {});
+
+    return { gaps, failures, summary };
+}
+
+module.exports = { claimFile, completeFile, failFile, runOnce, listRetryable, resetFiles, findGaps };
@@ -0,0 +1,128 @@
+// src/services/liveStream.js
+// Fan-out of new realtime results to SSE / WebSocket clients. The process that saves a realtime
+// aggregate publishes one message on a Redis channel; every API instance subscribes once and
+// forwards it to its own connected clients.
+const EventEmitter = require('events');
+const IORedis = require('ioredis');
+const Trend = require('../models/trendModel');
+const config = require('../config');
+const winston = require('winston');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const STREAM_CATEGORIES = ['themes', 'persons', 'orgs', 'locations', 'countries'];
+const LATEST_KEY = 'stream:latest';
+const LATEST_TS_KEY = 'stream:latest:ts';
+
+// stores the message as latest only when its slot is newer than the stored one (1), otherwise 0
+const CLAIM_LATEST = `
+local current = tonumber(redis.call('GET', KEYS[2]) or '0')
+if tonumber(ARGV[1]) <= current then return 0 end
+redis.call('SET', KEYS[2], ARGV[1])
+redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+return 1`;
+
+const publisher = new IORedis(config.redis);
+const listeners = new EventEmitter();
+listeners.setMaxListeners(0);
+let subscriber = null;
+
+function ranksOf(keywords) {
+    return new Map((keywords || []).map((k, i) => [k.word, i + 1]));
+}
+
+/**
+ * buildUpdate: the stream message for the realtime slot at `timestamp` — per category the top
+ * keywords with their rank, the rank in the previous realtime slot and the change (positive = rising,
+ * null = new in the top list).
+ */
+async function buildUpdate({ date, timestamp }) {
+    const limit = config.stream.topN;
+    const categories = {};
+    for (const category of STREAM_CATEGORIES) {
+        const [current, previous] = await Promise.all([
+            Trend.findOne({ type: 'realtime', category, geo: null, lang: null, timestamp }, { keywords: 1 }).lean().exec(),
+            Trend.findOne({ type: 'realtime', category, geo: null, lang: null, timestamp: { $lt: timestamp } }, { keywords: 1, timestamp: 1 })
+                .sort({ timestamp: -1 }).lean().exec(),
+        ]);
+        if (!current || !current.keywords || current.keywords.length === 0) continue;
+        const before = ranksOf(previous && previous.keywords);
+        categories[category] = current.keywords.slice(0, limit).map((k, i) => {
+            const previousRank = before.get(k.word) || null;
+            return { word: k.word, count: k.count, rank: i + 1, previousRank, change: previousRank ? previousRank - (i + 1) : null };
+        });
+    }
+    return { event: 'trends', type: 'realtime', date, timestamp: new Date(timestamp).toISOString(), categories };
+}
+
+// publishes the update for a freshly saved realtime slot; returns the message (null when empty).
+// Replays, ledger retries and backfills of older slots are not published: only a slot newer than
+// the last published one becomes the latest update.
+async function publishRealtime({ date, timestamp }) {
+    const slot = new Date(timestamp).getTime();
+    const published = Number(await publisher.get(LATEST_TS_KEY)) || 0;
+    if (slot <= published) {
+        logger.info(`Skipped live update for ${new Date(timestamp).toISOString()} (not newer than the latest published slot)`);
+        return null;
+    }
+    const message = await buildUpdate({ date, timestamp });
+    if (Object.keys(message.categories).length === 0) return null;
+    const body = JSON.stringify(message);
+    const claimed = await publisher.eval(CLAIM_LATEST, 2, LATEST_KEY, LATEST_TS_KEY, slot, body, (config.realtimeIntervalMin || 15) * 60 * 2);
+    if (!claimed) return null;
+    await publisher.publish(config.stream.channel, body);
+    logger.info(`Published live update for ${message.timestamp} (${Object.keys(message.categories).join(', ')})`);
+    return message;
+}
+
+function ensureSubscribed() {
+    if (subscriber) return;
+    // a connection in subscriber mode cannot run other commands, so it gets its own
+    subscriber = new IORedis(config.redis);
+    subscriber.subscribe(config.stream.channel).catch(err => logger.error(`Live stream subscribe failed: ${err.message}`));
+    subscriber.on('message', (channel, body) => {
+        if (channel !== config.stream.channel) return;
+        try {
+            listeners.emit('update', JSON.parse(body));
+        } catch (err) {
+            logger.warn(`Dropped malformed live update: ${err.message}`);
+        }
+    });
+}
+
+/**
+ * subscribe: calls listener(message) for every update published by any instance.
+ * Returns the function that unsubscribes.
+ */
+function subscribe(listener) {
+    ensureSubscribed();
+    listeners.on('update', listener);
+    return () => listeners.off('update', listener);
+}
+
+// the last published update, sent to clients as soon as they connect
+async function latestUpdate() {
+    const body = await publisher.get(LATEST_KEY);
+    return body ? JSON.parse(body) : null;
+}
+
+// keeps only the requested categories (all when none) and the top `limit` keywords of each
+function filterUpdate(message, { categories, limit } = {}) {
+    const out = {};
+    for (const [category, keywords] of Object.entries(message.categories || {})) {
+        if (categories && categories.length > 0 && !categories.includes(category)) continue;
+        out[category] = limit ? keywords.slice(0, limit) : keywords;
+    }
+    return { ...message, categories: out };
+}
+
+function parseStreamQuery(query) {
+    const categories = query.category ? String(query.category).split(',').map(c => c.trim()).filter(Boolean) : [];
+    const unknown = categories.filter(c => !STREAM_CATEGORIES.includes(c));
+    if (unknown.length > 0) return { error: `unknown category ${unknown.join(', ')}; expected ${STREAM_CATEGORIES.join(', ')}` };
+    const limit = query.limit ? parseInt(query.limit, 10) : undefined;
+    if (query.limit && !(limit > 0)) return { error: 'limit must be a positive integer' };
+    return { categories, limit };
+}
+
+module.exports = { STREAM_CATEGORIES, buildUpdate, publishRealtime, subscribe, latestUpdate, filterUpdate, parseStreamQuery };
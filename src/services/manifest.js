@@ -0,0 +1,185 @@
+// src/services/manifest.js
+// Discovers published GDELT files from the lastupdate.txt / masterfilelist.txt manifests
+// (and the GKG 1.0 md5sums list for daily files) instead of guessing filenames from the clock.
+const axios = require('axios');
+const readline = require('readline');
+const config = require('../config');
+const winston = require('winston');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+// 20240101121500.gkg.csv.zip, 20240101121500.translation.export.CSV.zip, ...
+const FILE_RE = /(\d{14})\.(translation\.)?(gkg|export|mentions)\.csv\.zip$/i;
+
+/**
+ * parseFileName: { timestamp, stream: 'gkg'|'export'|'mentions', translation } or null
+ */
+function parseFileName(file) {
+    const m = String(file).match(FILE_RE);
+    if (!m) return null;
+    const ts = m[1];
+    const timestamp = new Date(Date.UTC(+ts.slice(0, 4), +ts.slice(4, 6) - 1, +ts.slice(6, 8), +ts.slice(8, 10), +ts.slice(10, 12), +ts.slice(12, 14)));
+    return { timestamp, stream: m[3].toLowerCase(), translation: Boolean(m[2]) };
+}
+
+function fileUrl(file, listedUrl) {
+    return config.manifest.rebaseUrls || !listedUrl ? `${config.manifest.baseUrl}/${file}` : listedUrl;
+}
+
+// "<size> <md5> <url>" -> entry, or null for blank / malformed lines
+function parseManifestLine(line) {
+    const parts = String(line).trim().split(/\s+/);
+    if (parts.length < 3) return null;
+    const [size, md5, url] = parts;
+    const file = url.split('/').pop();
+    const info = parseFileName(file);
+    if (!info) return null;
+    return { file, url: fileUrl(file, url), md5: md5.toLowerCase(), size: Number(size), ...info };
+}
+
+function matches(entry, { stream = 'gkg', translation = false } = {}) {
+    return entry.stream === stream && entry.translation === translation;
+}
+
+// entries seen in lastupdate files, per stream key (timestamp ms -> entry); answers lookups of recent
+// slots without the master list
+const recent = new Map();
+const RECENT_MS = 48 * 3600 * 1000;
+const SLOT_MS = 15 * 60 * 1000;
+
+function filterKey(filter = {}) {
+    return `${filter.stream || 'gkg'}:${Boolean(filter.translation)}`;
+}
+
+function remember(key, entries) {
+    if (!recent.has(key)) recent.set(key, new Map());
+    const seen = recent.get(key);
+    for (const entry of entries) seen.set(entry.timestamp.getTime(), entry);
+    const newest = Math.max(...seen.keys());
+    for (const t of seen.keys()) if (t < newest - RECENT_MS) seen.delete(t);
+}
+
+/**
+ * fetchLastUpdate: the files of the most recent 15-minute update.
+ * filter: { stream, translation } — lastupdate-translation.txt is used for translation = true.
+ */
+async function fetchLastUpdate(filter = {}) {
+    const name = filter.translation ? 'lastupdate-translation.txt' : 'lastupdate.txt';
+    const resp = await axios({ url: `${config.manifest.baseUrl}/${name}`, method: 'GET', responseType: 'text', timeout: 60000 });
+    const lines = String(resp.data).split('\n').map(parseManifestLine).filter(Boolean);
+    // a lastupdate file lists every stream of its slot, so all of them are remembered
+    for (const entry of lines) remember(filterKey(entry), [entry]);
+    return lines.filter(e => matches(e, filter));
+}
+
+// manifest cache: key -> { at, value, newest, pending }
+const masterCache = new Map();
+
+async function loadMasterList(filter) {
+    const name = filter.translation ? 'masterfilelist-translation.txt' : 'masterfilelist.txt';
+    const resp = await axios({ url: `${config.manifest.baseUrl}/${name}`, method: 'GET', responseType: 'stream', timeout: 300000 });
+    const byTimestamp = new Map();
+    const rl = readline.createInterface({ input: resp.data, crlfDelay: Infinity });
+    for await (const line of rl) {
+        const entry = parseManifestLine(line);
+        if (entry && matches(entry, filter)) byTimestamp.set(entry.timestamp.getTime(), entry);
+    }
+    logger.info(`Loaded ${byTimestamp.size} ${filter.stream || 'gkg'}${filter.translation ? ' (translation)' : ''} entries from ${name}`);
+    return byTimestamp;
+}
+
+/**
+ * getMasterList: Map(timestamp ms -> entry) for one stream. The list is hundreds of MB, so it is kept
+ * for config.manifest.masterCacheHours; `maxAgeMs` asks for a fresher copy. Concurrent callers share a single download.
+ */
+async function getMasterList(filter = {}, { maxAgeMs = config.manifest.masterCacheHours * 3600 * 1000 } = {}) {
+    const f = { stream: filter.stream || 'gkg', translation: Boolean(filter.translation) };
+    const key = filterKey(f);
+    const cached = masterCache.get(key);
+    if (cached && cached.value && Date.now() - cached.at < maxAgeMs) return cached.value;
+    if (cached && cached.pending) return cached.pending;
+
+    const pending = loadMasterList(f)
+        .then(byTimestamp => {
+            let newest = 0;
+            for (const t of byTimestamp.keys()) if (t > newest) newest = t;
+            masterCache.set(key, { at: Date.now(), value: byTimestamp, newest });
+            return byTimestamp;
+        })
+        .catch(err => {
+            if (cached && cached.value) masterCache.set(key, cached);
+            else masterCache.delete(key);
+            throw err;
+        });
+    masterCache.set(key, { ...(cached || {}), pending });
+    return pending;
+}
+
+// true when lastupdate files listed every slot after `newest` up to `until` (or the latest one they listed)
+function recentCovers(key, newest, until) {
+    const seen = recent.get(key);
+    if (!seen || seen.size === 0) return false;
+    const last = Math.min(until, Math.max(...seen.keys()));
+    for (let t = newest + SLOT_MS; t <= last; t += SLOT_MS) if (!seen.has(t)) return false;
+    return true;
+}
+
+/**
+ * masterCovering: the master list for lookups up to `until` (ms). Slots past the newest one it lists come
+ * from lastupdate files; only when those have a gap is the list re-downloaded, and not before the copy is
+ * config.manifest.cacheMinutes old (so a slot GDELT skipped cannot force a download per lookup).
+ */
+async function masterCovering(filter, until) {
+    const key = filterKey(filter);
+    const byTimestamp = await getMasterList(filter);
+    const cached = masterCache.get(key);
+    if (!cached || !cached.newest || until <= cached.newest || recentCovers(key, cached.newest, until)) return byTimestamp;
+    return getMasterList(filter, { maxAgeMs: config.manifest.cacheMinutes * 60 * 1000 });
+}
+
+// published entry for the 15-minute slot containing `date`, or null when GDELT has not listed it.
+// Recent slots come from lastupdate files, older ones from the master list.
+async function findEntryForSlot(date, filter = {}) {
+    const slot = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), Math.floor(date.getUTCMinutes() / 15) * 15);
+    const key = filterKey(filter);
+    const seen = () => (recent.get(key) && recent.get(key).get(slot)) || null;
+    if (seen()) return seen();
+
+    const byTimestamp = await getMasterList(filter);
+    if (byTimestamp.has(slot)) return byTimestamp.get(slot);
+    const cached = masterCache.get(key);
+    if (cached && cached.newest && slot <= cached.newest) return null;
+
+    await fetchLastUpdate(filter);
+    if (seen()) return seen();
+    return (await masterCovering(filter, slot)).get(slot) || null;
+}
+
+// published entries with from <= timestamp < to, oldest first
+async function findEntriesBetween(from, to, filter = {}) {
+    const byTimestamp = await masterCovering(filter, to.getTime() - 1);
+    const out = new Map();
+    for (const [t, entry] of [...byTimestamp, ...(recent.get(filterKey(filter)) || [])]) {
+        if (t >= from.getTime() && t < to.getTime()) out.set(t, entry);
+    }
+    return Array.from(out.values()).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * getDailyChecksums: Map(filename -> md5) from the GKG 1.0 daily md5sums list ("<md5>  <file>" per line).
+ * Cached like the master list.
+ */
+async function getDailyChecksums() {
+    const cached = masterCache.get('daily-md5');
+    if (cached && Date.now() - cached.at < config.manifest.cacheMinutes * 60 * 1000) return cached.value;
+    const resp = await axios({ url: config.manifest.dailyChecksumsUrl, method: 'GET', responseType: 'text', timeout: 60000 });
+    const sums = new Map();
+    for (const line of String(resp.data).split('\n')) {
+        const [md5, file] = line.trim().split(/\s+/);
+        if (md5 && file) sums.set(file, md5.toLowerCase());
+    }
+    masterCache.set('daily-md5', { at: Date.now(), value: sums });
+    return sums;
+}
+
+module.exports = { parseFileName, parseManifestLine, fetchLastUpdate, getMasterList, findEntryForSlot, findEntriesBetween, getDailyChecksums };
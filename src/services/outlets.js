@@ -0,0 +1,144 @@
+// src/services/outlets.js
+// Source outlets: records per outlet domain (Trend docs of category 'sources', realtime and daily)
+// and, for the largest outlets of each day, their own themes / persons / orgs (OutletTrend docs)
+// to show what one outlet covers more than everyone else.
+const Trend = require('../models/trendModel');
+const OutletTrend = require('../models/outletTrendModel');
+const config = require('../config');
+const winston = require('winston');
+const { mergeKeywordLists } = require('./periods');
+const { listDays } = require('./timeSeries');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const OUTLET_CATEGORIES = ['themes', 'persons', 'orgs'];
+const DAY_MS = 24 * 3600 * 1000;
+
+function round(n, digits = 4) {
+    const f = 10 ** digits;
+    return Math.round(n * f) / f;
+}
+
+/**
+ * saveSources: stores the outlet leaderboard of a realtime / daily aggregate and, for daily ones,
+ * the per-outlet keyword docs. ranked: rankCollector output ({ rows, sources, bySource }).
+ */
+async function saveSources({ type, date, timestamp, rows = 0, sources = [], bySource = {} }) {
+    if (sources.length === 0) return 0;
+    const filter = { type, date, category: 'sources', geo: null, lang: null, ...(type === 'realtime' ? { timestamp } : {}) };
+    await Trend.findOneAndUpdate(filter, { $set: { keywords: sources, rows, timestamp } }, { upsert: true, new: true, setDefaultsOnInsert: true }).exec();
+
+    // per-outlet docs only for days: every 15-minute file would add thousands of them
+    if (type !== 'daily') return 0;
+    const ops = [];
+    for (const [source, s] of Object.entries(bySource)) {
+        for (const category of OUTLET_CATEGORIES) {
+            if (!s[category] || s[category].length === 0) continue;
+            ops.push({
+                updateOne: {
+                    filter: { type, date, source, category },
+                    update: { $set: { rows: s.rows, keywords: s[category].map(k => ({ word: k.word, count: k.count })), timestamp } },
+                    upsert: true,
+                }
+            });
+        }
+    }
+    await OutletTrend.deleteMany({ type, date, source: { $nin: Object.keys(bySource) } }).exec();
+    if (ops.length > 0) await OutletTrend.bulkWrite(ops, { ordered: false });
+    logger.info(`Saved ${sources.length} outlets and ${ops.length} per-outlet docs (${type}) for ${date}`);
+    return ops.length;
+}
+
+/**
+ * sourceLeaderboard: outlets ranked by records (articles) for one day, or summed over from..to.
+ * type 'realtime' reads the latest 15-minute slot of `date`.
+ * Returns { rows, results: [{ rank, source, articles, share, tone? }] }; share is of all records.
+ */
+async function sourceLeaderboard({ type = 'daily', date, from, to, limit = 50 }) {
+    let docs;
+    if (type === 'realtime') {
+        const latest = await Trend.findOne({ type, date, category: 'sources', geo: null, lang: null }).sort({ timestamp: -1 }).lean().exec();
+        docs = latest ? [latest] : [];
+    } else {
+        const dates = from ? listDays(from, to) : [date];
+        docs = await Trend.find({ type: 'daily', category: 'sources', geo: null, lang: null, date: { $in: dates } }, { date: 1, rows: 1, keywords: 1 }).lean().exec();
+    }
+    const rows = docs.reduce((sum, d) => sum + (d.rows || 0), 0);
+    const merged = docs.length === 1 ? docs[0].keywords : mergeKeywordLists(docs.map(d => d.keywords), limit);
+    const results = (merged || []).slice(0, limit).map((k, i) => ({
+        rank: i + 1,
+        source: k.word,
+        articles: k.count,
+        share: rows > 0 ? round(k.count / rows) : null,
+        ...(k.tone ? { tone: k.tone } : {}),
+    }));
+    return { rows, days: docs.length, results };
+}
+
+/**
+ * compareOutlet: the outlet's themes / persons / orgs over the `days` days ending at `date`, ranked
+ * by lift — the share of the outlet's records mentioning the keyword over the share of all other
+ * outlets' records. Global docs only keep the top keywords, so a keyword missing from one is assumed
+ * to sit at that doc's cut-off; its lift is then understated and the result is marked estimated.
+ */
+async function compareOutlet({ source, category, date, days = 7, limit = 50 }) {
+    const from = new Date(new Date(`${date}T00:00:00.000Z`).getTime() - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+    const dates = listDays(from, date);
+    const [outletDocs, globalDocs, sourceDocs] = await Promise.all([
+        OutletTrend.find({ type: 'daily', source, category, date: { $in: dates } }, { date: 1, rows: 1, keywords: 1 }).lean().exec(),
+        Trend.find({ type: 'daily', category, geo: null, lang: null, date: { $in: dates } }, { date: 1, keywords: 1 }).lean().exec(),
+        Trend.find({ type: 'daily', category: 'sources', geo: null, lang: null, date: { $in: dates } }, { date: 1, rows: 1 }).lean().exec(),
+    ]);
+    const outletRows = outletDocs.reduce((sum, d) => sum + d.rows, 0);
+    // days without an outlet doc say nothing about the outlet, so only covered days form the baseline
+    const covered = new Set(outletDocs.map(d => d.date));
+    const totalRows = sourceDocs.filter(d => covered.has(d.date)).reduce((sum, d) => sum + (d.rows || 0), 0);
+    const base = { source, from, to: date, rows: outletRows, otherRows: Math.max(totalRows - outletRows, 0), days: covered.size };
+    if (outletRows === 0) return { ...base, results: [] };
+
+    const globalByDate = new Map(globalDocs.map(d => {
+        const keywords = d.keywords || [];
+        const cutoff = keywords.length >= (config.topN || 50) ? keywords[keywords.length - 1].count : 0;
+        return [d.date, { counts: new Map(keywords.map(k => [k.word, k.count])), cutoff }];
+    }));
+    const stats = new Map();
+    for (const doc of outletDocs) {
+        const global = globalByDate.get(doc.date) || { counts: new Map(), cutoff: 0 };
+        for (const k of doc.keywords) {
+            if (!stats.has(k.word)) stats.set(k.word, { word: k.word, count: 0, totalCount: 0, estimated: false });
+            const s = stats.get(k.word);
+            s.count += k.count;
+            if (global.counts.has(k.word)) {
+                s.totalCount += Math.max(global.counts.get(k.word), k.count);
+            } else {
+                s.totalCount += Math.max(global.cutoff, k.count);
+                s.estimated = true;
+            }
+        }
+    }
+
+    const minCount = config.sources.minArticles;
+    const results = Array.from(stats.values())
+        .filter(s => s.count >= minCount)
+        .map(s => {
+            const otherCount = Math.max(s.totalCount - s.count, 0);
+            const share = s.count / outletRows;
+            const otherShare = base.otherRows > 0 ? otherCount / base.otherRows : 0;
+            // add-one smoothing keeps keywords no other outlet mentioned finite
+            const lift = ((s.count + 1) / (outletRows + 1)) / ((otherCount + 1) / (base.otherRows + 1));
+            return {
+                word: s.word,
+                count: s.count,
+                share: round(share),
+                otherCount,
+                otherShare: round(otherShare),
+                score: round(lift, 3),
+                ...(s.estimated ? { estimated: true } : {}),
+            };
+        })
+        .sort((a, b) => b.score - a.score || b.count - a.count)
+        .slice(0, limit);
+    return { ...base, results };
+}
+
+module.exports = { OUTLET_CATEGORIES, saveSources, sourceLeaderboard, compareOutlet };
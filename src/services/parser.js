@@ -1,8 +1,15 @@
 // src/services/parser.js
 const csv = require('fast-csv');
-const config = require('../config');
 const { splitAndClean } = require('../utils/cleaner');
+const { parseLocationKeywords } = require('../utils/locations');
+const { parseTone } = require('../utils/tone');
+const { sourceDomain } = require('../utils/domains');
+const { parseTranslationInfo } = require('../utils/languages');
+const { schemaFromHeader, detectSchema, readFields } = require('../utils/gkgSchema');
 const aggregator = require('./aggregator');
+const { createCollector, addRow } = require('./collector');
+const { refreshAliases, aliasTokens } = require('./entities');
+const { parseGkgDate, buildArticle, createArticleBuffer } = require('./articles');
 const winston = require('winston');
 
 const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
@@ -10,17 +17,13 @@ const logger = winston.createLogger({ transports: [new winston.transports.Consol
 async function parseCsvStream(stream, opts = {}) {
     const category = opts.category || 'all';
     const timestamp = opts.timestamp || new Date();
-    let headerDetected = false;
-    let header = null;
+    let schema = null;
     let rowCount = 0;
 
-    // create collectors (to be aggregated for this file)
-    const collector = {
-        themes: [],
-        persons: [],
-        orgs: [],
-        documentIdentifiers: [],
-    };
+    // counts for this file, folded in row by row
+    const collector = createCollector();
+    const articles = createArticleBuffer();
+    await refreshAliases();
 
     return new Promise((resolve, reject) => {
         const parserStream = csv.parse({ headers: false, relax_quotes: true, skipLines: 0, delimiter: '\t' })
@@ -31,72 +34,49 @@ async function parseCsvStream(stream, opts = {}) {
             .on('data', row => {
                 rowCount++;
                 try {
-                    if (!headerDetected && rowCount === 1) {
-                        const rowStr = row.join('|').toLowerCase();
-                        if (rowStr.includes('v2themes') || rowStr.includes('v2persons') || rowStr.includes('v2organizations') || rowStr.includes('documentidentifier')) {
-                            headerDetected = true;
-                            header = row.map(c => String(c).toLowerCase());
-                            const themesIdx = header.findIndex(h => h.includes('v2themes'));
-                            if (themesIdx >= 0) config.columnIndices.themes = themesIdx;
-                            const personsIdx = header.findIndex(h => h.includes('v2persons'));
-                            if (personsIdx >= 0) config.columnIndices.persons = personsIdx;
-                            const orgsIdx = header.findIndex(h => h.includes('v2organizations'));
-                            if (orgsIdx >= 0) config.columnIndices.orgs = orgsIdx;
-                            const docIdIdx = header.findIndex(h => h.includes('documentidentifier'));
-                            if (docIdIdx >= 0) config.columnIndices.documentIdentifier = docIdIdx;
-                            return; // skip header row
-                        }
+                    if (!schema) {
+                        schema = schemaFromHeader(row);
+                        if (schema) return; // skip header row
+                        schema = detectSchema(row, opts.file);
                     }
 
-                    const getCol = (idx) => {
-                        if (idx === null || idx === undefined) return null;
-                        return row[idx] !== undefined ? row[idx] : null;
-                    };
-
-                    // Get document IDs for this row, split by '|' if multiple
-                    const rawDocId = getCol(config.columnIndices.documentIdentifier);
-                    const docIds = rawDocId ? rawDocId.split('|').filter(id => id.trim() !== '') : [];
+                    const fields = readFields(schema, row);
+                    const tone = parseTone(fields.tone);
 
-                    // Helper to build keyword objects with documents attached
-                    const buildKeywordObjs = (raw) => {
-                        return splitAndClean(raw).map(word => ({
-                            word,
-                            count: 1,
-                            documents: docIds,
-                        }));
+                    const wants = (cat) => category === 'all' || category === cat;
+                    // Locations are always parsed: they decide which places this row counts towards
+                    const places = parseLocationKeywords(fields.locations);
+                    const record = {
+                        themes: wants('themes') ? splitAndClean(fields.themes) : [],
+                        persons: wants('persons') ? splitAndClean(fields.persons, aliasTokens('persons')) : [],
+                        orgs: wants('orgs') ? splitAndClean(fields.orgs, aliasTokens('orgs')) : [],
+                        places,
+                        tone,
+                        documents: fields.documents,
+                        source: sourceDomain(fields.documents[0], fields.sourceCommonName),
+                        lang: parseTranslationInfo(fields.translationInfo),
+                        weight: fields.articles,
                     };
-
-                    if (category === 'all' || category === 'themes') {
-                        const rawThemes = getCol(config.columnIndices.themes);
-                        if (rawThemes) {
-                            collector.themes.push(...buildKeywordObjs(rawThemes));
-                        }
-                    }
-                    if (category === 'all' || category === 'persons') {
-                        const rawPersons = getCol(config.columnIndices.persons);
-                        if (rawPersons) {
-                            collector.persons.push(...buildKeywordObjs(rawPersons));
-                        }
+                    addRow(collector, record);
+                    // one article per document id (a GKG 1.0 row clusters several)
+                    const published = parseGkgDate(fields.date) || timestamp;
+                    let full = false;
+                    fields.documents.forEach((url, i) => {
+                        const source = sourceDomain(url, fields.sources.length === fields.documents.length ? fields.sources[i] : null);
+                        full = articles.add(buildArticle({ ...record, url, source, timestamp: published, lang: record.lang || 'en' })) || full;
+                    });
+                    if (full) {
+                        parserStream.pause();
+                        articles.flush().then(() => parserStream.resume());
                     }
-                    if (category === 'all' || category === 'orgs') {
-                        const rawOrgs = getCol(config.columnIndices.orgs);
-                        if (rawOrgs) {
-                            collector.orgs.push(...buildKeywordObjs(rawOrgs));
-                        }
-                    }
-
-                    // Collect document identifiers separately too (raw string)
-                    if (rawDocId) {
-                        collector.documentIdentifiers.push(...docIds);
-                    }
-
                 } catch (err) {
                     logger.warn('Row parse warning: ' + err.message);
                 }
             })
             .on('end', async (rowCount) => {
-                logger.info(`CSV parse completed — rows: ${rowCount}`);
+                logger.info(`CSV parse completed${schema ? ` (GKG ${schema.version})` : ''} — rows: ${rowCount}`);
                 try {
+                    await articles.flush();
                     await aggregator.aggregateFromFile({ collector, timestamp, category });
                     resolve(true);
                 } catch (err) {
@@ -0,0 +1,247 @@
+// src/services/periods.js
+// Hourly, weekly and monthly rollups. They are rebuilt from the next finer granularity whenever
+// new data lands (hourly from that hour's realtime docs, weekly / monthly from daily docs), so a
+// one-year window reads ~12 monthly docs instead of 365 daily ones.
+const Trend = require('../models/trendModel');
+const config = require('../config');
+const winston = require('winston');
+const { mergeToneSummaries } = require('../utils/tone');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const ROLLUP_CATEGORIES = ['themes', 'persons', 'orgs', 'locations', 'countries'];
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function addDays(dateStr, n) {
+    return new Date(new Date(`${dateStr}T00:00:00.000Z`).getTime() + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Monday of the ISO week containing dateStr
+function weekStart(dateStr) {
+    const dow = (new Date(`${dateStr}T00:00:00.000Z`).getUTCDay() + 6) % 7;
+    return addDays(dateStr, -dow);
+}
+
+function monthStart(dateStr) {
+    return `${dateStr.slice(0, 7)}-01`;
+}
+
+function monthEnd(dateStr) {
+    const d = new Date(`${monthStart(dateStr)}T00:00:00.000Z`);
+    d.setUTCMonth(d.getUTCMonth() + 1);
+    return addDays(d.toISOString().slice(0, 10), -1);
+}
+
+// { date: period start, from, to } (inclusive days) of the weekly / monthly period containing dateStr
+function periodOf(type, dateStr) {
+    if (type === 'weekly') {
+        const from = weekStart(dateStr);
+        return { date: from, from, to: addDays(from, 6) };
+    }
+    if (type === 'monthly') return { date: monthStart(dateStr), from: monthStart(dateStr), to: monthEnd(dateStr) };
+    return { date: dateStr, from: dateStr, to: dateStr };
+}
+
+function dayCount(from, to) {
+    return Math.round((new Date(`${to}T00:00:00.000Z`) - new Date(`${from}T00:00:00.000Z`)) / DAY_MS) + 1;
+}
+
+/**
+ * mergeKeywordLists: sums several stored keyword arrays into one, top `limit` by count.
+ * Keeps the first location and document samples seen and combines tone summaries and merged variants.
+ */
+function mergeKeywordLists(lists, limit = config.rollups.maxKeywords) {
+    const samples = config.aggregation.sampleDocuments;
+    const map = new Map();
+    for (const keywords of lists) {
+        for (const k of (keywords || [])) {
+            if (!k || !k.word) continue;
+            if (!map.has(k.word)) map.set(k.word, { word: k.word, count: 0, documents: [], tones: [], location: k.location, variants: new Map() });
+            const m = map.get(k.word);
+            m.count += k.count || 0;
+            for (const doc of (k.documents || [])) {
+                if (m.documents.length >= samples) break;
+                if (!m.documents.includes(doc)) m.documents.push(doc);
+            }
+            if (k.tone) m.tones.push(k.tone);
+            for (const v of (k.variants || [])) m.variants.set(v.word, (m.variants.get(v.word) || 0) + v.count);
+        }
+    }
+    return Array.from(map.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit)
+        .map(({ word, count, documents, tones, location, variants }) => {
+            const tone = mergeToneSummaries(tones);
+            const merged = Array.from(variants, ([w, n]) => ({ word: w, count: n })).sort((a, b) => b.count - a.count).slice(0, 10);
+            return { word, count, documents, ...(location ? { location } : {}), ...(tone ? { tone } : {}), ...(merged.length ? { variants: merged } : {}) };
+        });
+}
+
+// docs: finer docs of one period; weekly / monthly docs also record how many days they were summed from
+async function saveRollups(type, filterBase, docs) {
+    const byCategory = new Map();
+    for (const doc of docs) {
+        if (!byCategory.has(doc.category)) byCategory.set(doc.category, { lists: [], dates: new Set() });
+        const entry = byCategory.get(doc.category);
+        entry.lists.push(doc.keywords);
+        entry.dates.add(doc.date);
+    }
+    const ops = [];
+    for (const [category, { lists, dates }] of byCategory) {
+        ops.push({
+            updateOne: {
+                filter: { ...filterBase, type, category, geo: null, lang: null },
+                update: { $set: {
+                    keywords: mergeKeywordLists(lists),
+                    timestamp: filterBase.timestamp || new Date(`${filterBase.date}T00:00:00.000Z`),
+                    ...(type === 'hourly' ? {} : { days: dates.size }),
+                } },
+                upsert: true,
+            }
+        });
+    }
+    if (ops.length > 0) await Trend.bulkWrite(ops, { ordered: false });
+    return ops.length;
+}
+
+// rebuilds the hourly docs of the hour containing `timestamp` from its realtime docs
+async function rollupHour(timestamp) {
+    const start = new Date(Math.floor(new Date(timestamp).getTime() / HOUR_MS) * HOUR_MS);
+    const docs = await Trend.find({
+        type: 'realtime',
+        geo: null,
+        lang: null,
+        category: { $in: ROLLUP_CATEGORIES },
+        timestamp: { $gte: start, $lt: new Date(start.getTime() + HOUR_MS) },
+    }, { category: 1, keywords: 1 }).lean().exec();
+    const saved = await saveRollups('hourly', { date: start.toISOString().slice(0, 10), timestamp: start }, docs);
+    logger.info(`Hourly rollup ${start.toISOString()}: ${saved} categories from ${docs.length} realtime docs`);
+    return saved;
+}
+
+// rebuilds the weekly and monthly docs containing `date` (YYYY-MM-DD) from their daily docs
+async function rollupDaily(date) {
+    let saved = 0;
+    for (const type of ['weekly', 'monthly']) {
+        const { date: start, from, to } = periodOf(type, date);
+        const docs = await Trend.find({
+            type: 'daily',
+            geo: null,
+            lang: null,
+            category: { $in: ROLLUP_CATEGORIES },
+            date: { $gte: from, $lte: to },
+        }, { date: 1, category: 1, keywords: 1 }).lean().exec();
+        saved += await saveRollups(type, { date: start }, docs);
+        logger.info(`${type} rollup ${from}..${to}: from ${docs.length} daily docs`);
+    }
+    return saved;
+}
+
+// from..to as ISO weeks where whole weeks fit (when useWeeks), single days elsewhere
+function planWeeks(from, to, useWeeks) {
+    const segments = [];
+    let day = from;
+    while (day <= to) {
+        const week = periodOf('weekly', day);
+        const segment = useWeeks && week.from === day && week.to <= to
+            ? { type: 'weekly', ...week }
+            : { type: 'daily', date: day, from: day, to: day };
+        segment.days = dayCount(segment.from, segment.to);
+        segments.push(segment);
+        day = addDays(segment.to, 1);
+    }
+    return segments;
+}
+
+/**
+ * planRange: covers from..to (inclusive YYYY-MM-DD) with the coarsest whole periods —
+ * calendar months, then ISO weeks around them, then single days. Returns [{ type, date, from, to, days }].
+ */
+function planRange(from, to, types = ['monthly', 'weekly']) {
+    if (from > to) return [];
+    const useWeeks = types.includes('weekly');
+    if (!types.includes('monthly')) return planWeeks(from, to, useWeeks);
+
+    const months = [];
+    let start = monthStart(from) === from ? from : addDays(monthEnd(from), 1);
+    while (monthEnd(start) <= to) {
+        months.push({ type: 'monthly', ...periodOf('monthly', start), days: dayCount(start, monthEnd(start)) });
+        start = addDays(monthEnd(start), 1);
+    }
+    if (months.length === 0) return planWeeks(from, to, useWeeks);
+    return [
+        ...planWeeks(from, addDays(months[0].from, -1), useWeeks),
+        ...months,
+        ...planWeeks(addDays(months[months.length - 1].to, 1), to, useWeeks),
+    ];
+}
+
+/**
+ * coverLevel: one level of loadRange. `found` are the stored docs of `type` for the pending segments;
+ * a segment of that type with a complete doc is kept, a monthly one without falls back to weeks, a weekly
+ * one to days, and a day without a doc is missing. Returns { docs, missing, pending: segments left for finer levels }.
+ */
+function coverLevel(pending, type, found) {
+    const byDate = new Map(found.map(d => [d.date, d]));
+    const docs = [];
+    const missing = [];
+    const next = [];
+    for (const segment of pending) {
+        if (segment.type !== type) {
+            next.push(segment);
+            continue;
+        }
+        const doc = byDate.get(segment.date);
+        const complete = doc && (type === 'daily' || (doc.days || 0) >= segment.days);
+        if (complete) docs.push({ ...segment, keywords: doc.keywords || [] });
+        else if (type === 'monthly') next.push(...planRange(segment.from, segment.to, ['weekly']));
+        else if (type === 'weekly') next.push(...planRange(segment.from, segment.to, []));
+        else missing.push(segment.date);
+    }
+    return { docs, missing, pending: next };
+}
+
+/**
+ * loadRange: the docs covering from..to for one category, coarsest available first.
+ * Monthly docs that are missing or not yet summed from every day of their month fall back to weeks,
+ * weekly ones likewise to days, so a partial period is never read as a whole one. Place-filtered (geo) and
+ * per-language (lang) queries always read daily docs, since rollups are only kept for the English feed globally.
+ * Returns { docs: [{ type, date, from, to, days, keywords }], missing: [days with no doc at all] }
+ */
+async function loadRange({ category, from, to, geo = null, lang = null }) {
+    const docs = [];
+    const missing = [];
+    let pending = planRange(from, to, geo || lang ? [] : ['monthly', 'weekly']);
+
+    for (const type of ['monthly', 'weekly', 'daily']) {
+        const wanted = pending.filter(s => s.type === type);
+        if (wanted.length === 0) continue;
+        const found = await Trend.find({ type, category, geo, lang, date: { $in: wanted.map(s => s.date) } }, { date: 1, days: 1, keywords: 1 }).lean().exec();
+        const level = coverLevel(pending, type, found);
+        docs.push(...level.docs);
+        missing.push(...level.missing);
+        pending = level.pending;
+    }
+    docs.sort((a, b) => (a.from < b.from ? -1 : 1));
+    return { docs, missing };
+}
+
+// per-day pseudo docs from loadRange docs: a period's counts are spread evenly over its days;
+// period (its first day) and days tell the days of one period apart
+function spreadToDays(docs) {
+    const out = [];
+    for (const doc of docs) {
+        for (let i = 0; i < doc.days; i++) {
+            out.push({
+                date: addDays(doc.from, i),
+                period: doc.from,
+                days: doc.days,
+                keywords: doc.days === 1 ? doc.keywords : doc.keywords.map(k => ({ ...k, count: (k.count || 0) / doc.days })),
+            });
+        }
+    }
+    return out;
+}
+
+module.exports = { ROLLUP_CATEGORIES, periodOf, weekStart, monthStart, mergeKeywordLists, rollupHour, rollupDaily, planRange, coverLevel, loadRange, spreadToDays };
@@ -0,0 +1,74 @@
+// src/services/replay.js
+// Replays archived 15-minute GKG files through the regular realtime pipeline
+// (parseCsvStreamToCollector -> saveTrends), optionally paced to mimic the live feed.
+const { ingestEntry } = require('./gdeltFetcher');
+const { getSource } = require('./sources');
+const ledger = require('./ledger');
+const winston = require('winston');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+// the replay in progress (or the last one), for the admin status route
+let current = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * replay: ingests every file the source lists with from <= timestamp < to, oldest first.
+ * speed 0 ingests back to back; speed N waits (gap between file timestamps) / N between files,
+ * so speed 1 is real time and speed 96 plays a day in 15 minutes.
+ * force forgets the files' ledger entries first, so already ingested files are processed again.
+ */
+async function replay({ from, to, speed = 0, force = false, sourceType } = {}) {
+    if (current && current.running) throw new Error('A replay is already running');
+    // claimed before the first await: listing the files can take minutes over HTTP
+    current = { running: true, listing: true, source: sourceType || null, from, to, speed, total: null, done: 0, skipped: 0, failed: [], startedAt: new Date() };
+    let source;
+    let entries;
+    try {
+        source = getSource(sourceType);
+        current.source = source.name;
+        entries = await source.entriesBetween(from, to);
+    } catch (err) {
+        Object.assign(current, { running: false, listing: false, error: `listing failed: ${err.message}`, finishedAt: new Date() });
+        throw err;
+    }
+    Object.assign(current, { listing: false, total: entries.length });
+    logger.info(`Replay: ${entries.length} files from the ${source.name} source, ${from.toISOString()}..${to.toISOString()} at speed ${speed || 'max'}`);
+
+    try {
+        if (force && entries.length > 0) {
+            await ledger.resetFiles({ job: 'realtime', files: entries.map(e => e.file) });
+        }
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            const started = Date.now();
+            try {
+                const result = await ingestEntry(entry, { source });
+                if (result && result.skipped) current.skipped += 1;
+                else current.done += 1;
+            } catch (err) {
+                logger.warn(`Replay: ${entry.file} failed: ${err.message}`);
+                current.failed.push(entry.file);
+            }
+            current.position = entry.timestamp;
+
+            const next = entries[i + 1];
+            if (speed > 0 && next) {
+                const wait = (next.timestamp - entry.timestamp) / speed - (Date.now() - started);
+                if (wait > 0) await sleep(wait);
+            }
+        }
+    } finally {
+        current.running = false;
+        current.finishedAt = new Date();
+    }
+    logger.info(`Replay finished: ${current.done} ingested, ${current.skipped} skipped, ${current.failed.length} failed`);
+    return { ...current };
+}
+
+function replayStatus() {
+    return current ? { ...current } : null;
+}
+
+module.exports = { replay, replayStatus };
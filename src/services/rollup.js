@@ -0,0 +1,110 @@
+// src/services/rollup.js
+// Daily rollups from the day's 15-minute files. Every file is streamed into one shared collector,
+// so memory stays flat however many files the day has; approximate mode additionally bounds the
+// vocabulary (count-min sketch + heavy hitters) for full-day and multi-day rebuilds.
+const fs = require('fs');
+const unzipper = require('unzipper');
+const config = require('../config');
+const winston = require('winston');
+const { parseCsvStreamToCollector } = require('./gdeltFetcher');
+const { createCollector, collectorCounts } = require('./collector');
+const aggregator = require('./aggregator');
+const { getSource } = require('./sources');
+const ledger = require('./ledger');
+const { listDays } = require('./timeSeries');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// the rebuild in progress (or the last one); rebuilds run one at a time
+let current = null;
+
+function rollupKey(date) {
+    return {
+        file: `${date.replace(/-/g, '')}.rollup`,
+        job: 'rollup',
+        kind: 'rollup',
+        fileTimestamp: new Date(`${date}T00:00:00.000Z`),
+    };
+}
+
+/**
+ * collectDay: streams the source's 15-minute files of the UTC day `date` (YYYY-MM-DD) into one collector.
+ * A file that fails part-way keeps the rows read before the failure; it is reported in failedFiles.
+ * Returns { collector, files, failedFiles }.
+ */
+async function collectDay({ date, approximate = config.aggregation.approximateRollups, source = getSource() }) {
+    const from = new Date(`${date}T00:00:00.000Z`);
+    const entries = await source.entriesBetween(from, new Date(from.getTime() + DAY_MS));
+    const collector = createCollector({ approximate });
+    const failedFiles = [];
+    let files = 0;
+
+    for (const entry of entries) {
+        let downloaded = null;
+        try {
+            downloaded = await source.download(entry);
+            await parseCsvStreamToCollector(fs.createReadStream(downloaded.path).pipe(unzipper.ParseOne()), collector, { file: entry.file });
+            files += 1;
+        } catch (err) {
+            logger.warn(`Rollup ${date}: skipping ${entry.file} - ${err.message}`);
+            failedFiles.push(entry.file);
+        } finally {
+            if (downloaded && downloaded.temporary) await fs.promises.rm(downloaded.path, { force: true });
+        }
+    }
+    return { collector, files, failedFiles };
+}
+
+// rollupDay: daily trends for `date` from the source's 15-minute files of that UTC day (see collectDay)
+async function rollupDay({ date, approximate = config.aggregation.approximateRollups, source = getSource() }) {
+    const { collector, files, failedFiles } = await collectDay({ date, approximate, source });
+    if (files === 0) {
+        throw new Error(`No files could be fetched for the ${date} rollup (${failedFiles.length} failed)`);
+    }
+
+    await aggregator.aggregateDaily({ collector, date, category: 'all' });
+    return {
+        rows: collector.rowCount,
+        counts: { files, failed: failedFiles.length, failedFiles, approximate, ...collectorCounts(collector) },
+    };
+}
+
+// rollupDay under the ingestion ledger; force forgets an earlier run of the same day first
+async function runRollup(date, { approximate, force = false, source } = {}) {
+    const key = rollupKey(date);
+    if (force) await ledger.resetFiles({ job: 'rollup', files: [key.file] });
+    return ledger.runOnce(key, () => rollupDay({ date, approximate, source }));
+}
+
+// rebuilds the daily trends of every day from..to (inclusive), or of the given dates, one day at a time.
+// Throws when another rebuild is still running.
+async function rebuildDays({ from, to, dates, approximate = config.aggregation.approximateRollups, source }) {
+    if (current && current.running) throw new Error('A rebuild is already running');
+    const days = dates || listDays(from, to);
+    current = { running: true, from: days[0], to: days[days.length - 1], total: days.length, done: 0, startedAt: new Date() };
+    const results = [];
+    try {
+        for (const date of days) {
+            try {
+                const result = await runRollup(date, { approximate, force: true, source });
+                results.push({ date, ok: true, ...result });
+            } catch (err) {
+                logger.error(`Rebuild of ${date} failed: ${err.message}`);
+                results.push({ date, ok: false, error: err.message });
+            }
+            current.done += 1;
+        }
+    } finally {
+        current.running = false;
+        current.finishedAt = new Date();
+    }
+    return results;
+}
+
+function rebuildStatus() {
+    return current ? { ...current } : null;
+}
+
+module.exports = { collectDay, rollupDay, runRollup, rebuildDays, rebuildStatus };
@@ -0,0 +1,214 @@
+// src/services/scorers.js
+// Registry of trend scoring strategies used by trendScorer.scoreTrends.
+//
+// Every scorer receives the same context and returns one raw score per current keyword:
+//   ctx = {
+//     current:     [{ word, count }]            today's keywords
+//     baselineMap: Map(word -> summed count)    over the baseline window
+//     baselines:   Map(word -> { daily, mean, std, daysPresent })
+//                  per-keyword history; daily is oldest first with 0 for days the keyword was absent.
+//                  On long windows read from weekly / monthly rollups, daily spreads each period's
+//                  count evenly over its days and std is estimated from the periods (see keywordBaseline)
+//     totals:      [total count per day]        all keywords, aligned with daily
+//     currentTotal: number                      all keywords today
+//     windowDays:  number
+//   }
+// Raw scores should be >= 0 (larger = more trending); trendScorer normalizes them to 0..100.
+// A scorer that reads the shape of `daily` itself (not just mean / std) registers with dailySeries: true,
+// so its baseline always comes from daily docs.
+
+const scorers = new Map();
+
+function registerScorer(name, { description = '', params = {}, dailySeries = false, score }) {
+    if (typeof score !== 'function') throw new Error(`Scorer ${name} needs a score function`);
+    scorers.set(name, { name, description, params, dailySeries, score });
+}
+
+function getScorer(name) {
+    return scorers.get(name) || null;
+}
+
+function listScorers() {
+    return Array.from(scorers.values()).map(({ name, description, params }) => ({ name, description, params }));
+}
+
+// defaults overridden by numeric values in `overrides` for the scorer's declared params only
+function resolveParams(scorer, overrides = {}) {
+    const params = { ...scorer.params };
+    for (const key of Object.keys(scorer.params)) {
+        if (overrides[key] === undefined || overrides[key] === null || overrides[key] === '') continue;
+        const v = Number(overrides[key]);
+        if (Number.isFinite(v)) params[key] = v;
+    }
+    return params;
+}
+
+function computeStats(arr) {
+    const n = arr.length || 1;
+    const mean = arr.reduce((a, b) => a + b, 0) / n;
+    const variance = arr.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / n;
+    const std = Math.sqrt(variance);
+    return { mean, std };
+}
+
+// per-keyword baseline over the window's daily counts
+/**
+ * keywordBaseline: mean / std of a keyword's daily counts. With `periods` ([{ days, count }] covering the
+ * window, as read from rollups) std comes from the per-period daily rates instead of the evenly spread
+ * days: a period of n days averages out its days' variance by n, so each period weighs in n·(rate - mean)².
+ */
+function keywordBaseline(daily, periods = null) {
+    const stats = computeStats(daily);
+    if (periods && periods.some(p => p.days > 1)) {
+        const variance = periods.reduce((acc, p) => acc + p.days * Math.pow(p.count / p.days - stats.mean, 2), 0) / periods.length;
+        stats.std = Math.sqrt(variance);
+    }
+    return { daily, mean: stats.mean, std: stats.std, daysPresent: daily.filter(c => c > 0).length };
+}
+
+function baselineOf(ctx, word) {
+    return ctx.baselines.get(word) || keywordBaseline(new Array(ctx.totals.length).fill(0));
+}
+
+// Lanczos approximation of ln(Gamma(x))
+const LANCZOS = [676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+function logGamma(x) {
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let a = 0.99999999999980993;
+    const t = x + 7.5;
+    for (let i = 0; i < LANCZOS.length; i++) a += LANCZOS[i] / (x + i + 1);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// ln P(X >= k) for X ~ Poisson(lambda), only meaningful for k > lambda (terms decrease from k on)
+function poissonLogUpperTail(k, lambda) {
+    const logPmf = (i) => i * Math.log(lambda) - lambda - logGamma(i + 1);
+    const first = logPmf(k);
+    let rel = 1;
+    for (let i = k + 1; i < k + 10000; i++) {
+        const term = Math.exp(logPmf(i) - first);
+        rel += term;
+        if (term < 1e-12 * rel) break;
+    }
+    return first + Math.log(rel);
+}
+
+// The default blend: log volume, log growth over the window average, and the log of today's
+// z-score against the keyword's own daily mean/std (so niche topics spike against their own level).
+registerScorer('blend', {
+    description: 'wVolume·log volume + wGrowth·log growth + wZ·log z (against the keyword\'s own history)',
+    params: { wVolume: 0.6, wGrowth: 0.3, wZ: 0.1, minStd: 1 },
+    score(ctx, p) {
+        return ctx.current.map(({ word, count }) => {
+            const base = ctx.baselineMap.get(word) || 0;
+            const { mean, std } = baselineOf(ctx, word);
+            const volume = Math.log1p(count);
+            const growth = (count + 1) / (base / Math.max(ctx.windowDays, 1) + 1);
+            const z = (count - mean) / Math.max(std, p.minStd);
+            return p.wVolume * volume + p.wGrowth * Math.log1p(growth) + p.wZ * Math.log1p(Math.max(0, z));
+        });
+    },
+});
+
+// Today's count against the keyword's own daily mean/std over the window.
+registerScorer('zscore', {
+    description: 'z-score of today against the keyword\'s own daily history',
+    params: { minStd: 1 },
+    score(ctx, p) {
+        return ctx.current.map(({ word, count }) => {
+            const { mean, std } = baselineOf(ctx, word);
+            return Math.max(0, (count - mean) / Math.max(std, p.minStd));
+        });
+    },
+});
+
+// Deviation from an exponentially weighted moving average (and variance) of the daily history.
+registerScorer('ewma', {
+    description: 'deviation of today from the keyword\'s EWMA, in EWM standard deviations',
+    params: { alpha: 0.3, minStd: 1 },
+    dailySeries: true,
+    score(ctx, p) {
+        const alpha = Math.min(Math.max(p.alpha, 0.01), 1);
+        return ctx.current.map(({ word, count }) => {
+            const series = baselineOf(ctx, word).daily;
+            let mu = series.length ? series[0] : 0;
+            let variance = 0;
+            for (const x of series.slice(1)) {
+                const diff = x - mu;
+                mu += alpha * diff;
+                variance = (1 - alpha) * (variance + alpha * diff * diff);
+            }
+            return Math.max(0, (count - mu) / Math.max(Math.sqrt(variance), p.minStd));
+        });
+    },
+});
+
+// Surprise of today's count under a Poisson model with the keyword's historical daily rate,
+// as -log10 P(X >= count).
+registerScorer('poisson', {
+    description: '-log10 of the Poisson probability of seeing at least today\'s count',
+    params: { minRate: 0.5 },
+    score(ctx, p) {
+        return ctx.current.map(({ word, count }) => {
+            const { mean } = baselineOf(ctx, word);
+            const lambda = Math.max(mean, p.minRate);
+            if (count <= lambda) return 0;
+            return Math.max(0, -poissonLogUpperTail(count, lambda) / Math.LN10);
+        });
+    },
+});
+
+// Kleinberg's two-state burst automaton over daily batches (history + today). Each day has
+// r = keyword count out of d = all keyword counts; the burst state emits at rate s times the
+// base rate, and entering it costs gamma·ln(days). The score is the weight of the burst
+// that is still open today (0 when today is in the base state).
+registerScorer('kleinberg', {
+    description: 'weight of the Kleinberg burst (2-state automaton) still active today',
+    params: { s: 2, gamma: 1 },
+    score(ctx, p) {
+        const totals = [...ctx.totals, ctx.currentTotal];
+        const n = totals.length;
+        const sumD = totals.reduce((a, b) => a + b, 0);
+        const enterCost = p.gamma * Math.log(Math.max(n, 2));
+
+        return ctx.current.map(({ word, count }) => {
+            const r = [...baselineOf(ctx, word).daily, count];
+            const sumR = r.reduce((a, b) => a + b, 0);
+            if (sumD <= 0 || sumR <= 0) return 0;
+            const p0 = sumR / sumD;
+            const p1 = Math.min(p0 * p.s, 0.9999);
+            if (p1 <= p0) return 0;
+            const cost = (pi, t) => {
+                const d = Math.max(totals[t], r[t]);
+                return -(r[t] * Math.log(pi) + (d - r[t]) * Math.log(1 - pi));
+            };
+
+            // Viterbi over two states; back[t][state] = previous state
+            let c0 = cost(p0, 0);
+            let c1 = enterCost + cost(p1, 0);
+            const back = [[0, 0]];
+            for (let t = 1; t < n; t++) {
+                const from0to1 = c0 + enterCost;
+                const n0 = Math.min(c0, c1) + cost(p0, t);
+                const n1 = Math.min(from0to1, c1) + cost(p1, t);
+                back.push([c0 <= c1 ? 0 : 1, from0to1 < c1 ? 0 : 1]);
+                c0 = n0;
+                c1 = n1;
+            }
+            let state = c1 < c0 ? 1 : 0;
+            if (state === 0) return 0;
+
+            // walk the still-open burst backwards, summing how much better the burst state fits
+            let weight = 0;
+            for (let t = n - 1; t >= 0 && state === 1; t--) {
+                weight += cost(p0, t) - cost(p1, t);
+                state = back[t][state];
+            }
+            return Math.max(0, weight);
+        });
+    },
+});
+
+module.exports = { registerScorer, getScorer, listScorers, resolveParams, computeStats, keywordBaseline };
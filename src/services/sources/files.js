@@ -0,0 +1,49 @@
+// src/services/sources/files.js
+// temp-file and checksum helpers shared by the source adapters
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { pipeline } = require('stream/promises');
+
+function assertMd5(name, checksum, expectedMd5) {
+    if (expectedMd5 && checksum !== String(expectedMd5).toLowerCase()) {
+        throw new Error(`MD5 mismatch for ${name}: expected ${expectedMd5}, got ${checksum}`);
+    }
+}
+
+/**
+ * saveStreamVerified: writes a download stream to a temp file, hashing it on the way, and checks
+ * the MD5 before anyone parses it. Resolves to { path, checksum, bytes, temporary: true }.
+ */
+async function saveStreamVerified(stream, name, expectedMd5) {
+    const path = join(os.tmpdir(), `gdelt-${process.pid}-${Date.now()}-${name}`);
+    const hash = crypto.createHash('md5');
+    let bytes = 0;
+    stream.on('data', chunk => {
+        hash.update(chunk);
+        bytes += chunk.length;
+    });
+    try {
+        await pipeline(stream, fs.createWriteStream(path));
+        const checksum = hash.digest('hex');
+        assertMd5(name, checksum, expectedMd5);
+        return { path, checksum, bytes, temporary: true };
+    } catch (err) {
+        await fs.promises.rm(path, { force: true });
+        throw err;
+    }
+}
+
+// md5 + size of a file already on disk
+async function checksumFile(path) {
+    const hash = crypto.createHash('md5');
+    let bytes = 0;
+    for await (const chunk of fs.createReadStream(path)) {
+        hash.update(chunk);
+        bytes += chunk.length;
+    }
+    return { checksum: hash.digest('hex'), bytes };
+}
+
+module.exports = { assertMd5, saveStreamVerified, checksumFile };
@@ -0,0 +1,34 @@
+// src/services/sources/httpSource.js
+// GDELT over HTTP: files discovered from the published manifests, downloaded with axios
+const axios = require('axios');
+const config = require('../../config');
+const manifest = require('../manifest');
+const { saveStreamVerified } = require('./files');
+
+function getDailyFilename(date) {
+    return `${date.toISOString().slice(0, 10).replace(/-/g, '')}.gkg.csv.zip`;
+}
+
+function createHttpSource() {
+    return {
+        name: 'http',
+        latest: (filter) => manifest.fetchLastUpdate(filter),
+        entryForSlot: (date, filter) => manifest.findEntryForSlot(date, filter),
+        entriesBetween: (from, to, filter) => manifest.findEntriesBetween(from, to, filter),
+
+        // daily GKG files are only "published" once they appear in the daily md5sums list
+        async dailyEntry(date) {
+            const file = getDailyFilename(date);
+            const md5 = (await manifest.getDailyChecksums()).get(file);
+            if (!md5) return null;
+            return { file, url: `${config.gdeltDailyBaseUrl}/${file}`, md5, timestamp: date, kind: 'daily' };
+        },
+
+        async download(entry) {
+            const resp = await axios({ url: entry.url, method: 'GET', responseType: 'stream', timeout: 300000 });
+            return saveStreamVerified(resp.data, entry.file, entry.md5);
+        },
+    };
+}
+
+module.exports = { createHttpSource, getDailyFilename };
@@ -0,0 +1,39 @@
+// src/services/sources/index.js
+// Where GDELT files come from. Every source exposes the same interface:
+//   latest(filter)                  -> [entry]   the most recent 15-minute file(s)
+//   entryForSlot(date, filter)      -> entry|null
+//   entriesBetween(from, to, filter) -> [entry] oldest first, from <= timestamp < to
+//   dailyEntry(date)                -> entry|null  the GKG 1.0 daily file for that UTC day
+//   download(entry)                 -> { path, checksum, bytes, temporary }  MD5-verified local file;
+//                                      the caller removes it when temporary is true
+// entry = { file, url, md5, timestamp, ... }; filter = { stream: 'gkg'|'export'|'mentions', translation }
+const config = require('../../config');
+const { createHttpSource } = require('./httpSource');
+const { createLocalSource } = require('./localSource');
+const { createS3Source } = require('./s3Source');
+
+const sources = new Map();
+
+function createSource(type) {
+    switch (type) {
+        case 'http':
+            return createHttpSource();
+        case 'local':
+        case 'file':
+            if (!config.source.localDir) throw new Error('SOURCE_DIR must be set for the local source');
+            return createLocalSource({ dir: config.source.localDir, cacheMinutes: config.source.localCacheMinutes });
+        case 's3':
+            if (!config.source.s3.endpoint || !config.source.s3.bucket) throw new Error('S3_ENDPOINT and S3_BUCKET must be set for the s3 source');
+            return createS3Source({ ...config.source.s3, cacheMinutes: config.manifest.cacheMinutes });
+        default:
+            throw new Error(`Unknown source type: ${type}`);
+    }
+}
+
+// one instance per type, so listing caches are shared
+function getSource(type = config.source.type) {
+    if (!sources.has(type)) sources.set(type, createSource(type));
+    return sources.get(type);
+}
+
+module.exports = { getSource };
@@ -0,0 +1,119 @@
+// src/services/sources/localSource.js
+// GDELT archives on disk: a directory (or file:// URL) holding *.gkg.csv.zip files, searched recursively.
+// If the directory has a masterfilelist.txt / md5sums like GDELT's, their MD5s are verified too.
+const fs = require('fs');
+const { join } = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+const manifest = require('../manifest');
+const { assertMd5, checksumFile } = require('./files');
+
+const DAILY_RE = /^(\d{8})\.gkg\.csv\.zip$/i;
+
+function toDir(location) {
+    return String(location).startsWith('file://') ? fileURLToPath(location) : location;
+}
+
+async function walk(dir) {
+    const out = [];
+    for (const d of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const full = join(dir, d.name);
+        if (d.isDirectory()) out.push(...await walk(full));
+        else out.push(full);
+    }
+    return out;
+}
+
+async function readMd5s(dir) {
+    const sums = new Map();
+    const master = join(dir, 'masterfilelist.txt');
+    if (fs.existsSync(master)) {
+        for (const line of (await fs.promises.readFile(master, 'utf8')).split('\n')) {
+            const entry = manifest.parseManifestLine(line);
+            if (entry) sums.set(entry.file, entry.md5);
+        }
+    }
+    const daily = join(dir, 'md5sums');
+    if (fs.existsSync(daily)) {
+        for (const line of (await fs.promises.readFile(daily, 'utf8')).split('\n')) {
+            const [md5, file] = line.trim().split(/\s+/);
+            if (md5 && file) sums.set(file, md5.toLowerCase());
+        }
+    }
+    return sums;
+}
+
+function createLocalSource({ dir, cacheMinutes = 1 }) {
+    const root = toDir(dir);
+    let listing = null; // { at, pending: Promise<{ paths, md5s }> }
+
+    // the directory tree and its MD5 lists, cached for cacheMinutes
+    function listFiles() {
+        if (listing && Date.now() - listing.at < cacheMinutes * 60 * 1000) return listing.pending;
+        const pending = Promise.all([walk(root), readMd5s(root)]).then(([paths, md5s]) => ({ paths, md5s }));
+        listing = { at: Date.now(), pending };
+        pending.catch(() => {
+            if (listing && listing.pending === pending) listing = null;
+        });
+        return pending;
+    }
+
+    // { fifteen: [entry] oldest first, daily: Map(YYYYMMDD -> entry) }
+    async function scan(filter = {}) {
+        const stream = filter.stream || 'gkg';
+        const translation = Boolean(filter.translation);
+        const { paths, md5s } = await listFiles();
+        const fifteen = [];
+        const daily = new Map();
+        for (const path of paths) {
+            const file = path.split(/[\\/]/).pop();
+            const info = manifest.parseFileName(file);
+            if (info && info.stream === stream && info.translation === translation) {
+                fifteen.push({ file, url: pathToFileURL(path).href, path, md5: md5s.get(file), ...info });
+                continue;
+            }
+            const m = file.match(DAILY_RE);
+            if (m) {
+                const timestamp = new Date(`${m[1].slice(0, 4)}-${m[1].slice(4, 6)}-${m[1].slice(6, 8)}T00:00:00.000Z`);
+                daily.set(m[1], { file, url: pathToFileURL(path).href, path, md5: md5s.get(file), timestamp, kind: 'daily' });
+            }
+        }
+        fifteen.sort((a, b) => a.timestamp - b.timestamp);
+        return { fifteen, daily };
+    }
+
+    return {
+        name: 'local',
+        dir: root,
+
+        async latest(filter) {
+            const { fifteen } = await scan(filter);
+            return fifteen.length ? [fifteen[fifteen.length - 1]] : [];
+        },
+
+        async entryForSlot(date, filter) {
+            const slot = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), Math.floor(date.getUTCMinutes() / 15) * 15);
+            const { fifteen } = await scan(filter);
+            return fifteen.find(e => e.timestamp.getTime() === slot) || null;
+        },
+
+        async entriesBetween(from, to, filter) {
+            const { fifteen } = await scan(filter);
+            return fifteen.filter(e => e.timestamp >= from && e.timestamp < to);
+        },
+
+        async dailyEntry(date) {
+            const { daily } = await scan();
+            return daily.get(date.toISOString().slice(0, 10).replace(/-/g, '')) || null;
+        },
+
+        // files are read in place; nothing to clean up afterwards
+        async download(entry) {
+            const path = entry.path || fileURLToPath(entry.url);
+            const { checksum, bytes } = await checksumFile(path);
+            assertMd5(entry.file, checksum, entry.md5);
+            return { path, checksum, bytes, temporary: false };
+        },
+    };
+}
+
+module.exports = { createLocalSource };
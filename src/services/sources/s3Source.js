@@ -0,0 +1,152 @@
+// src/services/sources/s3Source.js
+// GDELT archives in an S3-compatible bucket (AWS, MinIO, R2, ...), addressed path-style and
+// signed with AWS Signature V4 when credentials are configured.
+const axios = require('axios');
+const crypto = require('crypto');
+const manifest = require('../manifest');
+const { saveStreamVerified } = require('./files');
+
+const DAILY_RE = /(?:^|\/)(\d{8})\.gkg\.csv\.zip$/i;
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as S3 expects it
+function encodeRfc3986(s) {
+    return encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * signV4: headers for an unsigned-payload GET request.
+ * Returns {} when no credentials are configured (public buckets).
+ */
+function signV4({ method = 'GET', url, region, accessKeyId, secretAccessKey, now = new Date() }) {
+    if (!accessKeyId || !secretAccessKey) return {};
+    const u = new URL(url);
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = 'UNSIGNED-PAYLOAD';
+
+    const canonicalPath = u.pathname.split('/').map(seg => encodeRfc3986(decodeURIComponent(seg))).join('/');
+    const canonicalQuery = Array.from(u.searchParams.entries())
+        .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+        .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)))
+        .map(([k, v]) => `${k}=${v}`)
+        .join('&');
+    const canonicalHeaders = `host:${u.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`;
+    const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+    const canonicalRequest = [method, canonicalPath, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+        'x-amz-date': amzDate,
+        'x-amz-content-sha256': payloadHash,
+    };
+}
+
+function xmlValues(xml, tag) {
+    const re = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+    const out = [];
+    let m;
+    while ((m = re.exec(xml)) !== null) out.push(m[1]);
+    return out;
+}
+
+function createS3Source({ endpoint, bucket, prefix = '', region = 'us-east-1', accessKeyId, secretAccessKey, cacheMinutes = 15 }) {
+    const base = `${String(endpoint).replace(/\/+$/, '')}/${bucket}`;
+    let listing = null; // { at, objects: [{ key, etag, size }] }
+
+    async function get(url, responseType) {
+        const headers = signV4({ url, region, accessKeyId, secretAccessKey });
+        return axios({ url, method: 'GET', headers, responseType, timeout: 300000 });
+    }
+
+    // every object under prefix (ListObjectsV2, paged), cached for cacheMinutes
+    async function listObjects() {
+        if (listing && Date.now() - listing.at < cacheMinutes * 60 * 1000) return listing.objects;
+        const objects = [];
+        let token = null;
+        do {
+            const params = new URLSearchParams({ 'list-type': '2', prefix });
+            if (token) params.set('continuation-token', token);
+            const resp = await get(`${base}?${params.toString()}`, 'text');
+            const xml = String(resp.data);
+            for (const block of xmlValues(xml, 'Contents')) {
+                const [key] = xmlValues(block, 'Key');
+                const [etag] = xmlValues(block, 'ETag');
+                const [size] = xmlValues(block, 'Size');
+                objects.push({ key, etag: (etag || '').replace(/&quot;|"/g, ''), size: Number(size) });
+            }
+            token = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken')[0] : null;
+        } while (token);
+        listing = { at: Date.now(), objects };
+        return objects;
+    }
+
+    function objectUrl(key) {
+        return `${base}/${key.split('/').map(encodeRfc3986).join('/')}`;
+    }
+
+    // single-part uploads have the MD5 as ETag; multipart ETags ("...-N") are not checksums
+    function md5Of(obj) {
+        return /^[0-9a-f]{32}$/i.test(obj.etag) ? obj.etag.toLowerCase() : undefined;
+    }
+
+    async function fifteenEntries(filter = {}) {
+        const stream = filter.stream || 'gkg';
+        const translation = Boolean(filter.translation);
+        const out = [];
+        for (const obj of await listObjects()) {
+            const file = obj.key.split('/').pop();
+            const info = manifest.parseFileName(file);
+            if (!info || info.stream !== stream || info.translation !== translation) continue;
+            out.push({ file, key: obj.key, url: objectUrl(obj.key), md5: md5Of(obj), size: obj.size, ...info });
+        }
+        return out.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    return {
+        name: 's3',
+
+        async latest(filter) {
+            const entries = await fifteenEntries(filter);
+            return entries.length ? [entries[entries.length - 1]] : [];
+        },
+
+        async entryForSlot(date, filter) {
+            const slot = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), Math.floor(date.getUTCMinutes() / 15) * 15);
+            return (await fifteenEntries(filter)).find(e => e.timestamp.getTime() === slot) || null;
+        },
+
+        async entriesBetween(from, to, filter) {
+            return (await fifteenEntries(filter)).filter(e => e.timestamp >= from && e.timestamp < to);
+        },
+
+        async dailyEntry(date) {
+            const ymd = date.toISOString().slice(0, 10).replace(/-/g, '');
+            const obj = (await listObjects()).find(o => {
+                const m = o.key.match(DAILY_RE);
+                return m && m[1] === ymd;
+            });
+            if (!obj) return null;
+            return { file: obj.key.split('/').pop(), key: obj.key, url: objectUrl(obj.key), md5: md5Of(obj), timestamp: date, kind: 'daily' };
+        },
+
+        async download(entry) {
+            const resp = await get(entry.url, 'stream');
+            return saveStreamVerified(resp.data, entry.file, entry.md5);
+        },
+    };
+}
+
+module.exports = { createS3Source, signV4 };
@@ -0,0 +1,163 @@
+// src/services/timeSeries.js
+const Trend = require('../models/trendModel');
+const winston = require('winston');
+const { weekStart, monthStart } = require('./periods');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const FIFTEEN_MIN_MS = 15 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const GRANULARITIES = ['auto', '15min', 'hour', 'day', 'week', 'month'];
+
+// inclusive list of YYYY-MM-DD between from and to
+function listDays(from, to) {
+    const days = [];
+    const end = new Date(`${to}T00:00:00.000Z`);
+    for (let d = new Date(`${from}T00:00:00.000Z`); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+        days.push(d.toISOString().slice(0, 10));
+    }
+    return days;
+}
+
+// inclusive list of 15-minute bucket starts (ISO strings) covering the whole from..to days
+function listQuarterHours(from, to) {
+    const slots = [];
+    const start = new Date(`${from}T00:00:00.000Z`).getTime();
+    const end = new Date(`${to}T00:00:00.000Z`).getTime() + 24 * 3600 * 1000;
+    for (let t = start; t < end; t += FIFTEEN_MIN_MS) {
+        slots.push(new Date(t).toISOString());
+    }
+    return slots;
+}
+
+// inclusive list of hour starts (ISO strings) covering the whole from..to days
+function listHours(from, to) {
+    const slots = [];
+    const start = new Date(`${from}T00:00:00.000Z`).getTime();
+    const end = new Date(`${to}T00:00:00.000Z`).getTime() + 24 * 3600 * 1000;
+    for (let t = start; t < end; t += HOUR_MS) {
+        slots.push(new Date(t).toISOString());
+    }
+    return slots;
+}
+
+function bucketOf(timestamp, size = FIFTEEN_MIN_MS) {
+    const t = new Date(timestamp).getTime();
+    return new Date(Math.floor(t / size) * size).toISOString();
+}
+
+// 'auto' picks the coarsest granularity that still gives a useful number of points for the range
+function resolveGranularity(granularity, from, to) {
+    if (granularity && granularity !== 'auto') return granularity;
+    const days = listDays(from, to).length;
+    if (days <= 2) return 'hour';
+    if (days <= 92) return 'day';
+    if (days <= 731) return 'week';
+    return 'month';
+}
+
+// word -> Map(bucket -> value), summed when several docs land in the same bucket
+function collect(docs, words, bucketFn, field) {
+    const out = new Map(words.map(w => [w, new Map()]));
+    for (const doc of docs) {
+        const bucket = bucketFn(doc);
+        for (const k of (doc.keywords || [])) {
+            if (!k || !out.has(k.word) || k[field] === undefined || k[field] === null) continue;
+            const m = out.get(k.word);
+            m.set(bucket, (m.get(bucket) || 0) + k[field]);
+        }
+    }
+    return out;
+}
+
+// word -> Map(bucket -> count) from rollup docs, plus finer docs for every (word, bucket) the rollups do not
+// list: the bucket has no rollup yet, or the word fell outside the rollup's top config.rollups.maxKeywords
+function collectWithFallback(rollupDocs, finerDocs, words, bucketFn) {
+    const counts = collect(rollupDocs, words, bucketFn, 'count');
+    const extra = collect(finerDocs, words, bucketFn, 'count');
+    for (const [word, m] of extra) {
+        const fromRollups = counts.get(word);
+        for (const [bucket, v] of m) {
+            if (!fromRollups.has(bucket)) fromRollups.set(bucket, v);
+        }
+    }
+    return counts;
+}
+
+function toPoints(words, buckets, counts) {
+    return words.map(word => ({
+        word,
+        points: buckets.map(t => ({ t, count: counts.get(word).get(t) || 0 })),
+    }));
+}
+
+/**
+ * getKeywordSeries: counts (and scores, where ranked docs exist) for keywords over a date range.
+ * granularity 'day' reads daily + ranked docs (of the given scorer); '15min' reads realtime docs by timestamp;
+ * 'hour', 'week' and 'month' read the hourly / weekly / monthly rollups, filling buckets that have no
+ * rollup yet from realtime / daily docs; 'auto' picks one from the range (see resolveGranularity).
+ * Buckets without data are filled with zeros (score stays null where nothing was ranked).
+ * Returns [{ word, points: [{ t, count, score? }] }]
+ */
+async function getKeywordSeries({ words, category = 'themes', from, to, granularity = 'auto', scorer = 'blend' }) {
+    granularity = resolveGranularity(granularity, from, to);
+    const rangeEnd = new Date(new Date(`${to}T00:00:00.000Z`).getTime() + 24 * 3600 * 1000);
+
+    if (granularity === 'hour') {
+        const range = { $gte: new Date(`${from}T00:00:00.000Z`), $lt: rangeEnd };
+        const [hourlyDocs, realtimeDocs] = await Promise.all([
+            Trend.find({ type: 'hourly', category, geo: null, lang: null, timestamp: range, 'keywords.word': { $in: words } }, { timestamp: 1, keywords: 1 }).lean().exec(),
+            Trend.find({ type: 'realtime', category, geo: null, lang: null, timestamp: range, 'keywords.word': { $in: words } }, { timestamp: 1, keywords: 1 }).lean().exec(),
+        ]);
+        const counts = collectWithFallback(hourlyDocs, realtimeDocs, words, d => bucketOf(d.timestamp, HOUR_MS));
+        logger.info(`Series (hour) for ${words.length} keywords from ${hourlyDocs.length} hourly / ${realtimeDocs.length} realtime docs`);
+        return toPoints(words, listHours(from, to), counts);
+    }
+
+    if (granularity === 'week' || granularity === 'month') {
+        const type = granularity === 'week' ? 'weekly' : 'monthly';
+        const startOf = granularity === 'week' ? weekStart : monthStart;
+        const [rollupDocs, dailyDocs] = await Promise.all([
+            Trend.find({ type, category, geo: null, lang: null, date: { $gte: startOf(from), $lte: to }, 'keywords.word': { $in: words } }, { date: 1, keywords: 1 }).lean().exec(),
+            Trend.find({ type: 'daily', category, geo: null, lang: null, date: { $gte: from, $lte: to }, 'keywords.word': { $in: words } }, { date: 1, keywords: 1 }).lean().exec(),
+        ]);
+        const counts = collectWithFallback(rollupDocs, dailyDocs, words, d => startOf(d.date));
+        const buckets = Array.from(new Set(listDays(from, to).map(startOf)));
+        logger.info(`Series (${granularity}) for ${words.length} keywords from ${rollupDocs.length} ${type} / ${dailyDocs.length} daily docs`);
+        return toPoints(words, buckets, counts);
+    }
+
+    if (granularity === '15min') {
+        const docs = await Trend.find({
+            type: 'realtime',
+            category,
+            geo: null,
+            lang: null,
+            timestamp: { $gte: new Date(`${from}T00:00:00.000Z`), $lt: rangeEnd },
+            'keywords.word': { $in: words },
+        }, { timestamp: 1, keywords: 1 }).lean().exec();
+
+        const counts = collect(docs, words, d => bucketOf(d.timestamp), 'count');
+        logger.info(`Series (15min) for ${words.length} keywords from ${docs.length} realtime docs`);
+        return toPoints(words, listQuarterHours(from, to), counts);
+    }
+
+    const days = listDays(from, to);
+    const [dailyDocs, rankedDocs] = await Promise.all([
+        Trend.find({ type: 'daily', category, geo: null, lang: null, date: { $gte: from, $lte: to }, 'keywords.word': { $in: words } }, { date: 1, keywords: 1 }).lean().exec(),
+        Trend.find({ type: 'ranked', category, geo: null, lang: null, scorer, date: { $gte: from, $lte: to }, 'keywords.word': { $in: words } }, { date: 1, keywords: 1 }).lean().exec(),
+    ]);
+
+    const counts = collect(dailyDocs, words, d => d.date, 'count');
+    const scores = collect(rankedDocs, words, d => d.date, 'score');
+    logger.info(`Series (day) for ${words.length} keywords from ${dailyDocs.length} daily / ${rankedDocs.length} ranked docs`);
+    return words.map(word => ({
+        word,
+        points: days.map(t => {
+            const score = scores.get(word).get(t);
+            return { t, count: counts.get(word).get(t) || 0, score: score === undefined ? null : score };
+        }),
+    }));
+}
+
+module.exports = { GRANULARITIES, getKeywordSeries, resolveGranularity, listDays };
@@ -1,7 +1,13 @@
 // src/services/trendScorer.js
 const Trend = require('../models/trendModel');
 const { filterNoiseKeywords, isNumericVector, isNoiseToken } = require('../utils/cleaner');
-const { fetchAndProcess } = require('./gdeltFetcher');
+const { fetchAndProcess, fetchTranslationDay } = require('./gdeltFetcher');
+const { getScorer, resolveParams, keywordBaseline } = require('./scorers');
+const { loadRange, spreadToDays } = require('./periods');
+const { fetchEventsDay } = require('./events');
+const { EVENT_CATEGORIES } = require('./eventCollector');
+const { rebuildAllLanguages } = require('./languages');
+const config = require('../config');
 const winston = require('winston');
 
 const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
@@ -13,14 +19,6 @@ function normalizeTo100(values) {
     return values.map(v => Math.round((v / max) * 100));
 }
 
-function computeStats(arr) {
-    const n = arr.length || 1;
-    const mean = arr.reduce((a, b) => a + b, 0) / n;
-    const variance = arr.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / n;
-    const std = Math.sqrt(variance);
-    return { mean, std };
-}
-
 function mergeCounts(docs) {
     const map = new Map();
     for (const doc of docs) {
@@ -51,43 +49,141 @@ function generateWindowDates(dateStr, windowDays) {
     return dates; // excludes current dateStr
 }
 
-async function ensureDailyCoverage(dateStr, windowDays) {
-    const allNeeded = new Set([dateStr, ...generateWindowDates(dateStr, windowDays)]);
-    const existing = await Trend.find({ type: 'daily', date: { $in: Array.from(allNeeded) } }, { date: 1 }).lean();
+async function ensureDailyCoverage(dateStr, windowDays, category = 'themes', lang = null) {
+    return ensureDays([dateStr, ...generateWindowDates(dateStr, windowDays)], category, lang);
+}
+
+async function missingDays(days, filter) {
+    const existing = await Trend.find({ type: 'daily', date: { $in: days }, geo: null, ...filter }, { date: 1 }).lean().exec();
     const have = new Set(existing.map(d => d.date));
-    const missing = Array.from(allNeeded).filter(d => !have.has(d));
-    if (missing.length === 0) return;
+    return days.filter(d => !have.has(d));
+}
 
+async function backfillDays(missing, label, backfill) {
+    if (missing.length === 0) return;
     const softAwaitLimit = 31;
     const toAwait = missing.slice(0, softAwaitLimit);
     const toBackground = missing.slice(softAwaitLimit);
 
     if (toAwait.length) {
-        logger.info(`Ensuring daily coverage (await) for ${toAwait.length} days`);
-        await Promise.allSettled(toAwait.map(ds => fetchAndProcess(toDate(ds), { jobType: 'daily', timestamp: toDate(ds) })));
+        logger.info(`Ensuring daily ${label} coverage (await) for ${toAwait.length} days`);
+        await Promise.allSettled(toAwait.map(backfill));
     }
     if (toBackground.length) {
-        logger.info(`Ensuring daily coverage (background) for ${toBackground.length} days`);
+        logger.info(`Ensuring daily ${label} coverage (background) for ${toBackground.length} days`);
         // Fire-and-forget; don't await large ranges
-        toBackground.forEach(ds => fetchAndProcess(toDate(ds), { jobType: 'daily', timestamp: toDate(ds) }).catch(() => { }));
+        toBackground.forEach(ds => Promise.resolve(backfill(ds)).catch(() => { }));
 
     }
 }
 
-function scoreCore({ current, baselineMap, windowDays, topN }) {
-    const scores = [];
-    const baselineValues = Array.from(baselineMap.values());
-    const { mean, std } = computeStats(baselineValues.length ? baselineValues : [0]);
+/**
+ * ensureDays: builds the missing global daily docs of `category` for `lang` — Events slots for
+ * 'events' / 'dyads', the GKG day for the English feed, the day's translingual files for a language
+ * (a day counts as covered once any language has a doc), both for 'all', whose merge then runs for
+ * days still without one.
+ */
+async function ensureDays(days, category = 'themes', lang = null) {
+    const dates = Array.from(new Set(days));
+    if (lang !== null) {
+        const missing = await missingDays(dates, { category, lang: { $nin: [null, 'all'] } });
+        await backfillDays(missing, `${category} translingual`, ds => fetchTranslationDay(toDate(ds)));
+    }
+    if (lang === null || lang === 'all') {
+        const missing = await missingDays(dates, { category, lang: null });
+        const backfill = EVENT_CATEGORIES.includes(category)
+            ? ds => fetchEventsDay(toDate(ds))
+            : ds => fetchAndProcess(toDate(ds), { jobType: 'daily', timestamp: toDate(ds) });
+        await backfillDays(missing, category, backfill);
+    }
+    if (lang === 'all') {
+        for (const ds of await missingDays(dates, { category, lang: 'all' })) await rebuildAllLanguages(ds);
+    }
+}
+
+/**
+ * buildBaseline: baseline inputs for the scorers from the window's per-day docs.
+ * dates: the window's YYYY-MM-DD list (oldest first); keepFn filters keyword objects. Docs spread from a
+ * weekly / monthly rollup (see periods.spreadToDays) carry their period, whose total feeds the std.
+ * Returns { baselineMap: Map(word -> sum), baselines: Map(word -> { daily, mean, std, daysPresent }), totals: [sum per date] }
+ */
+function buildBaseline(docs, dates, keepFn) {
+    const index = new Map(dates.map((d, i) => [d, i]));
+    const kept = docs.map(d => ({ date: d.date, keywords: (d.keywords || []).filter(keepFn) }));
 
-    for (const { word, count } of current) {
-        const base = baselineMap.get(word) || 0;
-        const volume = Math.log1p(count);
-        const growth = (count + 1) / (base / Math.max(windowDays, 1) + 1);
-        const z = std > 0 ? (count - mean) / std : 0;
-        const rawScore = 0.6 * volume + 0.3 * Math.log1p(growth) + 0.1 * Math.max(0, z);
-        scores.push({ word, rawScore });
+    // every date belongs to one period: its rollup's, or a day of its own
+    const periodOf = new Map(docs.filter(d => d.days > 1).map(d => [d.date, d.period]));
+    const periodIndex = new Map();
+    const periodDays = [];
+    const dayPeriod = dates.map((date) => {
+        const key = periodOf.get(date) || date;
+        if (!periodIndex.has(key)) {
+            periodIndex.set(key, periodDays.length);
+            periodDays.push(0);
+        }
+        periodDays[periodIndex.get(key)] += 1;
+        return periodIndex.get(key);
+    });
+    const bucketed = periodDays.length < dates.length;
+
+    const history = new Map();
+    const totals = new Array(dates.length).fill(0);
+    for (const doc of kept) {
+        const i = index.get(doc.date);
+        if (i === undefined) continue;
+        for (const k of doc.keywords) {
+            if (!history.has(k.word)) history.set(k.word, new Array(dates.length).fill(0));
+            history.get(k.word)[i] += k.count || 0;
+            totals[i] += k.count || 0;
+        }
+    }
+    const baselines = new Map();
+    for (const [word, daily] of history) {
+        let periods = null;
+        if (bucketed) {
+            periods = periodDays.map(days => ({ days, count: 0 }));
+            daily.forEach((c, i) => { periods[dayPeriod[i]].count += c; });
+        }
+        baselines.set(word, keywordBaseline(daily, periods));
+    }
+    return { baselineMap: mergeCounts(kept), baselines, totals };
+}
+
+/**
+ * loadBaselineDocs: per-day docs for the window before `date`. Long global windows read the
+ * coarsest rollups covering them (see ./periods) and spread their counts evenly over their days,
+ * so a one-year window loads ~12 monthly docs; shorter, place-filtered or per-language windows, and
+ * scorers that need the daily series itself (dailySeries), read daily docs.
+ */
+async function loadBaselineDocs({ date, windowDays, category, geo, lang, dailySeries = false }) {
+    const windowDates = generateWindowDates(date, windowDays);
+    if (geo || lang || dailySeries || windowDays <= config.rollups.minCoarseWindowDays) {
+        await ensureDailyCoverage(date, windowDays, category, lang);
+        return Trend.find({ type: 'daily', date: { $gte: windowDates[0], $lt: date }, category, geo, lang }).lean().exec();
     }
 
+    const range = { category, from: windowDates[0], to: windowDates[windowDates.length - 1], geo };
+    let { docs, missing } = await loadRange(range);
+    await ensureDays([date, ...missing], category);
+    if (missing.length > 0) ({ docs } = await loadRange(range));
+
+    const byType = docs.reduce((acc, d) => ({ ...acc, [d.type]: (acc[d.type] || 0) + 1 }), {});
+    logger.info(`Baseline ${range.from}..${range.to} for ${category} from ${JSON.stringify(byType)}`);
+    return spreadToDays(docs);
+}
+
+function scoreCore({ current, baseline, windowDays, topN, scorer, params }) {
+    const ctx = {
+        current: current.map(k => ({ word: k.word, count: k.count || 0 })),
+        baselineMap: baseline.baselineMap,
+        baselines: baseline.baselines,
+        totals: baseline.totals,
+        currentTotal: current.reduce((a, k) => a + (k.count || 0), 0),
+        windowDays,
+    };
+    const rawScores = scorer.score(ctx, params);
+    const scores = ctx.current.map((k, i) => ({ word: k.word, rawScore: Number.isFinite(rawScores[i]) ? rawScores[i] : 0 }));
+
     const normalized = normalizeTo100(scores.map(s => s.rawScore));
     return scores
         .map((s, i) => ({ word: s.word, score: normalized[i] }))
@@ -95,34 +191,46 @@ function scoreCore({ current, baselineMap, windowDays, topN }) {
         .slice(0, topN);
 }
 
-async function scoreTrends({ date, category = 'themes', windowDays = 7, topN = 50 }) {
-    // Ensure we have daily docs for current date and baseline window
-    await ensureDailyCoverage(date, windowDays);
+const DEFAULT_WINDOW_DAYS = 7;
 
-    const targetDate = new Date(`${date}T00:00:00.000Z`);
-    const startDate = new Date(targetDate);
-    startDate.setUTCDate(startDate.getUTCDate() - windowDays);
+function isDefaultRun(strategy, { windowDays, topN, scorerParams }) {
+    return windowDays === DEFAULT_WINDOW_DAYS
+        && topN === (config.topN || 50)
+        && JSON.stringify(scorerParams) === JSON.stringify(resolveParams(strategy, {}));
+}
 
-    const [currentDoc, baselineDocs] = await Promise.all([
-        Trend.findOne({ type: 'daily', date, category }).lean().exec(),
-        Trend.find({ type: 'daily', date: { $gte: startDate.toISOString().slice(0, 10), $lt: date }, category }).lean().exec()
-    ]);
+// geo: FIPS country or ADM1 code to score only place-filtered aggregates; null scores globally
+// lang: ISO 639-1 code of the translingual feed, or 'all' for both feeds merged; null scores the English feed
+// scorer: name registered in ./scorers; params: overrides for that scorer's tunable params
+async function scoreTrends({ date, category = 'themes', windowDays = DEFAULT_WINDOW_DAYS, topN = config.topN || 50, geo = null, lang = null, scorer = 'blend', params = {} }) {
+    const strategy = getScorer(scorer);
+    if (!strategy) throw new Error(`Unknown scorer: ${scorer}`);
+    const scorerParams = resolveParams(strategy, params);
+
+    // Ensures daily docs for the current date and the baseline window (place-filtered docs are built alongside)
+    const baselineDocs = await loadBaselineDocs({ date, windowDays, category, geo, lang, dailySeries: strategy.dailySeries });
+    const currentDoc = await Trend.findOne({ type: 'daily', date, category, geo, lang }).lean().exec();
+    const scope = [geo, lang].filter(Boolean).join(', ');
 
     if (!currentDoc || !currentDoc.keywords || currentDoc.keywords.length === 0) {
-        logger.info(`No current daily doc for ${date} ${category}`);
+        logger.info(`No current daily doc for ${date} ${category}${scope ? ` (${scope})` : ''}`);
         return [];
     }
 
+    const windowDates = generateWindowDates(date, windowDays);
+    const strict = k => k && k.word && !isNoiseToken(k.word);
+    const loose = k => k && k.word && !isNumericVector(k.word);
+
     let usedCurrent = filterNoiseKeywords(currentDoc.keywords);
-    const baselineMap = mergeCounts(baselineDocs.map(d => ({ keywords: filterNoiseKeywords(d.keywords || []) })));
+    const baseline = buildBaseline(baselineDocs, windowDates, strict);
 
-    let ranked = scoreCore({ current: usedCurrent, baselineMap, windowDays, topN });
+    let ranked = scoreCore({ current: usedCurrent, baseline, windowDays, topN, scorer: strategy, params: scorerParams });
 
     // If too aggressive filtering yielded nothing, retry with a looser filter (drop only numeric vectors)
     if (ranked.length === 0) {
-        usedCurrent = (currentDoc.keywords || []).filter(k => k && k.word && !isNumericVector(k.word));
-        const baselineLoose = mergeCounts(baselineDocs.map(d => ({ keywords: (d.keywords || []).filter(k => k && k.word && !isNumericVector(k.word)) })));
-        ranked = scoreCore({ current: usedCurrent, baselineMap: baselineLoose, windowDays, topN });
+        usedCurrent = (currentDoc.keywords || []).filter(loose);
+        const baselineLoose = buildBaseline(baselineDocs, windowDates, loose);
+        ranked = scoreCore({ current: usedCurrent, baseline: baselineLoose, windowDays, topN, scorer: strategy, params: scorerParams });
         logger.info(`Loose scoring used for ${date} ${category} (results: ${ranked.length})`);
     }
 
@@ -138,27 +246,136 @@ async function scoreTrends({ date, category = 'themes', windowDays = 7, topN = 5
         ranked = fallback;
     }
 
-    // Build a count map from the current set used in scoring and enrich the returned objects
+    // Build count, tone and document sample maps from the current set used in scoring and enrich the returned objects
     const currentCountMap = new Map();
+    const currentToneMap = new Map();
+    const currentDocsMap = new Map();
     for (const k of usedCurrent) {
         if (!k || !k.word) continue;
         currentCountMap.set(k.word, (currentCountMap.get(k.word) || 0) + (k.count || 0));
+        if (k.tone && !currentToneMap.has(k.word)) currentToneMap.set(k.word, k.tone);
+        if (k.documents && k.documents.length > 0 && !currentDocsMap.has(k.word)) currentDocsMap.set(k.word, k.documents);
     }
 
-    const rankedWithCounts = ranked.map(r => ({ ...r, count: currentCountMap.get(r.word) || 0 }));
+    const rankedWithCounts = ranked.map(r => {
+        const tone = currentToneMap.get(r.word);
+        const documents = currentDocsMap.get(r.word);
+        return { ...r, count: currentCountMap.get(r.word) || 0, ...(tone ? { tone } : {}), ...(documents ? { documents } : {}) };
+    });
 
     const resultDoc = {
         timestamp: new Date(),
         type: 'ranked',
         date,
         category,
-        keywords: rankedWithCounts.map(k => ({ word: k.word, count: k.count, score: k.score }))
+        geo,
+        lang,
+        scorer,
+        scorerParams,
+        keywords: rankedWithCounts.map(k => ({ word: k.word, count: k.count, score: k.score, tone: k.tone, documents: k.documents }))
     };
 
-    await Trend.findOneAndUpdate({ type: 'ranked', date, category }, resultDoc, { upsert: true, new: true, setDefaultsOnInsert: true }).exec();
-    logger.info(`Ranked trends saved for ${date} ${category} (top ${ranked.length})`);
+    // only default runs are stored: watchlist score rules and /series read the ranked doc, so it must not
+    // depend on the window, topN or params of whichever /top request came last
+    if (isDefaultRun(strategy, { windowDays, topN, scorerParams })) {
+        await Trend.findOneAndUpdate({ type: 'ranked', date, category, geo, lang, scorer }, resultDoc, { upsert: true, new: true, setDefaultsOnInsert: true }).exec();
+        logger.info(`Ranked trends saved for ${date} ${category}${scope ? ` (${scope})` : ''} with ${scorer} (top ${ranked.length})`);
+    }
     return rankedWithCounts;
 
 }
 
-module.exports = { scoreTrends }; 
\ No newline at end of file
+/**
+ * getKeywordStats: one keyword's baseline over the window before `date` (the same one the scorers use)
+ * plus its count on `date` and the resulting z-score. `total` is the day's count over all kept keywords;
+ * z divides by max(std, minStd) like the zscore scorer so it agrees with /top.
+ */
+async function getKeywordStats({ word, category = 'themes', date, windowDays = 7, geo = null }) {
+    const windowDates = generateWindowDates(date, windowDays);
+    const [currentDoc, baselineDocs] = await Promise.all([
+        Trend.findOne({ type: 'daily', date, category, geo, lang: null }, { keywords: { $elemMatch: { word } } }).lean().exec(),
+        Trend.find({ type: 'daily', date: { $gte: windowDates[0], $lt: date }, category, geo, lang: null }, { date: 1, keywords: 1 }).lean().exec(),
+    ]);
+
+    const { baselines, totals } = buildBaseline(baselineDocs, windowDates, k => k && k.word && (k.word === word || !isNoiseToken(k.word)));
+    const baseline = baselines.get(word) || keywordBaseline(new Array(windowDates.length).fill(0));
+    const hit = currentDoc && currentDoc.keywords && currentDoc.keywords[0];
+    const count = hit ? hit.count || 0 : 0;
+    const { minStd } = resolveParams(getScorer('zscore'), {});
+
+    return {
+        word,
+        category,
+        date,
+        window: windowDays,
+        count,
+        mean: baseline.mean,
+        std: baseline.std,
+        daysPresent: baseline.daysPresent,
+        z: (count - baseline.mean) / Math.max(baseline.std, minStd),
+        daily: windowDates.map((d, i) => ({ date: d, count: baseline.daily[i], total: totals[i] })),
+    };
+}
+
+function rankMap(counts) {
+    const ranks = new Map();
+    Array.from(counts.entries())
+        .sort((x, y) => y[1] - x[1])
+        .forEach(([word], i) => ranks.set(word, i + 1));
+    return ranks;
+}
+
+/**
+ * comparePeriods: keyword counts in period `a` against a reference period `b`.
+ * Periods are { from, to } (YYYY-MM-DD, inclusive) and may differ in length; counts are raw sums over the period.
+ * Change is a - b; rankChange is rankB - rankA (positive = moved up).
+ * Returns { new, dropped, rising, falling }, each capped at `limit`.
+ */
+async function comparePeriods({ category = 'themes', a, b, limit = 50, geo = null }) {
+    // each period is read at the coarsest granularity covering it; days with no doc at all are fetched first
+    const load = async (p) => {
+        const first = await loadRange({ category, from: p.from, to: p.to, geo });
+        if (first.missing.length === 0) return first.docs;
+        await ensureDays(first.missing, category);
+        return (await loadRange({ category, from: p.from, to: p.to, geo })).docs;
+    };
+    const [docsA, docsB] = await Promise.all([load(a), load(b)]);
+
+    const countsA = mergeCounts(docsA.map(d => ({ keywords: filterNoiseKeywords(d.keywords || []) })));
+    const countsB = mergeCounts(docsB.map(d => ({ keywords: filterNoiseKeywords(d.keywords || []) })));
+    const ranksA = rankMap(countsA);
+    const ranksB = rankMap(countsB);
+
+    const groups = { new: [], dropped: [], rising: [], falling: [] };
+    for (const word of new Set([...countsA.keys(), ...countsB.keys()])) {
+        const countA = countsA.get(word) || 0;
+        const countB = countsB.get(word) || 0;
+        const rankA = ranksA.get(word) || null;
+        const rankB = ranksB.get(word) || null;
+        const entry = {
+            word,
+            countA,
+            countB,
+            change: countA - countB,
+            relativeChange: countB > 0 ? Math.round(((countA - countB) / countB) * 1000) / 1000 : null,
+            rankA,
+            rankB,
+            rankChange: rankA && rankB ? rankB - rankA : null,
+        };
+        if (countA > 0 && countB === 0) groups.new.push(entry);
+        else if (countA === 0 && countB > 0) groups.dropped.push(entry);
+        else if (countA > countB) groups.rising.push(entry);
+        else if (countA < countB) groups.falling.push(entry);
+    }
+
+    groups.new.sort((x, y) => y.countA - x.countA);
+    groups.dropped.sort((x, y) => y.countB - x.countB);
+    groups.rising.sort((x, y) => y.change - x.change);
+    groups.falling.sort((x, y) => x.change - y.change);
+    for (const g of Object.keys(groups)) groups[g] = groups[g].slice(0, limit);
+
+    logger.info(`Compared ${category} ${a.from}..${a.to} (${docsA.length} docs) vs ${b.from}..${b.to} (${docsB.length} docs)`);
+    return groups;
+}
+
+module.exports = { scoreTrends, comparePeriods, getKeywordStats, mergeCounts }; 
\ No newline at end of file
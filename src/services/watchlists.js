@@ -0,0 +1,263 @@
+// src/services/watchlists.js
+// Watchlist rules, evaluated after every realtime / daily aggregation, and signed webhook delivery
+// of the resulting alerts. Deliveries are logged in AlertDelivery; pending entries are retried
+// with exponential backoff by retryDueDeliveries (run from the scheduler). A sender claims an entry
+// (status 'sending' with a lease in nextAttemptAt) before posting it, so no entry is sent twice at once.
+const axios = require('axios');
+const crypto = require('crypto');
+const Trend = require('../models/trendModel');
+const Watchlist = require('../models/watchlistModel');
+const AlertDelivery = require('../models/alertDeliveryModel');
+const config = require('../config');
+const winston = require('winston');
+
+const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+
+const CATEGORIES = ['themes', 'persons', 'orgs', 'locations'];
+
+function compileTerm(term) {
+    const pattern = String(term.pattern).toLowerCase().trim();
+    if (term.match === 'regex') {
+        const re = new RegExp(term.pattern, 'i');
+        return word => re.test(word);
+    }
+    if (term.match === 'prefix') return word => word.startsWith(pattern);
+    return word => word === pattern;
+}
+
+// null when the watchlist body is usable, otherwise a message for a 400
+function validateWatchlist(body) {
+    if (!body || typeof body !== 'object') return 'JSON body required';
+    if (!body.name) return 'name is required';
+    if (!Array.isArray(body.terms) || body.terms.length === 0) return 'terms must be a non-empty array of { category, pattern, match }';
+    for (const term of body.terms) {
+        if (!term || !CATEGORIES.includes(term.category) || !term.pattern) return `every term needs a category (${CATEGORIES.join(', ')}) and a pattern`;
+        if (term.match === 'regex') {
+            try {
+                new RegExp(term.pattern, 'i');
+            } catch (err) {
+                return `invalid regex ${term.pattern}: ${err.message}`;
+            }
+        }
+    }
+    if (!body.rule || !Number.isFinite(Number(body.rule.threshold))) return 'rule.threshold must be a number';
+    for (const url of [].concat(body.webhooks || [])) {
+        if (!/^https?:\/\//i.test(String(url))) return `webhook ${url} must be an http(s) URL`;
+    }
+    return null;
+}
+
+// Mongo map keys may not contain dots or start with $
+function alertKey(category, word) {
+    return `${category}:${word}`.replace(/\./g, '%2E').replace(/^\$/, '%24');
+}
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// the lease of a claimed delivery: the POST timeout plus a margin; a sender that died mid-POST is reclaimable after it
+function leaseUntil(now = Date.now()) {
+    return new Date(now + config.webhooks.timeoutMs * 2 + 30 * 1000);
+}
+
+// when to retry after `attempts` failed attempts (exponential backoff), or null once maxAttempts is reached
+function nextAttemptAt(attempts, now = Date.now()) {
+    const { maxAttempts, backoffSeconds } = config.webhooks;
+    if (attempts >= maxAttempts) return null;
+    return new Date(now + backoffSeconds * 1000 * Math.pow(2, attempts - 1));
+}
+
+/**
+ * postAlert: the signed POST of one alert payload; rejects on network errors and non-2xx responses.
+ * Receivers verify X-Trends-Signature = "sha256=" + HMAC-SHA256(secret, X-Trends-Timestamp + "." + raw body).
+ */
+function postAlert({ url, payload, deliveryId, secret }) {
+    const body = JSON.stringify(payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'gdelt-trends-webhooks',
+        'X-Trends-Delivery': String(deliveryId),
+        'X-Trends-Timestamp': timestamp,
+    };
+    if (secret) headers['X-Trends-Signature'] = `sha256=${sign(secret, timestamp, body)}`;
+    return axios({ url, method: 'POST', data: body, headers, timeout: config.webhooks.timeoutMs, maxRedirects: 0 });
+}
+
+// deliver: one POST attempt for a delivery log entry, recorded on the entry
+async function deliver(delivery, secret) {
+    const attempts = (delivery.attempts || 0) + 1;
+    const update = { attempts, lastAttemptAt: new Date() };
+    try {
+        const resp = await postAlert({ url: delivery.url, payload: delivery.payload, deliveryId: delivery._id, secret });
+        Object.assign(update, { status: 'delivered', deliveredAt: new Date(), responseStatus: resp.status, error: null });
+    } catch (err) {
+        const retryAt = nextAttemptAt(attempts);
+        Object.assign(update, {
+            status: retryAt ? 'pending' : 'failed',
+            responseStatus: err.response ? err.response.status : undefined,
+            error: err.message,
+            nextAttemptAt: retryAt || undefined,
+        });
+        logger.warn(`Webhook ${delivery.url} attempt ${attempts} failed: ${err.message}${retryAt ? '' : ' (giving up)'}`);
+    }
+    await AlertDelivery.updateOne({ _id: delivery._id, status: 'sending' }, { $set: update }).exec();
+    return { ...delivery, ...update };
+}
+
+// new deliveries are inserted already claimed by this sender
+async function dispatch(watchlist, payload) {
+    const secret = watchlist.secret || config.webhooks.secret;
+    const deliveries = await AlertDelivery.insertMany(
+        (watchlist.webhooks || []).map(url => ({ watchlist: watchlist._id, alertId: payload.id, url, payload, status: 'sending', nextAttemptAt: leaseUntil() }))
+    );
+    return Promise.all(deliveries.map(d => deliver(d.toObject(), secret)));
+}
+
+// atomically claims the next pending delivery whose backoff has expired (or a 'sending' one whose lease ran out)
+function claimDueDelivery() {
+    const now = new Date();
+    return AlertDelivery.findOneAndUpdate(
+        { status: { $in: ['pending', 'sending'] }, nextAttemptAt: { $lte: now } },
+        { $set: { status: 'sending', nextAttemptAt: leaseUntil(now.getTime()) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    ).lean().exec();
+}
+
+// pending deliveries whose backoff has expired, claimed one at a time
+async function retryDueDeliveries({ limit = 50 } = {}) {
+    const secrets = new Map();
+    let sent = 0;
+    while (sent < limit) {
+        const delivery = await claimDueDelivery();
+        if (!delivery) break;
+        const key = String(delivery.watchlist);
+        if (!secrets.has(key)) {
+            const w = await Watchlist.findById(delivery.watchlist, { secret: 1 }).lean().exec();
+            secrets.set(key, (w && w.secret) || config.webhooks.secret);
+        }
+        await deliver(delivery, secrets.get(key));
+        sent += 1;
+    }
+    if (sent > 0) logger.info(`Retried ${sent} webhook deliveries`);
+    return sent;
+}
+
+// mean count per word over the `baseline` aggregates of the same type before this one
+async function previousMeans({ type, category, date, timestamp, baseline }) {
+    const filter = { type, category, geo: null, lang: null };
+    if (type === 'realtime') filter.timestamp = { $lt: timestamp };
+    else filter.date = { $lt: date };
+    const docs = await Trend.find(filter, { keywords: 1 }).sort(type === 'realtime' ? { timestamp: -1 } : { date: -1 }).limit(baseline).lean().exec();
+    const sums = new Map();
+    for (const doc of docs) {
+        for (const k of (doc.keywords || [])) sums.set(k.word, (sums.get(k.word) || 0) + (k.count || 0));
+    }
+    const means = new Map();
+    for (const [word, sum] of sums) means.set(word, sum / Math.max(docs.length, 1));
+    return means;
+}
+
+// the stored ranked doc is always a default run (7-day window, topN, default params; see trendScorer)
+async function rankedScores({ date, category, scorer }) {
+    let doc = await Trend.findOne({ type: 'ranked', date, category, geo: null, lang: null, scorer }, { keywords: 1 }).lean().exec();
+    let keywords = doc ? doc.keywords : null;
+    if (!keywords) {
+        // required lazily: trendScorer -> gdeltFetcher -> this module
+        const { scoreTrends } = require('./trendScorer');
+        keywords = await scoreTrends({ date, category, scorer });
+    }
+    return new Map((keywords || []).map(k => [k.word, k.score]));
+}
+
+/**
+ * evaluateWatchlists: checks every active watchlist whose rule covers `type` against the aggregate
+ * just saved for (type, date[, timestamp]) and sends one alert per watchlist with its matches.
+ * Returns the alert payloads.
+ */
+async function evaluateWatchlists({ type, date, timestamp }) {
+    const watchlists = await Watchlist.find({ active: true, 'rule.types': type }).lean().exec();
+    if (watchlists.length === 0) return [];
+
+    const filter = { type, date, geo: null, lang: null, category: { $in: CATEGORIES } };
+    if (type === 'realtime') filter.timestamp = timestamp;
+    const docs = await Trend.find(filter, { category: 1, keywords: 1 }).lean().exec();
+    const current = new Map(docs.map(d => [d.category, d.keywords || []]));
+
+    // per-evaluation caches shared by the watchlists
+    const means = new Map();
+    const scores = new Map();
+    const cached = (cache, key, fn) => {
+        if (!cache.has(key)) cache.set(key, fn());
+        return cache.get(key);
+    };
+
+    const alerts = [];
+    const now = new Date();
+    for (const watchlist of watchlists) {
+        const { rule } = watchlist;
+        if (rule.metric === 'score' && type !== 'daily') continue;
+        const lastAlerted = watchlist.lastAlerted || {};
+        const cooldownMs = (watchlist.cooldownMinutes || 0) * 60 * 1000;
+        const matches = [];
+
+        for (const term of watchlist.terms) {
+            const test = compileTerm(term);
+            for (const k of (current.get(term.category) || [])) {
+                if (!test(k.word) || matches.some(m => m.category === term.category && m.word === k.word)) continue;
+                const match = { category: term.category, word: k.word, pattern: term.pattern, count: k.count };
+                if (rule.metric === 'growth') {
+                    const prev = await cached(means, `${term.category}:${rule.baseline}`, () =>
+                        previousMeans({ type, category: term.category, date, timestamp, baseline: rule.baseline || 4 }));
+                    match.previous = Math.round((prev.get(k.word) || 0) * 100) / 100;
+                    match.value = Math.round(((k.count + 1) / (match.previous + 1)) * 100) / 100;
+                } else if (rule.metric === 'score') {
+                    const s = await cached(scores, `${term.category}:${rule.scorer}`, () =>
+                        rankedScores({ date, category: term.category, scorer: rule.scorer || 'blend' }));
+                    match.value = s.get(k.word) || 0;
+                } else {
+                    match.value = k.count;
+                }
+                if (match.value < rule.threshold || k.count < (rule.minCount || 1)) continue;
+                const last = lastAlerted[alertKey(term.category, k.word)];
+                if (last && now - new Date(last) < cooldownMs) continue;
+                matches.push(match);
+            }
+        }
+        if (matches.length === 0) continue;
+
+        const payload = {
+            id: crypto.randomUUID(),
+            event: 'watchlist.alert',
+            watchlist: { id: String(watchlist._id), name: watchlist.name },
+            type,
+            date,
+            ...(type === 'realtime' ? { timestamp } : {}),
+            rule: { metric: rule.metric, threshold: rule.threshold },
+            matches,
+            sentAt: now,
+        };
+        const $set = {};
+        for (const m of matches) $set[`lastAlerted.${alertKey(m.category, m.word)}`] = now;
+        await Watchlist.updateOne({ _id: watchlist._id }, { $set }).exec();
+        logger.info(`Watchlist ${watchlist.name}: ${matches.length} matches on ${type} ${date}, ${(watchlist.webhooks || []).length} webhooks`);
+        await dispatch(watchlist, payload);
+        alerts.push(payload);
+    }
+    return alerts;
+}
+
+// a signed sample alert, so receivers can be tested without waiting for real matches
+async function sendTestAlert(watchlist) {
+    const payload = {
+        id: crypto.randomUUID(),
+        event: 'watchlist.test',
+        watchlist: { id: String(watchlist._id), name: watchlist.name },
+        matches: [],
+        sentAt: new Date(),
+    };
+    return dispatch(watchlist, payload);
+}
+
+module.exports = { validateWatchlist, evaluateWatchlists, retryDueDeliveries, sendTestAlert, sign, postAlert, nextAttemptAt };
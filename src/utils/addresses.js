@@ -0,0 +1,48 @@
+// src/utils/addresses.js
+// Public-address checks for outbound requests to URLs taken from third-party data (article pages of
+// the enrichment worker): loopback, private, link-local (e.g. 169.254.169.254), CGNAT, multicast and
+// reserved ranges are refused, including names that resolve to them.
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) BLOCKED.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) BLOCKED.addSubnet(prefix, bits, 'ipv6');
+
+/**
+ * isPublicAddress: false for IP literals in a blocked range (IPv4-mapped IPv6 is checked as IPv4)
+ * and for anything that is not an IP address.
+ */
+function isPublicAddress(address) {
+    const ip = String(address || '').replace(/^\[|\]$/g, '');
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPublicAddress(mapped[1]);
+    const family = net.isIP(ip);
+    if (family === 0) return false;
+    return !BLOCKED.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// throws unless `hostname` is a name (resolved later through publicLookup) or a public IP literal
+function assertPublicHost(hostname) {
+    const host = String(hostname || '').replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) throw new Error(`refusing non-public address ${host}`);
+}
+
+/**
+ * publicLookup: dns.lookup for axios' `lookup` option that fails when any address of the name is
+ * not public, so the checked address is the one connected to (no re-resolution in between).
+ */
+async function publicLookup(hostname, options = {}) {
+    const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+    const refused = addresses.find(a => !isPublicAddress(a.address));
+    if (refused) throw new Error(`refusing ${hostname}: resolves to non-public address ${refused.address}`);
+    return addresses.map(({ address, family }) => ({ address, family }));
+}
+
+module.exports = { isPublicAddress, assertPublicHost, publicLookup };
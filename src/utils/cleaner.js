@@ -14,14 +14,15 @@ function cleanKeyword(raw) {
     return s;
 }
 
-function splitAndClean(fieldValue) {
+// keep: optional set of tokens exempt from the noise filter (e.g. short entity aliases like "un")
+function splitAndClean(fieldValue, keep = null) {
     if (!fieldValue) return [];
     const parts = fieldValue.split(';');
     // Clean and also drop tokens considered noise (domains, urls, numeric vectors, mostly digits/punct)
     return parts
         .map(cleanKeyword)
         .filter(Boolean)
-        .filter(token => !isNoiseToken(token));
+        .filter(token => (keep && keep.has(token)) || !isNoiseToken(token));
 }
 
 function isStrictDomain(token) {
@@ -0,0 +1,34 @@
+// src/utils/domains.js
+// Source outlet of a GKG record: the SourceCommonName column when it holds a web domain,
+// otherwise the host of the DocumentIdentifier URL. Non-web collections keep their common name.
+
+const HOST_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+// mobile / canonical host prefixes that name the same outlet
+const HOST_PREFIXES = /^(www\d?|m|mobile|amp)\./;
+
+/**
+ * normalizeDomain: lowercased host without scheme, path, port or a www. / m. prefix, or null
+ * when the value is not a domain ("nytimes.com", "https://www.bbc.co.uk/news" -> "bbc.co.uk").
+ */
+function normalizeDomain(value) {
+    if (!value) return null;
+    let host = String(value).trim().toLowerCase();
+    host = host.replace(/^[a-z][a-z0-9+.-]*:\/\//, '').split(/[/?#]/)[0].replace(/:\d+$/, '').replace(/\.$/, '');
+    if (!HOST_PATTERN.test(host)) return null;
+    const stripped = host.replace(HOST_PREFIXES, '');
+    return HOST_PATTERN.test(stripped) ? stripped : host;
+}
+
+/**
+ * sourceDomain: the outlet a record is attributed to, or null when neither column says.
+ */
+function sourceDomain(documentIdentifier, sourceCommonName) {
+    const fromName = normalizeDomain(sourceCommonName);
+    if (fromName) return fromName;
+    const fromUrl = /^https?:\/\//i.test(String(documentIdentifier || '')) ? normalizeDomain(documentIdentifier) : null;
+    if (fromUrl) return fromUrl;
+    const name = sourceCommonName ? String(sourceCommonName).trim().toLowerCase() : '';
+    return name || null;
+}
+
+module.exports = { normalizeDomain, sourceDomain };
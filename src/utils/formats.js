@@ -0,0 +1,158 @@
+// src/utils/formats.js
+// Output formats besides JSON: stored trend docs flattened into one row per keyword, rendered
+// as CSV, NDJSON or an RSS 2.0 / Atom feed.
+
+const FORMATS = {
+    json: 'application/json',
+    csv: 'text/csv',
+    ndjson: 'application/x-ndjson',
+    rss: 'application/rss+xml',
+    atom: 'application/atom+xml',
+};
+
+const ROW_COLUMNS = ['type', 'date', 'timestamp', 'category', 'geo', 'scorer', 'rank', 'word', 'label', 'count', 'score', 'tone', 'document'];
+
+/**
+ * resolveFormat: ?format= wins, then the Accept header, then `fallback`.
+ * Returns { format } or { error } when format= names something not in `allowed`.
+ */
+function resolveFormat(req, allowed = Object.keys(FORMATS), fallback = 'json') {
+    if (req.query.format) {
+        const format = String(req.query.format).toLowerCase();
+        return allowed.includes(format) ? { format } : { error: `format must be one of ${allowed.join(', ')}` };
+    }
+    const byType = new Map(allowed.map(f => [FORMATS[f], f]));
+    const accepted = req.accepts(Array.from(byType.keys()));
+    return { format: (accepted && byType.get(accepted)) || fallback };
+}
+
+function isUrl(value) {
+    return /^https?:\/\//i.test(String(value || ''));
+}
+
+// one row per keyword of a stored keyword array; context fills the doc-level columns
+function keywordRows(keywords, context = {}) {
+    return (keywords || []).map((k, i) => ({
+        type: context.type || null,
+        date: context.date || null,
+        timestamp: context.timestamp ? new Date(context.timestamp).toISOString() : null,
+        category: context.category || null,
+        geo: context.geo || null,
+        scorer: context.scorer || null,
+        rank: i + 1,
+        word: k.word,
+        label: k.label || null,
+        count: k.count === undefined ? null : k.count,
+        score: k.score === undefined ? null : k.score,
+        tone: k.tone && k.tone.mean !== undefined ? k.tone.mean : null,
+        document: (k.documents && k.documents[0]) || (isUrl(k.word) ? k.word : null),
+    }));
+}
+
+// rows for a trend doc, an array of them, or null
+function docRows(docs) {
+    return [].concat(docs || []).filter(Boolean).flatMap(doc => keywordRows(doc.keywords, doc));
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let s = String(value);
+    // spreadsheet formula injection: text that starts like a formula is prefixed with a quote
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(row, columns = ROW_COLUMNS) {
+    return columns.map(c => csvCell(row[c])).join(',') + '\r\n';
+}
+
+function csvHeader(columns = ROW_COLUMNS) {
+    return columns.join(',') + '\r\n';
+}
+
+function ndjsonLine(row) {
+    return JSON.stringify(row) + '\n';
+}
+
+function xmlEscape(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function itemSummary(row) {
+    return [
+        row.count !== null ? `count ${row.count}` : null,
+        row.score !== null ? `score ${row.score}` : null,
+        row.tone !== null ? `tone ${Math.round(row.tone * 100) / 100}` : null,
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * renderFeed: RSS 2.0 or Atom document with one item per row.
+ * feed: { title, link (the feed's own URL), updated: Date }
+ */
+function renderFeed(format, feed, rows) {
+    const updated = feed.updated || new Date();
+    const itemLink = row => row.document || feed.link;
+    const itemId = row => `urn:gdelt-trends:${row.type}:${row.date}:${row.category}:${encodeURIComponent(row.word)}`;
+    const itemTitle = row => `${row.rank}. ${row.label || row.word}${row.category ? ` (${row.category})` : ''}`;
+    const itemDate = row => (row.timestamp ? new Date(row.timestamp) : updated);
+
+    if (format === 'atom') {
+        const entries = rows.map(row => [
+            '  <entry>',
+            `    <title>${xmlEscape(itemTitle(row))}</title>`,
+            `    <id>${xmlEscape(itemId(row))}</id>`,
+            `    <updated>${itemDate(row).toISOString()}</updated>`,
+            `    <link href="${xmlEscape(itemLink(row))}"/>`,
+            row.category ? `    <category term="${xmlEscape(row.category)}"/>` : null,
+            `    <summary>${xmlEscape(itemSummary(row))}</summary>`,
+            '  </entry>',
+        ].filter(Boolean).join('\n'));
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<feed xmlns="http://www.w3.org/2005/Atom">',
+            `  <title>${xmlEscape(feed.title)}</title>`,
+            `  <id>${xmlEscape(feed.link)}</id>`,
+            `  <link rel="self" href="${xmlEscape(feed.link)}"/>`,
+            `  <updated>${updated.toISOString()}</updated>`,
+            '  <author><name>gdelt-trends</name></author>',
+            ...entries,
+            '</feed>',
+            '',
+        ].join('\n');
+    }
+
+    const items = rows.map(row => [
+        '    <item>',
+        `      <title>${xmlEscape(itemTitle(row))}</title>`,
+        `      <link>${xmlEscape(itemLink(row))}</link>`,
+        `      <guid isPermaLink="false">${xmlEscape(itemId(row))}</guid>`,
+        `      <pubDate>${itemDate(row).toUTCString()}</pubDate>`,
+        row.category ? `      <category>${xmlEscape(row.category)}</category>` : null,
+        `      <description>${xmlEscape(itemSummary(row))}</description>`,
+        '    </item>',
+    ].filter(Boolean).join('\n'));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0">',
+        '  <channel>',
+        `    <title>${xmlEscape(feed.title)}</title>`,
+        `    <link>${xmlEscape(feed.link)}</link>`,
+        `    <description>${xmlEscape(feed.title)}</description>`,
+        `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+        ...items,
+        '  </channel>',
+        '</rss>',
+        '',
+    ].join('\n');
+}
+
+// the whole body for a non-streaming response
+function renderRows(format, rows, feed) {
+    if (format === 'csv') return csvHeader() + rows.map(r => csvLine(r)).join('');
+    if (format === 'ndjson') return rows.map(ndjsonLine).join('');
+    return renderFeed(format, feed, rows);
+}
+
+module.exports = { FORMATS, ROW_COLUMNS, resolveFormat, keywordRows, docRows, csvHeader, csvLine, ndjsonLine, renderFeed, renderRows };
@@ -0,0 +1,44 @@
+// src/utils/fuzzy.js
+// String matching helpers for keyword search: trigram sets (candidate lookup in Mongo)
+// and edit distances (ranking the candidates).
+
+// distinct 3-character substrings; words shorter than 3 characters are their own single gram
+function trigrams(word) {
+    const w = String(word || '');
+    if (w.length < 3) return w ? [w] : [];
+    const grams = new Set();
+    for (let i = 0; i <= w.length - 3; i++) grams.add(w.slice(i, i + 3));
+    return Array.from(grams);
+}
+
+/**
+ * substringDistance: smallest edit distance between `pattern` and any substring of `text`
+ * (Sellers' algorithm), so 'ukrain' against 'ukraine_crisis' is 0 and 'ukriane' is 2.
+ */
+function substringDistance(pattern, text) {
+    const m = pattern.length;
+    if (m === 0) return 0;
+    let prev = new Array(m + 1);
+    let cur = new Array(m + 1);
+    for (let i = 0; i <= m; i++) prev[i] = i;
+    let best = m;
+    for (let j = 1; j <= text.length; j++) {
+        cur[0] = 0; // a match may start anywhere in text
+        for (let i = 1; i <= m; i++) {
+            const cost = pattern[i - 1] === text[j - 1] ? 0 : 1;
+            cur[i] = Math.min(prev[i] + 1, cur[i - 1] + 1, prev[i - 1] + cost);
+        }
+        best = Math.min(best, cur[m]);
+        [prev, cur] = [cur, prev];
+    }
+    return best;
+}
+
+// edits tolerated for a query of this length: none for very short queries
+function maxEditsFor(query) {
+    if (query.length < 4) return 0;
+    if (query.length < 7) return 1;
+    return 2;
+}
+
+module.exports = { trigrams, substringDistance, maxEditsFor };
@@ -0,0 +1,150 @@
+// src/utils/gkgSchema.js
+// Column layouts of the GKG formats GDELT publishes: GKG 2.1 (15-minute files, English and
+// translingual) and GKG 1.0 (the older YYYYMMDD.gkg.csv.zip daily files). The parsers resolve one
+// layout per file (header row, then row shape, then file name) and never write the mapping back to
+// config, so files of both formats can be parsed side by side.
+const config = require('../config');
+
+// GKG 2.1 has no header row: GKGRECORDID, DATE, SourceCollectionIdentifier, SourceCommonName,
+// DocumentIdentifier, V1Counts, V2.1Counts, V1Themes, V2EnhancedThemes, V1Locations,
+// V2EnhancedLocations, V1Persons, V2EnhancedPersons, V1Organizations, V2EnhancedOrganizations,
+// V1.5Tone, ..., V2.1TranslationInfo (25), V2ExtrasXML
+const GKG_21_COLUMNS = {
+    date: 1, sourceCommonName: 3, documentIdentifier: 4, themes: 7, locations: 10,
+    persons: 11, orgs: 13, tone: 15, translationInfo: 25,
+};
+
+// GKG 1.0 daily files start with the header DATE, NUMARTS, COUNTS, THEMES, LOCATIONS, PERSONS,
+// ORGANIZATIONS, TONE, CAMEOEVENTIDS, SOURCES, SOURCEURLS; one row clusters NUMARTS articles
+const GKG_10_COLUMNS = {
+    date: 0, numArts: 1, themes: 3, locations: 4, persons: 5, orgs: 6, tone: 7, sourceCommonName: 9, documentIdentifier: 10,
+};
+const GKG_10_WIDTH = 11;
+const GKG_10_HEADER = {
+    date: 'date', numArts: 'numarts', themes: 'themes', locations: 'locations', persons: 'persons', orgs: 'organizations',
+    tone: 'tone', sourceCommonName: 'sources', documentIdentifier: 'sourceurls',
+};
+
+// GKG 2.1 header names (custom exports and test files carry one)
+const GKG_21_HEADER = {
+    themes: h => h.includes('v2themes'),
+    persons: h => h.includes('v2persons'),
+    orgs: h => h.includes('v2organizations'),
+    locations: h => h.includes('v2locations') || h.includes('v2enhancedlocations'),
+    tone: h => h.includes('v2tone') || h.includes('v1.5tone'),
+    documentIdentifier: h => h.includes('documentidentifier'),
+    sourceCommonName: h => h.includes('sourcecommonname'),
+    date: h => /^(v[\d.]+)?date$/.test(h),
+    translationInfo: h => h.includes('translationinfo'),
+};
+
+function makeSchema(version, columns, detectedBy) {
+    return {
+        version,
+        detectedBy,
+        columns,
+        // SOURCEURLS / SOURCES list every clustered article of a 1.0 row
+        documentSeparator: version === '1.0' ? '<UDIV>' : null,
+        sourceSeparator: version === '1.0' ? ';' : null,
+    };
+}
+
+// the 2.1 layout with the V2*_INDEX / *_INDEX overrides from config.columnIndices
+function gkg21Columns() {
+    const columns = { ...GKG_21_COLUMNS };
+    for (const key of Object.keys(columns)) {
+        const override = config.columnIndices[key];
+        if (override !== null && override !== undefined && Number.isFinite(override)) columns[key] = override;
+    }
+    return columns;
+}
+
+/**
+ * schemaFromHeader: the schema named by a header row, or null when `row` is not a header.
+ */
+function schemaFromHeader(row) {
+    const header = row.map(c => String(c).trim().toLowerCase());
+    if (header.includes('sourceurls') || header.includes('numarts')) {
+        const columns = {};
+        for (const [key, name] of Object.entries(GKG_10_HEADER)) {
+            const i = header.indexOf(name);
+            columns[key] = i >= 0 ? i : GKG_10_COLUMNS[key];
+        }
+        return makeSchema('1.0', columns, 'header');
+    }
+    const rowStr = header.join('|');
+    if (['v2themes', 'v2persons', 'v2organizations', 'documentidentifier', 'translationinfo'].some(name => rowStr.includes(name))) {
+        const columns = gkg21Columns();
+        for (const [key, matches] of Object.entries(GKG_21_HEADER)) {
+            const i = header.findIndex(matches);
+            if (i >= 0) columns[key] = i;
+        }
+        return makeSchema('2.1', columns, 'header');
+    }
+    return null;
+}
+
+// '1.0' for daily GKG 1.0 file names, '2.1' for 15-minute ones, otherwise null
+function versionForFile(file) {
+    const name = String(file || '').split('/').pop();
+    if (/^\d{8}\.gkg\.csv(\.zip)?$/i.test(name)) return '1.0';
+    if (/^\d{14}\.(translation\.)?gkg\.csv(\.zip)?$/i.test(name)) return '2.1';
+    return null;
+}
+
+/**
+ * detectSchema: the schema of a file from its first data row (a GKGRECORDID such as
+ * "20150218230000-123" / "-T123" means 2.1, an 8-digit DATE in a short row 1.0), falling back to
+ * the file name and then to 2.1.
+ */
+function detectSchema(row, file = null) {
+    const first = String(row[0] || '').trim();
+    if (/^\d{14}-T?\d+$/i.test(first)) return makeSchema('2.1', gkg21Columns(), 'row');
+    if (/^\d{8}$/.test(first) && row.length <= GKG_10_WIDTH) return makeSchema('1.0', { ...GKG_10_COLUMNS }, 'row');
+    const version = versionForFile(file);
+    if (version === '1.0') return makeSchema('1.0', { ...GKG_10_COLUMNS }, 'file name');
+    return makeSchema('2.1', gkg21Columns(), version ? 'file name' : 'default');
+}
+
+/**
+ * readFields: the raw columns of one row under `schema`, with DATE as YYYYMMDDHHMMSS and the
+ * article URLs and outlets as lists: { date, articles, documents, sources, sourceCommonName, themes, persons,
+ * orgs, locations, tone, translationInfo }. articles is the number of articles the row stands for: NUMARTS
+ * for a GKG 1.0 cluster, 1 for a 2.1 record, so counts of both formats can be weighted alike.
+ */
+function readFields(schema, row) {
+    const get = (key) => {
+        const idx = schema.columns[key];
+        return (idx !== null && idx !== undefined && row[idx] !== undefined && row[idx] !== '') ? row[idx] : null;
+    };
+    const rawDocs = get('documentIdentifier');
+    const documents = !rawDocs ? [] : schema.documentSeparator
+        ? rawDocs.split(schema.documentSeparator).map(d => d.trim()).filter(Boolean)
+        : [rawDocs];
+    const sources = get('sourceCommonName');
+    const sourceList = !sources ? [] : schema.sourceSeparator
+        ? sources.split(schema.sourceSeparator).map(s => s.trim()).filter(Boolean)
+        : [sources];
+    const date = get('date');
+    const numArts = parseInt(get('numArts'), 10);
+    return {
+        date: date && /^\d{8}$/.test(date.trim()) ? `${date.trim()}000000` : date,
+        articles: schema.version === '1.0' ? Math.max(1, numArts || documents.length) : 1,
+        documents,
+        sources: sourceList,
+        sourceCommonName: sourceList[0] || null,
+        themes: get('themes'),
+        persons: get('persons'),
+        orgs: get('orgs'),
+        locations: get('locations'),
+        tone: get('tone'),
+        translationInfo: get('translationInfo'),
+    };
+}
+
+function describeSchema(schema) {
+    const c = schema.columns;
+    return `GKG ${schema.version} (${schema.detectedBy}) -> themes:${c.themes}, persons:${c.persons}, orgs:${c.orgs}, locations:${c.locations}, tone:${c.tone}, docId:${c.documentIdentifier}`;
+}
+
+module.exports = { schemaFromHeader, detectSchema, versionForFile, readFields, describeSchema };
@@ -0,0 +1,161 @@
+// src/utils/keywordCounter.js
+// Incremental keyword counts for the collectors: one entry per distinct keyword with its count,
+// a bounded sample of document ids, tone stats and (for locations) the first place seen.
+// Memory grows with the vocabulary, not with the number of rows.
+//
+// Approximate counters keep counts in a count-min sketch and only hold entries for the current
+// heavy hitters (at most 2 x capacity), so memory stays fixed however many files are folded in.
+const { createCountMinSketch, sketchAdd, sketchEstimate, sketchMerge } = require('./sketch');
+const { createToneStats, addTone, mergeToneStats, summarizeTone } = require('./tone');
+
+/**
+ * createKeywordCounter
+ * opts: { samples: document ids kept per keyword, tone: track tone stats,
+ *         approximate, capacity: heavy hitters kept, width / depth: sketch shape }
+ */
+function createKeywordCounter({ samples = 0, tone = true, approximate = false, capacity = 1000, width = 4096, depth = 4 } = {}) {
+    return {
+        approximate,
+        samples,
+        tone,
+        capacity,
+        total: 0,
+        entries: new Map(), // word -> { count, documents, tone, location, variants }
+        sketch: approximate ? createCountMinSketch({ width, depth }) : null,
+        threshold: 0, // approximate only: smallest count that survived the last prune
+    };
+}
+
+const MAX_VARIANTS = 10;
+
+function newEntry(counter, location) {
+    return { count: 0, documents: [], tone: counter.tone ? createToneStats() : null, location, variants: null };
+}
+
+// spellings merged into an entry by entity resolution: variant -> count
+function addVariant(entry, variant, count) {
+    if (!entry.variants) entry.variants = new Map();
+    entry.variants.set(variant, (entry.variants.get(variant) || 0) + count);
+}
+
+function addDocuments(counter, entry, documents) {
+    if (!documents) return;
+    for (const doc of documents) {
+        if (entry.documents.length >= counter.samples) return;
+        if (!entry.documents.includes(doc)) entry.documents.push(doc);
+    }
+}
+
+// approximate only: keep the `capacity` entries with the highest estimates
+function prune(counter) {
+    const kept = Array.from(counter.entries).sort((a, b) => b[1].count - a[1].count).slice(0, counter.capacity);
+    counter.entries = new Map(kept);
+    counter.threshold = kept.length ? kept[kept.length - 1][1].count : 0;
+}
+
+/**
+ * addKeyword: counts one occurrence (or `count`) of word.
+ * extra: { count, documents: [id], tone: parsed V2Tone row, location, variant: the spelling word was resolved from }
+ */
+function addKeyword(counter, word, { count = 1, documents, tone, location, variant } = {}) {
+    counter.total += count;
+    let entry = counter.entries.get(word);
+    if (counter.sketch) {
+        const estimate = sketchAdd(counter.sketch, word, count);
+        if (!entry) {
+            if (estimate <= counter.threshold) return counter;
+            entry = newEntry(counter, location);
+            counter.entries.set(word, entry);
+        }
+        entry.count = estimate;
+        if (counter.entries.size > counter.capacity * 2) prune(counter);
+    } else {
+        if (!entry) {
+            entry = newEntry(counter, location);
+            counter.entries.set(word, entry);
+        }
+        entry.count += count;
+    }
+    addDocuments(counter, entry, documents);
+    if (entry.tone && tone) addTone(entry.tone, tone);
+    if (variant && variant !== word) addVariant(entry, variant, count);
+    return counter;
+}
+
+function mergeKeywordCounters(target, source) {
+    if (!source) return target;
+    if (target.sketch && source.sketch) {
+        sketchMerge(target.sketch, source.sketch);
+    } else if (target.sketch) {
+        for (const [word, e] of source.entries) sketchAdd(target.sketch, word, e.count);
+    }
+    target.total += source.total;
+
+    for (const [word, e] of source.entries) {
+        let entry = target.entries.get(word);
+        if (!entry) {
+            entry = newEntry(target, e.location);
+            target.entries.set(word, entry);
+        }
+        if (!target.sketch) entry.count += e.count;
+        addDocuments(target, entry, e.documents);
+        if (entry.tone && e.tone) mergeToneStats(entry.tone, e.tone);
+        if (e.variants) for (const [variant, n] of e.variants) addVariant(entry, variant, n);
+    }
+    if (target.sketch) {
+        for (const [word, entry] of target.entries) entry.count = sketchEstimate(target.sketch, word);
+        if (target.entries.size > target.capacity) prune(target);
+    }
+    return target;
+}
+
+/**
+ * mergeKeywordInto: folds the entry of `from` into `to` (entity resolution), recording `from`
+ * and its own variants as variants of `to`.
+ */
+function mergeKeywordInto(counter, from, to) {
+    const source = counter.entries.get(from);
+    if (!source || from === to) return counter;
+    counter.entries.delete(from);
+    let entry = counter.entries.get(to);
+    if (!entry) {
+        entry = newEntry(counter, source.location);
+        counter.entries.set(to, entry);
+    }
+    entry.count = counter.sketch ? sketchAdd(counter.sketch, to, source.count) : entry.count + source.count;
+    addDocuments(counter, entry, source.documents);
+    if (entry.tone && source.tone) mergeToneStats(entry.tone, source.tone);
+    addVariant(entry, from, source.count);
+    if (source.variants) for (const [variant, n] of source.variants) addVariant(entry, variant, n);
+    return counter;
+}
+
+/**
+ * topKeywords: the n most frequent keywords as stored keyword objects
+ * { word, count, documents?, location?, tone?, variants? }
+ */
+function topKeywords(counter, n = 50) {
+    return Array.from(counter.entries)
+        .sort((a, b) => b[1].count - a[1].count)
+        .slice(0, n)
+        .map(([word, e]) => {
+            const tone = e.tone ? summarizeTone(e.tone) : undefined;
+            return {
+                word,
+                count: e.count,
+                ...(counter.samples > 0 ? { documents: e.documents } : {}),
+                ...(e.location ? { location: e.location } : {}),
+                ...(tone ? { tone } : {}),
+                ...(e.variants ? { variants: topVariants(e.variants) } : {}),
+            };
+        });
+}
+
+function topVariants(variants) {
+    return Array.from(variants)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_VARIANTS)
+        .map(([word, count]) => ({ word, count }));
+}
+
+module.exports = { createKeywordCounter, addKeyword, mergeKeywordCounters, mergeKeywordInto, topKeywords };
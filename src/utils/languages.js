@@ -0,0 +1,58 @@
+// src/utils/languages.js
+// Source languages of GKG records. The translingual feed names a record's language in its
+// TranslationInfo column ("srclc:spa;eng:GT-SPA 1.0", ISO 639-2); aggregates and the API use
+// ISO 639-1 codes ("es"). Records of the English feed have no TranslationInfo.
+
+// ISO 639-2 (terminology code; bibliographic variants below) -> [ISO 639-1, name]
+const LANGUAGES = {
+    afr: ['af', 'Afrikaans'], sqi: ['sq', 'Albanian'], ara: ['ar', 'Arabic'], hye: ['hy', 'Armenian'],
+    aze: ['az', 'Azerbaijani'], eus: ['eu', 'Basque'], bel: ['be', 'Belarusian'], ben: ['bn', 'Bengali'],
+    bos: ['bs', 'Bosnian'], bul: ['bg', 'Bulgarian'], mya: ['my', 'Burmese'], cat: ['ca', 'Catalan'],
+    zho: ['zh', 'Chinese'], hrv: ['hr', 'Croatian'], ces: ['cs', 'Czech'], dan: ['da', 'Danish'],
+    nld: ['nl', 'Dutch'], eng: ['en', 'English'], est: ['et', 'Estonian'], fin: ['fi', 'Finnish'],
+    fra: ['fr', 'French'], glg: ['gl', 'Galician'], kat: ['ka', 'Georgian'], deu: ['de', 'German'],
+    ell: ['el', 'Greek'], guj: ['gu', 'Gujarati'], heb: ['he', 'Hebrew'], hin: ['hi', 'Hindi'],
+    hun: ['hu', 'Hungarian'], isl: ['is', 'Icelandic'], ind: ['id', 'Indonesian'], ita: ['it', 'Italian'],
+    jpn: ['ja', 'Japanese'], kan: ['kn', 'Kannada'], kaz: ['kk', 'Kazakh'], khm: ['km', 'Khmer'],
+    kor: ['ko', 'Korean'], lav: ['lv', 'Latvian'], lit: ['lt', 'Lithuanian'], mkd: ['mk', 'Macedonian'],
+    msa: ['ms', 'Malay'], mal: ['ml', 'Malayalam'], mar: ['mr', 'Marathi'], mon: ['mn', 'Mongolian'],
+    nep: ['ne', 'Nepali'], nor: ['no', 'Norwegian'], fas: ['fa', 'Persian'], pol: ['pl', 'Polish'],
+    por: ['pt', 'Portuguese'], pan: ['pa', 'Punjabi'], ron: ['ro', 'Romanian'], rus: ['ru', 'Russian'],
+    srp: ['sr', 'Serbian'], sin: ['si', 'Sinhala'], slk: ['sk', 'Slovak'], slv: ['sl', 'Slovenian'],
+    som: ['so', 'Somali'], spa: ['es', 'Spanish'], swa: ['sw', 'Swahili'], swe: ['sv', 'Swedish'],
+    tgl: ['tl', 'Tagalog'], tam: ['ta', 'Tamil'], tel: ['te', 'Telugu'], tha: ['th', 'Thai'],
+    bod: ['bo', 'Tibetan'], tur: ['tr', 'Turkish'], ukr: ['uk', 'Ukrainian'], urd: ['ur', 'Urdu'],
+    uzb: ['uz', 'Uzbek'], vie: ['vi', 'Vietnamese'], cym: ['cy', 'Welsh'],
+};
+
+const BIBLIOGRAPHIC = {
+    alb: 'sqi', arm: 'hye', baq: 'eus', bur: 'mya', chi: 'zho', cze: 'ces', dut: 'nld', fre: 'fra',
+    geo: 'kat', ger: 'deu', gre: 'ell', ice: 'isl', mac: 'mkd', may: 'msa', per: 'fas', rum: 'ron',
+    slo: 'slk', tib: 'bod', wel: 'cym',
+};
+
+const NAMES = new Map(Object.values(LANGUAGES));
+
+/**
+ * toLangCode: ISO 639-1 code for an ISO 639-1 / 639-2 code, or null when it is not a language code.
+ * Unknown 3-letter codes are kept as they are.
+ */
+function toLangCode(value) {
+    const code = String(value || '').trim().toLowerCase();
+    if (/^[a-z]{2}$/.test(code)) return code;
+    if (!/^[a-z]{3}$/.test(code)) return null;
+    const entry = LANGUAGES[BIBLIOGRAPHIC[code] || code];
+    return entry ? entry[0] : code;
+}
+
+// "srclc:spa;eng:GT-SPA 1.0" -> "es"; null for an empty or malformed column
+function parseTranslationInfo(fieldValue) {
+    const m = String(fieldValue || '').match(/srclc:([a-z]+)/i);
+    return m ? toLangCode(m[1]) : null;
+}
+
+function languageName(code) {
+    return NAMES.get(code) || null;
+}
+
+module.exports = { toLangCode, parseTranslationInfo, languageName };
@@ -0,0 +1,110 @@
+// src/utils/locations.js
+// parsing and ranking helpers for the GKG V1Locations / V2Locations columns
+const { cleanKeyword } = require('./cleaner');
+
+/**
+ * parseLocations: splits a Locations field into structured places.
+ * V1 blocks:  Type#FullName#CountryCode#ADM1Code#Lat#Long#FeatureID
+ * V2 blocks:  Type#FullName#CountryCode#ADM1Code#ADM2Code#Lat#Long#FeatureID#CharOffset
+ * Country codes are FIPS 10-4, as published by GDELT.
+ */
+function parseLocations(fieldValue) {
+    if (!fieldValue) return [];
+    const places = [];
+    for (const block of String(fieldValue).split(';')) {
+        const parts = block.split('#');
+        if (parts.length < 7) continue;
+        const enhanced = parts.length >= 9;
+        const lat = Number(enhanced ? parts[5] : parts[4]);
+        const long = Number(enhanced ? parts[6] : parts[5]);
+        const place = {
+            type: Number(parts[0]) || 0,
+            name: (parts[1] || '').trim(),
+            countryCode: (parts[2] || '').trim().toUpperCase() || null,
+            adm1: (parts[3] || '').trim().toUpperCase() || null,
+            lat: Number.isFinite(lat) ? lat : null,
+            long: Number.isFinite(long) ? long : null,
+            featureId: ((enhanced ? parts[7] : parts[6]) || '').trim() || null,
+        };
+        if (!place.name) continue;
+        places.push(place);
+    }
+    return places;
+}
+
+// keyword object used by the collectors: { word, count, location }
+function toLocationKeyword(place) {
+    const word = cleanKeyword(place.name);
+    if (!word) return null;
+    return { word, count: 1, location: place };
+}
+
+function parseLocationKeywords(fieldValue) {
+    return parseLocations(fieldValue).map(toLocationKeyword).filter(Boolean);
+}
+
+/**
+ * rankLocations: counts location keywords by word, keeping the first place seen for each.
+ * Input: array of {word, count?, location}
+ * Output: top N array of {word, count, location}
+ */
+function rankLocations(arr, topN = 50) {
+    const map = new Map();
+    for (const item of arr) {
+        if (!item || !item.word) continue;
+        if (!map.has(item.word)) {
+            map.set(item.word, { word: item.word, count: 0, location: item.location });
+        }
+        map.get(item.word).count += item.count || 1;
+    }
+    return Array.from(map.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, topN);
+}
+
+// per-country mention counts, as keyword objects {word: countryCode, count}
+function countByCountry(arr) {
+    const counts = Object.create(null);
+    for (const item of arr) {
+        const cc = item && item.location && item.location.countryCode;
+        if (!cc) continue;
+        counts[cc] = (counts[cc] || 0) + (item.count || 1);
+    }
+    return Object.entries(counts)
+        .map(([word, count]) => ({ word, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+// geo keys a row contributes to: every country code plus every ADM1 code that is finer than its country
+function geoKeysFor(locationKeywords) {
+    const keys = new Set();
+    for (const k of locationKeywords) {
+        const loc = k && k.location;
+        if (!loc || !loc.countryCode) continue;
+        keys.add(loc.countryCode);
+        if (loc.adm1 && loc.adm1 !== loc.countryCode) keys.add(loc.adm1);
+    }
+    return keys;
+}
+
+// GeoJSON Point feature for a ranked location keyword
+function toGeoFeature(k) {
+    const loc = k.location || {};
+    return {
+        type: 'Feature',
+        geometry: (loc.lat !== null && loc.lat !== undefined && loc.long !== null && loc.long !== undefined)
+            ? { type: 'Point', coordinates: [loc.long, loc.lat] }
+            : null,
+        properties: {
+            word: k.word,
+            name: loc.name,
+            count: k.count,
+            type: loc.type,
+            countryCode: loc.countryCode,
+            adm1: loc.adm1,
+            featureId: loc.featureId,
+        },
+    };
+}
+
+module.exports = { parseLocations, parseLocationKeywords, toLocationKeyword, rankLocations, countByCountry, geoKeysFor, toGeoFeature };
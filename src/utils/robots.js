@@ -0,0 +1,87 @@
+// src/utils/robots.js
+// Minimal robots.txt support for the article enrichment worker: user-agent groups, Allow / Disallow
+// with `*` and `$` patterns (longest match wins, Allow on ties) and Crawl-delay.
+
+/**
+ * parseRobots: [{ agents: [lowercased tokens], rules: [{ allow, path }], crawlDelay }] from robots.txt text.
+ */
+function parseRobots(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+        if (!m) continue;
+        const field = m[1].toLowerCase();
+        const value = m[2].trim();
+        if (field === 'user-agent') {
+            // consecutive user-agent lines share one group
+            if (!lastWasAgent || !current) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+        lastWasAgent = false;
+        if (!current) continue;
+        if (field === 'allow' || field === 'disallow') {
+            // an empty Disallow allows everything
+            if (value) current.rules.push({ allow: field === 'allow', path: value });
+        } else if (field === 'crawl-delay') {
+            const delay = Number(value);
+            if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+        }
+    }
+    return groups;
+}
+
+// the group for our user agent: the longest agent token contained in it, else '*'
+function groupFor(groups, userAgent) {
+    const ua = String(userAgent || '').toLowerCase();
+    let best = null;
+    let bestLength = -1;
+    for (const group of groups) {
+        for (const agent of group.agents) {
+            const length = agent === '*' ? 0 : (ua.includes(agent) ? agent.length : -1);
+            if (length > bestLength) {
+                best = group;
+                bestLength = length;
+            }
+        }
+    }
+    return best;
+}
+
+function patternMatches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * isAllowed: whether `path` (path + query of the URL) may be fetched by `userAgent`.
+ */
+function isAllowed(groups, userAgent, path) {
+    const group = groupFor(groups, userAgent);
+    if (!group) return true;
+    let match = null;
+    for (const rule of group.rules) {
+        if (!patternMatches(rule.path, path)) continue;
+        if (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow)) match = rule;
+    }
+    return !match || match.allow;
+}
+
+// Crawl-delay in seconds for userAgent, or null
+function crawlDelay(groups, userAgent) {
+    const group = groupFor(groups, userAgent);
+    return group ? group.crawlDelay : null;
+}
+
+module.exports = { parseRobots, isAllowed, crawlDelay };
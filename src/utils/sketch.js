@@ -0,0 +1,49 @@
+// src/utils/sketch.js
+// Count-min sketch: fixed-size approximate counts that never under-estimate.
+// With width w and depth d the over-estimate is at most (e / w) * total with probability 1 - e^-d.
+
+// 32-bit FNV-1a, seeded so every sketch row hashes differently
+function fnv1a(str, seed) {
+    let h = (0x811c9dc5 ^ seed) >>> 0;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h;
+}
+
+function createCountMinSketch({ width = 4096, depth = 4 } = {}) {
+    return { width, depth, total: 0, table: new Uint32Array(width * depth) };
+}
+
+// adds `count` for key and returns the key's new estimate
+function sketchAdd(sketch, key, count = 1) {
+    let est = Infinity;
+    for (let r = 0; r < sketch.depth; r++) {
+        const i = r * sketch.width + (fnv1a(key, r * 0x9e3779b1) % sketch.width);
+        sketch.table[i] += count;
+        est = Math.min(est, sketch.table[i]);
+    }
+    sketch.total += count;
+    return est;
+}
+
+function sketchEstimate(sketch, key) {
+    let est = Infinity;
+    for (let r = 0; r < sketch.depth; r++) {
+        est = Math.min(est, sketch.table[r * sketch.width + (fnv1a(key, r * 0x9e3779b1) % sketch.width)]);
+    }
+    return est;
+}
+
+// sketches of the same shape add cell by cell
+function sketchMerge(target, source) {
+    if (target.width !== source.width || target.depth !== source.depth) {
+        throw new Error('Cannot merge count-min sketches of different shapes');
+    }
+    for (let i = 0; i < target.table.length; i++) target.table[i] += source.table[i];
+    target.total += source.total;
+    return target;
+}
+
+module.exports = { createCountMinSketch, sketchAdd, sketchEstimate, sketchMerge };
@@ -0,0 +1,228 @@
+// src/utils/themes.js
+// Bundled GKG theme taxonomy: readable labels for raw theme codes and a two-level hierarchy
+// (family, e.g. "tax"; subfamily, e.g. "tax_fncact") used to roll theme counts up and to
+// include / exclude whole families. Codes not listed in LABELS get a label derived from the code.
+const { mergeToneSummaries } = require('./tone');
+
+// top-level families by code prefix, longest prefix wins; codes matching none are core GKG themes
+const FAMILIES = [
+    { id: 'tax', prefix: 'tax_', label: 'Taxonomies' },
+    { id: 'wb', prefix: 'wb_', label: 'World Bank topics' },
+    { id: 'crisislex', prefix: 'crisislex_', label: 'Crisis lexicon' },
+    { id: 'econ', prefix: 'econ_', label: 'Economy' },
+    { id: 'epu', prefix: 'epu_', label: 'Economic policy uncertainty' },
+    { id: 'ungp', prefix: 'ungp_', label: 'UN Guiding Principles' },
+    { id: 'soc', prefix: 'soc_', label: 'Society' },
+    { id: 'env', prefix: 'env_', label: 'Environment' },
+    { id: 'media', prefix: 'media_', label: 'Media' },
+    { id: 'uspec', prefix: 'uspec_', label: 'US policy' },
+    { id: 'natural_disaster', prefix: 'natural_disaster_', label: 'Natural disasters' },
+    { id: 'manmade_disaster', prefix: 'manmade_disaster_', label: 'Man-made disasters' },
+    { id: 'health', prefix: 'health_', label: 'Health' },
+    { id: 'slfid', prefix: 'slfid_', label: 'Self-identified' },
+    { id: 'general', prefix: 'general_', label: 'General' },
+];
+
+const CORE_FAMILY = { id: 'gkg', label: 'Core GKG themes' };
+
+// second-level groups: taxonomies by their first segment after tax_, the crisis lexicon by entry kind
+const SUBFAMILY_LABELS = {
+    tax_fncact: 'Functional actors',
+    tax_ethnicity: 'Ethnicities',
+    tax_worldlanguages: 'World languages',
+    tax_religion: 'Religions',
+    tax_weapons: 'Weapons',
+    tax_disease: 'Diseases',
+    tax_terror_group: 'Terror groups',
+    tax_econ_price: 'Prices',
+    tax_military_title: 'Military titles',
+    tax_political_party: 'Political parties',
+    tax_specialissues: 'Special issues',
+    tax_foodstaples: 'Food staples',
+    tax_aidgroups: 'Aid groups',
+    tax_worldmammals: 'Mammals',
+    tax_worldbirds: 'Birds',
+    tax_worldfish: 'Fish',
+    tax_worldreptiles: 'Reptiles',
+    tax_worldinsects: 'Insects',
+    tax_worldarachnids: 'Arachnids',
+    tax_plantdisease: 'Plant diseases',
+    crisislex_c: 'Crisis lexicon: categories',
+    crisislex_t: 'Crisis lexicon: terms',
+    crisislex_o: 'Crisis lexicon: other',
+    crisislex_crisislexrec: 'Crisis lexicon: recommended',
+};
+
+// multi-word subfamily ids inside a family; everything else uses the first segment
+const MULTI_WORD_SUBFAMILIES = ['tax_terror_group', 'tax_econ_price', 'tax_military_title', 'tax_political_party'];
+
+// curated labels for frequent codes
+const LABELS = {
+    tax_fncact_president: 'President',
+    tax_fncact_minister: 'Minister',
+    tax_fncact_police: 'Police',
+    tax_fncact_leader: 'Leader',
+    tax_fncact_official: 'Official',
+    tax_fncact_spokesman: 'Spokesperson',
+    tax_fncact_chief_executive: 'Chief executive',
+    tax_fncact_prime_minister: 'Prime minister',
+    tax_fncact_soldiers: 'Soldiers',
+    tax_fncact_children: 'Children',
+    tax_fncact_women: 'Women',
+    tax_econ_price_oil: 'Oil price',
+    wb_2432_fragility_conflict_and_violence: 'Fragility, conflict and violence',
+    wb_2433_conflict_and_violence: 'Conflict and violence',
+    wb_696_public_sector_management: 'Public sector management',
+    wb_831_governance: 'Governance',
+    wb_840_justice: 'Justice',
+    wb_1458_health_promotion_and_disease_prevention: 'Health promotion and disease prevention',
+    crisislex_c03_wellbeing_health: 'Wellbeing and health',
+    crisislex_c07_safety: 'Safety',
+    crisislex_t03_dead: 'Deaths',
+    crisislex_t11_updatessympathy: 'Updates and sympathy',
+    crisislex_crisislexrec: 'Crisis-related (recommended)',
+    econ_stockmarket: 'Stock market',
+    econ_inflation: 'Inflation',
+    econ_interest_rates: 'Interest rates',
+    econ_taxation: 'Taxation',
+    epu_policy_government: 'Government policy',
+    epu_economy_historic: 'Economy (historic)',
+    epu_cats_migration_fear_fear: 'Migration fears',
+    ungp_forests_rivers_oceans: 'Forests, rivers and oceans',
+    soc_pointsofinterest: 'Points of interest',
+    soc_generalcrime: 'Crime',
+    env_climatechange: 'Climate change',
+    media_msm: 'Mainstream media',
+    media_social: 'Social media',
+    uspec_politics_general1: 'US politics',
+    uspec_policy1: 'US policy',
+    general_government: 'Government',
+    general_health: 'Health',
+    leader: 'Leaders',
+    armedconflict: 'Armed conflict',
+    kill: 'Killings',
+    arrest: 'Arrests',
+    protest: 'Protests',
+    terror: 'Terrorism',
+    security_services: 'Security services',
+    legislation: 'Legislation',
+    education: 'Education',
+    elections: 'Elections',
+    trial: 'Trials',
+    crime_illegal_drugs: 'Illegal drugs',
+};
+
+function familyOf(code) {
+    let best = null;
+    for (const family of FAMILIES) {
+        if (code.startsWith(family.prefix) && (!best || family.prefix.length > best.prefix.length)) best = family;
+    }
+    return best;
+}
+
+function subfamilyOf(code, family) {
+    if (!family) return null;
+    const multi = MULTI_WORD_SUBFAMILIES.find(id => code.startsWith(`${id}_`));
+    if (multi) return multi;
+    const rest = code.slice(family.prefix.length);
+    if (family.id === 'crisislex') {
+        const m = rest.match(/^([cto])\d+_/);
+        return m ? `crisislex_${m[1]}` : `crisislex_${rest.split('_')[0]}`;
+    }
+    // only the taxonomies are consistently grouped by their first segment ("tax_fncact_...")
+    if (family.id !== 'tax') return null;
+    const segment = rest.split('_')[0];
+    return segment && segment !== rest ? `${family.prefix}${segment}` : null;
+}
+
+function sentenceCase(words) {
+    const text = words.filter(Boolean).join(' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// a label from the code itself: family / subfamily prefix and numeric ids dropped
+function derivedLabel(code, family, subfamily) {
+    let rest = code;
+    if (subfamily && code.startsWith(`${subfamily}_`)) rest = code.slice(subfamily.length + 1);
+    else if (family) rest = code.slice(family.prefix.length);
+    rest = rest.replace(/^(?:[cto]?\d+_)+/, '').replace(/^cats_/, '');
+    return sentenceCase(rest.split('_')) || code;
+}
+
+/**
+ * describeTheme: { code, label, family, familyLabel, subfamily, subfamilyLabel } for a (lowercased) GKG theme code.
+ */
+function describeTheme(raw) {
+    const code = String(raw || '').toLowerCase().replace(/,\d+$/, '');
+    const family = familyOf(code);
+    const subfamily = subfamilyOf(code, family);
+    return {
+        code,
+        label: LABELS[code] || derivedLabel(code, family, subfamily),
+        family: family ? family.id : CORE_FAMILY.id,
+        familyLabel: family ? family.label : CORE_FAMILY.label,
+        subfamily,
+        subfamilyLabel: subfamily ? (SUBFAMILY_LABELS[subfamily] || sentenceCase(subfamily.split('_').slice(1))) : null,
+    };
+}
+
+function listFamilies() {
+    return [...FAMILIES.map(({ id, prefix, label }) => ({ id, prefix, label })), { ...CORE_FAMILY, prefix: null }];
+}
+
+function matchesFamily(theme, ids) {
+    return ids.includes(theme.family) || (theme.subfamily && ids.includes(theme.subfamily));
+}
+
+/**
+ * parseThemeQuery: group=family|subfamily, family=tax,econ (include only), excludeFamily=wb,crisislex.
+ * Returns { group, include, exclude, active } or { error }.
+ */
+function parseThemeQuery(query) {
+    const list = value => (value ? String(value).toLowerCase().split(',').map(s => s.trim()).filter(Boolean) : []);
+    const group = query.group ? String(query.group).toLowerCase() : null;
+    if (group && !['family', 'subfamily'].includes(group)) return { error: 'group must be family or subfamily' };
+    const include = list(query.family);
+    const exclude = list(query.excludeFamily);
+    return { group, include, exclude, active: Boolean(group || include.length || exclude.length) };
+}
+
+/**
+ * applyThemeOptions: theme keywords with label / family / subfamily added, filtered by family,
+ * and when grouped, summed per family or subfamily:
+ * { word: family id, label, count, themes: distinct codes, top: [the 5 largest codes], score?, tone? }
+ * Groups only regroup the keywords given (a doc's stored top N, not the full daily counts), so a
+ * family's count is the sum of its listed codes. Scored keywords (ranked /top results) keep score
+ * order: a group ranks by, and reports, its best member's score.
+ */
+function applyThemeOptions(keywords, { group = null, include = [], exclude = [] } = {}) {
+    const labelled = (keywords || [])
+        .map(k => ({ k, theme: describeTheme(k.word) }))
+        .filter(({ theme }) => (include.length === 0 || matchesFamily(theme, include)) && !matchesFamily(theme, exclude));
+    if (!group) {
+        return labelled.map(({ k, theme }) => ({ ...k, label: theme.label, family: theme.family, ...(theme.subfamily ? { subfamily: theme.subfamily } : {}) }));
+    }
+
+    const scored = labelled.some(({ k }) => Number.isFinite(k.score));
+    const rank = scored ? x => x.score || 0 : x => x.count;
+    const groups = new Map();
+    for (const { k, theme } of labelled) {
+        const id = group === 'subfamily' ? (theme.subfamily || theme.family) : theme.family;
+        const label = group === 'subfamily' && theme.subfamily ? theme.subfamilyLabel : theme.familyLabel;
+        if (!groups.has(id)) groups.set(id, { word: id, label, family: theme.family, count: 0, themes: 0, top: [], tones: [], ...(scored ? { score: 0 } : {}) });
+        const g = groups.get(id);
+        g.count += k.count || 0;
+        g.themes += 1;
+        g.top.push({ word: k.word, label: theme.label, count: k.count || 0, ...(scored ? { score: k.score || 0 } : {}) });
+        if (scored) g.score = Math.max(g.score, k.score || 0);
+        if (k.tone) g.tones.push(k.tone);
+    }
+    return Array.from(groups.values())
+        .sort((a, b) => rank(b) - rank(a))
+        .map(({ tones, top, ...g }) => {
+            const tone = mergeToneSummaries(tones);
+            return { ...g, top: top.sort((a, b) => rank(b) - rank(a)).slice(0, 5), ...(tone ? { tone } : {}) };
+        });
+}
+
+module.exports = { FAMILIES, describeTheme, listFamilies, parseThemeQuery, applyThemeOptions };
@@ -0,0 +1,134 @@
+// src/utils/tone.js
+// V2Tone parsing and per-keyword tone statistics
+
+// distribution buckets over the average tone score (roughly -100..+100, most values within -10..+10)
+const TONE_BUCKETS = [
+    { name: 'veryNegative', max: -5 },
+    { name: 'negative', max: -1 },
+    { name: 'neutral', max: 1 },
+    { name: 'positive', max: 5 },
+    { name: 'veryPositive', max: Infinity },
+];
+
+/**
+ * parseTone: V2Tone is a comma-separated list:
+ * Tone, PositiveScore, NegativeScore, Polarity, ActivityRefDensity, SelfGroupRefDensity, WordCount
+ * Returns null when the average tone is missing or not numeric.
+ */
+function parseTone(fieldValue) {
+    if (!fieldValue) return null;
+    const parts = String(fieldValue).split(',').map(Number);
+    if (!Number.isFinite(parts[0])) return null;
+    const num = (v) => (Number.isFinite(v) ? v : 0);
+    return {
+        tone: parts[0],
+        positive: num(parts[1]),
+        negative: num(parts[2]),
+        polarity: num(parts[3]),
+        activityDensity: num(parts[4]),
+        selfGroupDensity: num(parts[5]),
+        wordCount: num(parts[6]),
+    };
+}
+
+function bucketFor(tone) {
+    return TONE_BUCKETS.find(b => tone < b.max || b.max === Infinity).name;
+}
+
+// running accumulator; cheap to update per row
+function createToneStats() {
+    const distribution = {};
+    for (const b of TONE_BUCKETS) distribution[b.name] = 0;
+    return { samples: 0, sum: 0, min: Infinity, max: -Infinity, sumPositive: 0, sumNegative: 0, sumPolarity: 0, sumActivity: 0, distribution };
+}
+
+function addTone(stats, tone) {
+    if (!tone) return stats;
+    stats.samples += 1;
+    stats.sum += tone.tone;
+    stats.min = Math.min(stats.min, tone.tone);
+    stats.max = Math.max(stats.max, tone.tone);
+    stats.sumPositive += tone.positive;
+    stats.sumNegative += tone.negative;
+    stats.sumPolarity += tone.polarity;
+    stats.sumActivity += tone.activityDensity;
+    stats.distribution[bucketFor(tone.tone)] += 1;
+    return stats;
+}
+
+// folds one accumulator into another (per-file stats into a day's)
+function mergeToneStats(target, source) {
+    if (!source || !source.samples) return target;
+    target.samples += source.samples;
+    target.sum += source.sum;
+    target.min = Math.min(target.min, source.min);
+    target.max = Math.max(target.max, source.max);
+    target.sumPositive += source.sumPositive;
+    target.sumNegative += source.sumNegative;
+    target.sumPolarity += source.sumPolarity;
+    target.sumActivity += source.sumActivity;
+    for (const name of Object.keys(source.distribution)) {
+        target.distribution[name] = (target.distribution[name] || 0) + source.distribution[name];
+    }
+    return target;
+}
+
+function round(v) {
+    return Math.round(v * 1000) / 1000;
+}
+
+/**
+ * summarizeTone: turns an accumulator into the stored shape
+ * { mean, min, max, positive, negative, polarity, activityDensity, samples, distribution }
+ */
+function summarizeTone(stats) {
+    if (!stats || !stats.samples) return undefined;
+    const n = stats.samples;
+    return {
+        mean: round(stats.sum / n),
+        min: round(stats.min),
+        max: round(stats.max),
+        positive: round(stats.sumPositive / n),
+        negative: round(stats.sumNegative / n),
+        polarity: round(stats.sumPolarity / n),
+        activityDensity: round(stats.sumActivity / n),
+        samples: n,
+        distribution: { ...stats.distribution },
+    };
+}
+
+// combines stored summaries (e.g. the daily docs of a week), weighting means by samples
+function mergeToneSummaries(summaries) {
+    const list = (summaries || []).filter(t => t && t.samples);
+    if (list.length === 0) return undefined;
+    const n = list.reduce((a, t) => a + t.samples, 0);
+    const weighted = (field) => round(list.reduce((a, t) => a + (t[field] || 0) * t.samples, 0) / n);
+    const distribution = {};
+    for (const b of TONE_BUCKETS) distribution[b.name] = list.reduce((a, t) => a + ((t.distribution && t.distribution[b.name]) || 0), 0);
+    return {
+        mean: weighted('mean'),
+        min: Math.min(...list.map(t => t.min)),
+        max: Math.max(...list.map(t => t.max)),
+        positive: weighted('positive'),
+        negative: weighted('negative'),
+        polarity: weighted('polarity'),
+        activityDensity: weighted('activityDensity'),
+        samples: n,
+        distribution,
+    };
+}
+
+// sort keyword objects by mean tone; 'asc' puts the most negative first. Keywords without tone go last.
+function sortByTone(keywords, order = 'asc') {
+    const dir = order === 'desc' ? -1 : 1;
+    return (keywords || []).slice().sort((a, b) => {
+        const ta = a && a.tone ? a.tone.mean : null;
+        const tb = b && b.tone ? b.tone.mean : null;
+        if (ta === null && tb === null) return 0;
+        if (ta === null) return 1;
+        if (tb === null) return -1;
+        return dir * (ta - tb);
+    });
+}
+
+module.exports = { TONE_BUCKETS, parseTone, createToneStats, addTone, mergeToneStats, summarizeTone, mergeToneSummaries, sortByTone };
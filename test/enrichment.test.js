@@ -0,0 +1,122 @@
+// test/enrichment.test.js
+// fetchPreview against local fixture servers: redirects, robots.txt on every hop, politeness and the
+// public-address rule.
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../src/config');
+const { createHostGate, fetchPreview } = require('../src/services/enrichment');
+const { isPublicAddress } = require('../src/utils/addresses');
+
+const PAGE = '<html lang="en"><head><title>Fixture page</title><meta property="og:image" content="/img.png"></head></html>';
+
+// a server answering from `routes` (path -> { status, headers, body }), recording every request
+function fixtureServer(routes) {
+    const hits = [];
+    const server = http.createServer((req, res) => {
+        hits.push({ path: req.url, at: Date.now() });
+        const route = routes[req.url] || { status: 404, body: 'not found' };
+        res.writeHead(route.status || 200, { 'Content-Type': 'text/html', ...(route.headers || {}) });
+        res.end(route.body || '');
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        server.base = `http://127.0.0.1:${server.address().port}`;
+        server.hits = hits;
+        resolve(server);
+    }));
+}
+
+test.describe('fetchPreview', () => {
+    let site;
+    let other;
+    const saved = { ...config.enrichment };
+
+    test.before(async () => {
+        other = await fixtureServer({
+            '/robots.txt': { status: 200, headers: { 'Content-Type': 'text/plain' }, body: 'User-agent: *\nDisallow: /private' },
+            '/private/page': { body: PAGE },
+            '/public/page': { body: PAGE },
+        });
+        site = await fixtureServer({
+            '/robots.txt': { status: 404 },
+            '/article': { body: PAGE },
+            '/moved': { status: 301, headers: { Location: '/article' } },
+            '/to-other-private': { status: 302, headers: { Location: `${other.base}/private/page` } },
+            '/to-other-public': { status: 302, headers: { Location: `${other.base}/public/page` } },
+            '/to-metadata': { status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data/' } },
+            '/loop': { status: 302, headers: { Location: '/loop' } },
+        });
+    });
+    test.beforeEach(() => {
+        Object.assign(config.enrichment, saved, { allowHosts: [new URL(site.base).host, new URL(other.base).host], perDomainDelayMs: 0, timeoutMs: 2000 });
+    });
+    test.after(() => {
+        Object.assign(config.enrichment, saved);
+        site.close();
+        other.close();
+    });
+
+    test('follows redirects and resolves relative URLs against the final hop', async () => {
+        const preview = await fetchPreview(`${site.base}/moved`);
+        assert.strictEqual(preview.status, 'ok');
+        assert.strictEqual(preview.title, 'Fixture page');
+        assert.strictEqual(preview.image, `${site.base}/img.png`);
+    });
+
+    test('checks robots.txt of the redirect target', async () => {
+        const before = other.hits.length;
+        const preview = await fetchPreview(`${site.base}/to-other-private`);
+        assert.strictEqual(preview.status, 'blocked');
+        assert.ok(!other.hits.slice(before).some(h => h.path === '/private/page'), 'the disallowed page was requested');
+        assert.strictEqual((await fetchPreview(`${site.base}/to-other-public`)).status, 'ok');
+    });
+
+    test('refuses non-public addresses', async () => {
+        const preview = await fetchPreview('http://169.254.169.254/latest/meta-data/');
+        assert.strictEqual(preview.status, 'failed');
+        assert.match(preview.error, /non-public/);
+    });
+
+    test('refuses a redirect hop into a non-public range', async () => {
+        const preview = await fetchPreview(`${site.base}/to-metadata`);
+        assert.strictEqual(preview.status, 'failed');
+        assert.match(preview.error, /non-public address 169\.254\.169\.254/);
+    });
+
+    test('refuses loopback hosts outside allowHosts, by address and by name, without connecting', async () => {
+        config.enrichment.allowHosts = [];
+        const before = site.hits.length;
+        for (const url of [`${site.base}/article`, `http://localhost:${site.address().port}/article`]) {
+            // by name the robots.txt request is refused first, which blocks the whole domain
+            assert.notStrictEqual((await fetchPreview(url)).status, 'ok');
+        }
+        assert.strictEqual(site.hits.length, before);
+    });
+
+    test('gives up after maxRedirects', async () => {
+        config.enrichment.maxRedirects = 3;
+        const before = site.hits.filter(h => h.path === '/loop').length;
+        const preview = await fetchPreview(`${site.base}/loop`);
+        assert.strictEqual(preview.status, 'failed');
+        assert.match(preview.error, /more than 3 redirects/);
+        assert.strictEqual(site.hits.filter(h => h.path === '/loop').length - before, 4);
+    });
+
+    test('spaces requests to one host by perDomainDelayMs', async () => {
+        config.enrichment.perDomainDelayMs = 200;
+        const gate = createHostGate();
+        const before = site.hits.length;
+        await Promise.all([fetchPreview(`${site.base}/article`, gate), fetchPreview(`${site.base}/article`, gate)]);
+        const [a, b] = site.hits.slice(before).filter(h => h.path === '/article');
+        assert.ok(Math.abs(b.at - a.at) >= 190, `requests ${Math.abs(b.at - a.at)}ms apart`);
+    });
+});
+
+test('isPublicAddress', () => {
+    for (const ip of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', 'localhost']) {
+        assert.strictEqual(isPublicAddress(ip), false, ip);
+    }
+    for (const ip of ['8.8.8.8', '151.101.1.69', '2606:4700:4700::1111']) {
+        assert.strictEqual(isPublicAddress(ip), true, ip);
+    }
+});
@@ -0,0 +1,27 @@
+// test/entities.test.js
+// Surname / acronym merging: two-letter acronyms survive cleaning and merges reach the per-place counters.
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitAndClean } = require('../src/utils/cleaner');
+const { aliasTokens } = require('../src/services/entities');
+const { createCollector, addRow, rankCollector } = require('../src/services/collector');
+
+const PLACE = { word: 'geneva, geneve, switzerland', location: { type: 4, countryCode: 'SZ', adm1: 'SZ25' } };
+
+test('keeps two-letter org acronyms for the heuristics', () => {
+    assert.deepStrictEqual(splitAndClean('un;united nations;x', aliasTokens('orgs')), ['un', 'united nations']);
+    assert.deepStrictEqual(splitAndClean('un;united nations', aliasTokens('persons')), ['united nations']);
+});
+
+test('merges acronyms into the full name, globally and per place', () => {
+    const collector = createCollector();
+    for (let i = 0; i < 6; i++) addRow(collector, { orgs: ['united nations'], places: [PLACE] });
+    for (let i = 0; i < 4; i++) addRow(collector, { orgs: ['un'], places: [PLACE] });
+
+    const ranked = rankCollector(collector);
+    assert.deepStrictEqual(ranked.orgs.map(k => [k.word, k.count]), [['united nations', 10]]);
+    assert.deepStrictEqual(Object.keys(ranked.byGeo).sort(), ['SZ', 'SZ25']);
+    for (const [geo, cats] of Object.entries(ranked.byGeo)) {
+        assert.deepStrictEqual(cats.orgs.map(k => [k.word, k.count]), [['united nations', 10]], geo);
+    }
+});
@@ -0,0 +1,100 @@
+// test/events.test.js
+// Events (export) and Mentions parsing: event types and dyads per slot, with mentions attributed to
+// events of this slot, of an earlier slot (lookup) or to none.
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const config = require('../src/config');
+const { parseEventsStream, parseMentionsStream } = require('../src/services/events');
+const { createEventCollector, addMentions, rankEventCollector } = require('../src/services/eventCollector');
+
+// a 61-column export row; `cells` maps column index -> value
+function exportRow(cells) {
+    const row = new Array(61).fill('');
+    for (const [i, v] of Object.entries(cells)) row[i] = v;
+    return row.join('\t');
+}
+
+function eventRow(id, { base, actor1 = '', actor2 = '', quad = '1', goldstein = '1.0', tone = '-2', root = '1' }) {
+    return exportRow({
+        0: id, 5: actor1, 6: actor1 && `${actor1} name`, 15: actor2, 16: actor2 && `${actor2} name`, 25: root,
+        26: `${base}1`, 27: base, 28: base.slice(0, 2), 29: quad, 30: goldstein,
+        31: '4', 32: '2', 33: '3', 34: tone, 59: '20240101001500',
+    });
+}
+
+// a 16-column Mentions row: event id, confidence (11) and document tone (13)
+function mentionRow(id, confidence, tone) {
+    const row = new Array(16).fill('');
+    Object.assign(row, { 0: id, 11: confidence, 13: tone });
+    return row.join('\t');
+}
+
+const lines = rows => Readable.from([rows.join('\n') + '\n']);
+
+test('parseEventsStream folds event types and coded dyads', async () => {
+    const collector = createEventCollector();
+    const lookups = await parseEventsStream(lines([
+        eventRow('1', { base: '042', actor1: 'USA', actor2: 'CHN', goldstein: '2' }),
+        eventRow('2', { base: '042', actor1: 'USA', actor2: 'CHN', goldstein: '4', quad: '1' }),
+        eventRow('3', { base: '190', actor1: 'RUS', quad: '4', goldstein: '-10' }),
+        'not\ta\trow',
+    ]), collector);
+
+    assert.deepStrictEqual(lookups.map(l => [l.eventId, l.code, l.dyad]), [[1, 'cameo_042', 'usa>chn'], [2, 'cameo_042', 'usa>chn'], [3, 'cameo_190', null]]);
+    assert.strictEqual(lookups[0].timestamp.toISOString(), '2024-01-01T00:15:00.000Z');
+
+    const ranked = rankEventCollector(collector);
+    assert.strictEqual(ranked.rows, 3);
+    const [consult, fight] = ranked.events;
+    assert.strictEqual(consult.word, 'cameo_042');
+    assert.strictEqual(consult.count, 2);
+    assert.deepStrictEqual([consult.event.numMentions, consult.event.numSources, consult.event.numArticles, consult.event.goldstein], [8, 4, 6, 3]);
+    assert.strictEqual(fight.event.quadClass, 4);
+    assert.deepStrictEqual(ranked.dyads.map(d => [d.word, d.count, d.label]), [['usa>chn', 2, 'USA name → CHN name']]);
+});
+
+test('parseEventsStream skips non-root events when rootOnly is set', async () => {
+    const saved = config.events.rootOnly;
+    config.events.rootOnly = true;
+    try {
+        const collector = createEventCollector();
+        const lookups = await parseEventsStream(lines([eventRow('1', { base: '042', root: '0' }), eventRow('2', { base: '043' })]), collector);
+        assert.deepStrictEqual(lookups.map(l => l.eventId), [2]);
+    } finally {
+        config.events.rootOnly = saved;
+    }
+});
+
+test('mentions are attributed to this slot, the lookup, or counted as unattributed', async () => {
+    const saved = config.events.minConfidence;
+    config.events.minConfidence = 50;
+    try {
+        const collector = createEventCollector();
+        await parseEventsStream(lines([eventRow('1', { base: '042', actor1: 'USA', actor2: 'CHN' })]), collector);
+        const mentions = await parseMentionsStream(lines([
+            mentionRow('1', '100', '-4'),
+            mentionRow('1', '60', '-2'),
+            mentionRow('1', '10', '9'), // below minConfidence
+            mentionRow('7', '100', '1'), // an earlier slot's event
+            mentionRow('8', '100', '1'), // unknown
+        ]));
+        assert.deepStrictEqual(mentions.get(1), { count: 2, toneSum: -6 });
+
+        addMentions(collector, mentions, new Map([[7, { code: 'cameo_190', dyad: null }]]));
+        const ranked = rankEventCollector(collector);
+        assert.strictEqual(ranked.mentionRows, 4);
+        assert.strictEqual(ranked.unattributed, 1);
+        const byWord = new Map(ranked.events.map(e => [e.word, e]));
+        assert.deepStrictEqual([byWord.get('cameo_042').event.mentions, byWord.get('cameo_042').event.mentionTone], [2, -3]);
+        assert.deepStrictEqual([byWord.get('cameo_190').count, byWord.get('cameo_190').event.mentions], [0, 1]);
+        assert.strictEqual(ranked.dyads[0].event.mentions, 2);
+    } finally {
+        config.events.minConfidence = saved;
+    }
+});
+
+test('a failing input stream rejects instead of crashing', async () => {
+    const broken = new Readable({ read() { this.destroy(new Error('invalid signature')); } });
+    await assert.rejects(parseMentionsStream(broken), /invalid signature/);
+});
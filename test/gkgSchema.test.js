@@ -0,0 +1,56 @@
+// test/gkgSchema.test.js
+// Column layouts: GKG 2.1 rows (no header) read locations, persons and orgs from their own columns;
+// GKG 1.0 clusters count once per article.
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const { detectSchema, readFields } = require('../src/utils/gkgSchema');
+const { createCollector, addRow, rankCollector } = require('../src/services/collector');
+
+// a 27-column 2.1 row whose cells name their column
+function row21() {
+    const row = Array.from({ length: 27 }, (_, i) => `col${i}`);
+    row[0] = '20240101000000-42';
+    row[1] = '20240101000000';
+    return row;
+}
+
+test('GKG 2.1 defaults: V1Locations 10, V1Persons 11, V1Organizations 13', () => {
+    const schema = detectSchema(row21());
+    assert.strictEqual(schema.version, '2.1');
+    const fields = readFields(schema, row21());
+    assert.strictEqual(fields.locations, 'col10');
+    assert.strictEqual(fields.persons, 'col11');
+    assert.strictEqual(fields.orgs, 'col13');
+    assert.strictEqual(fields.themes, 'col7');
+    assert.strictEqual(fields.tone, 'col15');
+    assert.deepStrictEqual(fields.documents, ['col4']);
+    assert.strictEqual(fields.articles, 1);
+});
+
+test('column overrides apply to the 2.1 layout only', () => {
+    const saved = config.columnIndices.orgs;
+    config.columnIndices.orgs = 14;
+    try {
+        assert.strictEqual(readFields(detectSchema(row21()), row21()).orgs, 'col14');
+        const row10 = ['20240101', '3', '', 'THEME', 'LOC', 'PERSON', 'ORG', '1,2', '', 'bbc.co.uk', 'https://a<UDIV>https://b'];
+        const fields = readFields(detectSchema(row10), row10);
+        assert.strictEqual(fields.orgs, 'ORG');
+        assert.deepStrictEqual(fields.documents, ['https://a', 'https://b']);
+    } finally {
+        config.columnIndices.orgs = saved;
+    }
+});
+
+test('GKG 1.0 rows stand for NUMARTS articles', () => {
+    const row10 = ['20240101', '3', '', 'TAX_FNCACT', '', '', '', '1,2', '', 'a.com;b.org', 'https://a.com/1<UDIV>https://b.org/2'];
+    const fields = readFields(detectSchema(row10), row10);
+    assert.strictEqual(fields.articles, 3);
+    assert.deepStrictEqual(fields.sources, ['a.com', 'b.org']);
+
+    const collector = createCollector();
+    addRow(collector, { themes: ['tax_fncact'], weight: fields.articles });
+    addRow(collector, { themes: ['tax_fncact'] });
+    assert.strictEqual(collector.rowCount, 4);
+    assert.deepStrictEqual(rankCollector(collector).themes.map(k => [k.word, k.count]), [['tax_fncact', 4]]);
+});
@@ -0,0 +1,37 @@
+// test/localSource.test.js
+// The local source's directory index: listed once per cacheMinutes, nested directories included.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { createLocalSource } = require('../src/services/sources/localSource');
+
+test.describe('local source', () => {
+    let dir;
+
+    test.before(async () => {
+        dir = await fs.promises.mkdtemp(join(os.tmpdir(), 'gdelt-local-'));
+        await fs.promises.mkdir(join(dir, '2024'));
+        await fs.promises.writeFile(join(dir, '2024', '20240101000000.gkg.csv.zip'), '');
+    });
+    test.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    test('reuses the listing within cacheMinutes', async () => {
+        const source = createLocalSource({ dir, cacheMinutes: 60 });
+        assert.strictEqual((await source.latest()).length, 1);
+        await fs.promises.writeFile(join(dir, '20240101001500.gkg.csv.zip'), '');
+        const [latest] = await source.latest();
+        assert.strictEqual(latest.file, '20240101000000.gkg.csv.zip');
+        const slot = await source.entryForSlot(new Date('2024-01-01T00:15:00Z'));
+        assert.strictEqual(slot, null);
+    });
+
+    test('lists again once the cache has expired', async () => {
+        const source = createLocalSource({ dir, cacheMinutes: 0 });
+        const [latest] = await source.latest();
+        assert.strictEqual(latest.file, '20240101001500.gkg.csv.zip');
+        const between = await source.entriesBetween(new Date('2024-01-01T00:00:00Z'), new Date('2024-01-02T00:00:00Z'));
+        assert.deepStrictEqual(between.map(e => e.file), ['20240101000000.gkg.csv.zip', '20240101001500.gkg.csv.zip']);
+    });
+});
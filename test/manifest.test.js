@@ -0,0 +1,78 @@
+// test/manifest.test.js
+// Manifest lookups against a local fixture server: the latest slots come from lastupdate.txt and the
+// master list is downloaded only for older slots, then reused.
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../src/config');
+const manifest = require('../src/services/manifest');
+
+const SLOTS = ['20240101000000', '20240101001500', '20240101003000', '20240101004500'];
+const at = (ts) => new Date(`${ts.slice(0, 4)}-${ts.slice(4, 6)}-${ts.slice(6, 8)}T${ts.slice(8, 10)}:${ts.slice(10, 12)}:00Z`);
+
+function listing(base, slots, streams) {
+    return slots.flatMap(ts => streams.map(s => `1234 0123456789abcdef0123456789abcdef ${base}/${ts}.${s}.csv.zip`)).join('\n') + '\n';
+}
+
+test.describe('manifest', () => {
+    let server;
+    const hits = [];
+    const saved = { ...config.manifest };
+
+    test.before(async () => {
+        server = http.createServer((req, res) => {
+            hits.push(req.url);
+            const base = `http://127.0.0.1:${server.address().port}`;
+            // the master list stops at slot 1; lastupdate lists slot 3; slot 2 was never announced
+            const routes = {
+                '/masterfilelist.txt': listing(base, SLOTS.slice(0, 2), ['gkg', 'export']),
+                '/lastupdate.txt': listing(base, [SLOTS[3]], ['export', 'mentions', 'gkg']),
+            };
+            if (!routes[req.url]) {
+                res.writeHead(404);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            return res.end(routes[req.url]);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        Object.assign(config.manifest, { baseUrl: `http://127.0.0.1:${server.address().port}`, rebaseUrls: false, cacheMinutes: 60, masterCacheHours: 24 });
+    });
+    test.after(() => {
+        Object.assign(config.manifest, saved);
+        server.close();
+    });
+
+    const masterHits = () => hits.filter(h => h === '/masterfilelist.txt').length;
+
+    test('reads the latest slot from lastupdate.txt without the master list', async () => {
+        const [gkg] = await manifest.fetchLastUpdate();
+        assert.strictEqual(gkg.file, `${SLOTS[3]}.gkg.csv.zip`);
+        const [exported] = await manifest.fetchLastUpdate({ stream: 'export' });
+        assert.strictEqual(exported.file, `${SLOTS[3]}.export.csv.zip`);
+        assert.strictEqual(masterHits(), 0);
+    });
+
+    test('downloads the master list once for older slots', async () => {
+        assert.strictEqual((await manifest.findEntryForSlot(at(SLOTS[0]))).file, `${SLOTS[0]}.gkg.csv.zip`);
+        assert.strictEqual((await manifest.findEntryForSlot(new Date(at(SLOTS[1]).getTime() + 5 * 60 * 1000))).file, `${SLOTS[1]}.gkg.csv.zip`);
+        assert.strictEqual((await manifest.findEntryForSlot(at(SLOTS[3]))).file, `${SLOTS[3]}.gkg.csv.zip`);
+        assert.strictEqual(masterHits(), 1);
+    });
+
+    test('a slot missing from both lists re-downloads the master list at most once per cacheMinutes', async () => {
+        assert.strictEqual(await manifest.findEntryForSlot(at(SLOTS[2])), null);
+        assert.strictEqual(masterHits(), 1);
+
+        config.manifest.cacheMinutes = 0;
+        assert.strictEqual(await manifest.findEntryForSlot(at(SLOTS[2])), null);
+        assert.strictEqual(masterHits(), 2);
+        config.manifest.cacheMinutes = 60;
+    });
+
+    test('lists ranges from the master list and lastupdate entries together', async () => {
+        const entries = await manifest.findEntriesBetween(at(SLOTS[0]), new Date(at(SLOTS[3]).getTime() + 1), { stream: 'export' });
+        assert.deepStrictEqual(entries.map(e => e.file), [`${SLOTS[0]}.export.csv.zip`, `${SLOTS[1]}.export.csv.zip`, `${SLOTS[3]}.export.csv.zip`]);
+        assert.strictEqual(masterHits(), 3); // the export stream's own list, loaded once
+    });
+});
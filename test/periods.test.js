@@ -0,0 +1,63 @@
+// test/periods.test.js
+// Range planning and rollup fallback: incomplete monthly / weekly rollups are read as finer periods,
+// and baselines spread from rollups take their std from the periods.
+const test = require('node:test');
+const assert = require('node:assert');
+const { planRange, coverLevel, spreadToDays } = require('../src/services/periods');
+const { keywordBaseline } = require('../src/services/scorers');
+
+const kw = count => [{ word: 'a', count }];
+
+test('planRange covers a range with whole months, then weeks, then days', () => {
+    const plan = planRange('2024-01-01', '2024-02-04');
+    assert.deepStrictEqual(plan.map(s => [s.type, s.date, s.days]), [
+        ['monthly', '2024-01-01', 31],
+        ['daily', '2024-02-01', 1], ['daily', '2024-02-02', 1], ['daily', '2024-02-03', 1], ['daily', '2024-02-04', 1],
+    ]);
+});
+
+test('incomplete rollups fall back to finer periods, level by level', () => {
+    let pending = planRange('2024-01-01', '2024-02-04');
+    const docs = [];
+    const missing = [];
+    const levels = {
+        monthly: [{ date: '2024-01-01', days: 20, keywords: kw(999) }], // only 20 of 31 days summed so far
+        weekly: [
+            { date: '2024-01-01', days: 7, keywords: kw(7) },
+            { date: '2024-01-08', days: 7, keywords: kw(14) },
+            { date: '2024-01-15', days: 3, keywords: kw(999) }, // incomplete
+        ],
+        daily: [],
+    };
+    for (let day = 15; day <= 31; day++) if (day !== 30) levels.daily.push({ date: `2024-01-${day}`, keywords: kw(1) });
+    for (const day of ['01', '02', '04']) levels.daily.push({ date: `2024-02-${day}`, keywords: kw(1) });
+
+    for (const type of ['monthly', 'weekly', 'daily']) {
+        const level = coverLevel(pending, type, levels[type]);
+        docs.push(...level.docs);
+        missing.push(...level.missing);
+        pending = level.pending;
+    }
+    assert.deepStrictEqual(pending, []);
+    assert.deepStrictEqual(missing, ['2024-01-30', '2024-02-03']);
+    assert.deepStrictEqual(docs.filter(d => d.type === 'weekly').map(d => d.date), ['2024-01-01', '2024-01-08']);
+    assert.strictEqual(docs.filter(d => d.type === 'daily').length, 19);
+    assert.ok(!docs.some(d => d.keywords[0].count === 999), 'an incomplete rollup was read');
+});
+
+test('baselines spread from rollups keep the between-period variance', () => {
+    const days = spreadToDays([
+        { type: 'weekly', from: '2024-01-01', days: 7, keywords: kw(70) },
+        { type: 'weekly', from: '2024-01-08', days: 7, keywords: kw(140) },
+    ]);
+    assert.strictEqual(days.length, 14);
+    assert.deepStrictEqual([days[0].period, days[0].days, days[0].keywords[0].count], ['2024-01-01', 7, 10]);
+
+    const daily = days.map(d => d.keywords[0].count);
+    const flat = keywordBaseline(daily);
+    const periods = keywordBaseline(daily, [{ days: 7, count: 70 }, { days: 7, count: 140 }]);
+    assert.strictEqual(periods.mean, 15);
+    assert.strictEqual(flat.std, 5);
+    // each week's rate deviates by 5 and stands for 7 days: sqrt((7·25 + 7·25) / 2)
+    assert.strictEqual(periods.std, Math.sqrt(175));
+});
@@ -0,0 +1,103 @@
+// test/rollup.test.js
+// Daily rollups over a local source: every 15-minute file of the day is streamed into one collector,
+// files of other days are left out and an unreadable file is skipped and reported.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const { join } = require('path');
+const mongoose = require('mongoose');
+const config = require('../src/config');
+
+// no Redis or Mongo here: clients connect on first use, and article / alias writes fail fast
+config.redis.lazyConnect = true;
+mongoose.set('bufferCommands', false);
+const { collectDay } = require('../src/services/rollup');
+const { createLocalSource } = require('../src/services/sources/localSource');
+const { rankCollector } = require('../src/services/collector');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// a single-entry deflated zip archive, like GDELT's *.gkg.csv.zip files
+function zipOne(name, text) {
+    const data = Buffer.from(text);
+    const packed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(1, 8);
+    end.writeUInt16LE(1, 10);
+    end.writeUInt32LE(central.length + fileName.length, 12);
+    end.writeUInt32LE(local.length + fileName.length + packed.length, 16);
+    return Buffer.concat([local, fileName, packed, central, fileName, end]);
+}
+
+// a GKG 2.1 record (27 columns, no header)
+function gkgRow(ts, n, { themes, persons = '', orgs = '', source = 'example.com' }) {
+    const row = new Array(27).fill('');
+    Object.assign(row, { 0: `${ts}-${n}`, 1: ts, 2: '1', 3: source, 4: `https://${source}/${ts}/${n}`, 7: themes, 11: persons, 13: orgs, 15: '-1.5,2,3.5,5.5,20,0,300' });
+    return row.join('\t');
+}
+
+test.describe('collectDay over a local source', () => {
+    let dir;
+
+    test.before(async () => {
+        dir = await fs.promises.mkdtemp(join(os.tmpdir(), 'gdelt-rollup-'));
+        const files = {
+            '20240101000000': [gkgRow('20240101000000', 1, { themes: 'TAX_FNCACT;ECON_INFLATION', persons: 'jane doe' }), gkgRow('20240101000000', 2, { themes: 'ECON_INFLATION' })],
+            '20240101001500': [gkgRow('20240101001500', 1, { themes: 'ECON_INFLATION', orgs: 'world bank', source: 'news.org' })],
+            '20240102000000': [gkgRow('20240102000000', 1, { themes: 'OTHER_DAY' })],
+        };
+        for (const [ts, rows] of Object.entries(files)) {
+            await fs.promises.writeFile(join(dir, `${ts}.gkg.csv.zip`), zipOne(`${ts}.gkg.csv`, rows.join('\n') + '\n'));
+        }
+        await fs.promises.writeFile(join(dir, '20240101003000.gkg.csv.zip'), 'not a zip archive');
+    });
+    test.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    for (const approximate of [false, true]) {
+        test(`folds every file of the day into one collector (approximate: ${approximate})`, async () => {
+            const source = createLocalSource({ dir, cacheMinutes: 0 });
+            const { collector, files, failedFiles } = await collectDay({ date: '2024-01-01', approximate, source });
+
+            assert.strictEqual(files, 2);
+            assert.deepStrictEqual(failedFiles, ['20240101003000.gkg.csv.zip']);
+            assert.strictEqual(collector.rowCount, 3);
+            assert.strictEqual(collector.approximate, approximate);
+
+            const ranked = rankCollector(collector);
+            assert.deepStrictEqual(ranked.themes.map(k => [k.word, k.count]), [['econ_inflation', 3], ['tax_fncact', 1]]);
+            assert.deepStrictEqual(ranked.persons.map(k => k.word), ['jane doe']);
+            assert.deepStrictEqual(ranked.orgs.map(k => k.word), ['world bank']);
+            assert.deepStrictEqual(ranked.sources.map(k => [k.word, k.count]), [['example.com', 2], ['news.org', 1]]);
+        });
+    }
+});
@@ -0,0 +1,42 @@
+// test/scorers.test.js
+// Keyword baselines and the z-terms of the zscore and blend scorers against a known daily series.
+const test = require('node:test');
+const assert = require('node:assert');
+const { getScorer, resolveParams, keywordBaseline } = require('../src/services/scorers');
+
+const SERIES = [2, 4, 4, 4, 5, 5, 7, 9]; // mean 5, std 2
+
+function context(word, daily, count) {
+    return {
+        current: [{ word, count }],
+        baselineMap: new Map([[word, daily.reduce((a, b) => a + b, 0)]]),
+        baselines: new Map([[word, keywordBaseline(daily)]]),
+        totals: daily,
+        currentTotal: count,
+        windowDays: daily.length,
+    };
+}
+
+const run = (name, ctx, params = {}) => getScorer(name).score(ctx, resolveParams(getScorer(name), params));
+
+test('keywordBaseline: mean, std and days present of a daily series', () => {
+    assert.deepStrictEqual(keywordBaseline([0, ...SERIES]).daysPresent, 8);
+    const { mean, std } = keywordBaseline(SERIES);
+    assert.strictEqual(mean, 5);
+    assert.strictEqual(std, 2);
+});
+
+test('zscore divides by max(std, minStd)', () => {
+    assert.deepStrictEqual(run('zscore', context('a', SERIES, 11)), [3]);
+    assert.deepStrictEqual(run('zscore', context('a', [3, 3, 3], 5)), [2]);
+    assert.deepStrictEqual(run('zscore', context('a', [3, 3, 3], 5), { minStd: 4 }), [0.5]);
+    assert.deepStrictEqual(run('zscore', context('a', SERIES, 1)), [0]);
+});
+
+test('blend combines volume, growth over the window average and the z-score', () => {
+    const [score] = run('blend', context('a', SERIES, 11));
+    // growth (11 + 1) / (40 / 8 + 1) = 2, z (11 - 5) / 2 = 3
+    assert.ok(Math.abs(score - (0.6 * Math.log1p(11) + 0.3 * Math.log1p(2) + 0.1 * Math.log1p(3))) < 1e-12);
+    const [flat] = run('blend', context('a', [3, 3, 3], 5), { wVolume: 0, wGrowth: 0, wZ: 1 });
+    assert.ok(Math.abs(flat - Math.log1p(2)) < 1e-12);
+});
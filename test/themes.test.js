@@ -0,0 +1,25 @@
+// test/themes.test.js
+// Theme families: grouped daily keywords rank by summed count, grouped /top results keep score order.
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyThemeOptions } = require('../src/utils/themes');
+
+test('groups stored keywords by summed count', () => {
+    const grouped = applyThemeOptions([
+        { word: 'tax_fncact_president', count: 5 },
+        { word: 'wb_2432_fragility', count: 4 },
+        { word: 'wb_678_digital', count: 3 },
+    ], { group: 'family' });
+    assert.deepStrictEqual(grouped.map(g => [g.word, g.count, g.themes]), [['wb', 7, 2], ['tax', 5, 1]]);
+    assert.strictEqual(grouped[0].score, undefined);
+});
+
+test('grouped ranked results keep score order', () => {
+    const grouped = applyThemeOptions([
+        { word: 'tax_fncact_president', count: 5, score: 100 },
+        { word: 'wb_2432_fragility', count: 40, score: 60 },
+        { word: 'wb_678_digital', count: 30, score: 20 },
+    ], { group: 'family' });
+    assert.deepStrictEqual(grouped.map(g => [g.word, g.score, g.count]), [['tax', 100, 5], ['wb', 60, 70]]);
+    assert.deepStrictEqual(grouped[1].top.map(t => t.word), ['wb_2432_fragility', 'wb_678_digital']);
+});
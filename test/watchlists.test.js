@@ -0,0 +1,69 @@
+// test/watchlists.test.js
+// Webhook alerts against a local receiver: signed JSON the receiver can verify, failures rejected
+// for retry, and the exponential backoff between attempts.
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../src/config');
+const { sign, postAlert, nextAttemptAt, validateWatchlist } = require('../src/services/watchlists');
+
+test.describe('webhook delivery', () => {
+    let receiver;
+    let base;
+    const received = [];
+    const saved = { ...config.webhooks };
+
+    test.before(async () => {
+        receiver = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, headers: req.headers, raw });
+                res.writeHead(req.url === '/broken' ? 500 : 204);
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${receiver.address().port}`;
+        Object.assign(config.webhooks, { timeoutMs: 2000, maxAttempts: 3, backoffSeconds: 30 });
+    });
+    test.after(() => {
+        Object.assign(config.webhooks, saved);
+        receiver.close();
+    });
+
+    test('posts signed JSON the receiver can verify', async () => {
+        const payload = { id: 'a1', event: 'watchlist.test', matches: [{ category: 'persons', word: 'jane doe', count: 12 }] };
+        const resp = await postAlert({ url: `${base}/hook`, payload, deliveryId: 'd1', secret: 's3cret' });
+        assert.strictEqual(resp.status, 204);
+
+        const { headers, raw } = received[received.length - 1];
+        assert.strictEqual(headers['content-type'], 'application/json');
+        assert.strictEqual(headers['x-trends-delivery'], 'd1');
+        assert.deepStrictEqual(JSON.parse(raw), payload);
+        assert.strictEqual(headers['x-trends-signature'], `sha256=${sign('s3cret', headers['x-trends-timestamp'], raw)}`);
+    });
+
+    test('sends unsigned alerts without a secret', async () => {
+        await postAlert({ url: `${base}/hook`, payload: { id: 'a2' }, deliveryId: 'd2' });
+        assert.strictEqual(received[received.length - 1].headers['x-trends-signature'], undefined);
+    });
+
+    test('rejects when the receiver fails, so the delivery is retried', async () => {
+        await assert.rejects(postAlert({ url: `${base}/broken`, payload: { id: 'a3' }, deliveryId: 'd3' }), err => err.response.status === 500);
+    });
+
+    test('backs off exponentially and gives up after maxAttempts', () => {
+        const now = Date.parse('2024-01-01T00:00:00Z');
+        assert.strictEqual(nextAttemptAt(1, now).getTime() - now, 30 * 1000);
+        assert.strictEqual(nextAttemptAt(2, now).getTime() - now, 60 * 1000);
+        assert.strictEqual(nextAttemptAt(3, now), null);
+    });
+});
+
+test('validateWatchlist', () => {
+    const valid = { name: 'people', terms: [{ category: 'persons', pattern: 'jane doe' }], rule: { threshold: 10 }, webhooks: ['https://example.org/hook'] };
+    assert.strictEqual(validateWatchlist(valid), null);
+    assert.match(validateWatchlist({ ...valid, terms: [{ category: 'persons', pattern: '(', match: 'regex' }] }), /invalid regex/);
+    assert.match(validateWatchlist({ ...valid, webhooks: ['ftp://example.org'] }), /http\(s\)/);
+});